@@ -0,0 +1,1106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.14;
+
+import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol'; 
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./interfaces/IAirdropContract.sol";
+import "./interfaces/IMintableToken.sol";
+
+/**
+ * @dev Airdrop logic shared by AirdropContract, deployed on its own, and AirdropContractUpgradeable,
+ * deployed behind a proxy. Both set the contract up with `_initializeAirdrop`.
+ * New state variables must be appended after the existing ones, so that upgrades keep the storage layout.
+ */
+abstract contract AirdropBase is IAirdropContract, Ownable, Pausable, EIP712("Airdrop", "1") {
+    using SafeERC20 for IERC20;   
+
+    bytes32 internal constant _CONTAINER_TYPE = keccak256("Container(address recipient,uint256 amount,uint256 deadline,address rewardType,uint256 nonce)");
+    bytes32 internal constant _CLAIM_REQUEST_TYPE = keccak256("ClaimRequest(address recipient,address rewardType,uint256 fee,uint256 nonce,uint256 deadline)");
+    bytes32 internal constant _VESTING_CONTAINER_TYPE = keccak256("VestingContainer(address recipient,uint256 amount,uint256 deadline,address rewardType,uint256 nonce,uint256 start,uint256 cliff,uint256 duration)");
+  
+    IERC20 public token;
+    address public guardian;
+    address public signer;
+    address public previousSigner;
+    uint256 public previousSignerExpiry;
+    mapping(address => bool) public rewardTokens;
+    address[] private _rewardTokenList;
+    mapping(address => uint256) public rewardTokenSupplies;
+    mapping(address => mapping(address => uint256)) public rewardTokenBalances;
+    mapping(address => uint256) public rewardTokenLiabilities;
+    mapping(address => uint256) public etherBalances;
+    uint256 public etherLiability;
+    uint256 public claimWindow;
+    bool public mintOnClaim;
+    mapping(address => mapping(address => uint256)) public claimDeadlines;
+    uint256 public merkleCampaignsCount;
+    mapping(uint256 => bytes32) public merkleRoots;
+    mapping(uint256 => uint256) public merkleClaimDeadlines;
+    mapping(uint256 => mapping(uint256 => uint256)) private _claimedBitMaps;
+    mapping(bytes32 => bool) public usedVouchers;
+    mapping(address => mapping(address => VestingSchedule[])) private _vestingSchedules;
+    mapping(address => uint256) public claimNonces;
+
+    /**
+     * @dev Throws if called by any account other than the guardian.
+     */
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Airdrop: caller is not the guardian");
+        _;
+    }
+
+    /**
+     * @dev Initializes the accepted token as the default reward token and registers it.
+     * The admin is the guardian and the signer until the owner sets other ones.
+     *
+     * @param tokenAddress ERC-20 token address.
+     * @param admin Initial guardian and signer.
+     */
+    function _initializeAirdrop(address tokenAddress, address admin) internal {
+        require(tokenAddress != address(0), "Airdrop: token address is zero");
+        _addRewardToken(tokenAddress);
+        token = IERC20(tokenAddress);
+        emit UpdateTokenAddress(tokenAddress);
+        _setGuardian(admin);
+        signer = admin;
+        emit SignerUpdated(address(0), admin, 0);
+    }
+
+    /**
+     * @dev Sets the address whose signature the vouchers must carry.
+     * Vouchers of the current signer stay valid for `gracePeriod` seconds, replacing any earlier grace period;
+     * with a zero grace period they are rejected right away.
+     * Can only be called by the current owner.
+     *
+     * Emits a {SignerUpdated} event.
+     * @param newSigner Signer address.
+     * @param gracePeriod Seconds the current signer is still accepted.
+     */
+    function setSigner(address newSigner, uint256 gracePeriod) external override onlyOwner {
+        require(newSigner != address(0), "Airdrop: signer is the zero address");
+        previousSigner = signer;
+        previousSignerExpiry = block.timestamp + gracePeriod;
+        signer = newSigner;
+        emit SignerUpdated(previousSigner, newSigner, previousSignerExpiry);
+    }
+
+    /**
+     * @dev Checks if vouchers signed by the account are accepted: it is the signer,
+     * or the previous signer before the end of its grace period.
+     */
+    function isSigner(address account) public view override returns (bool) {
+        return account == signer || (account == previousSigner && block.timestamp < previousSignerExpiry);
+    }
+
+    /**
+     * @dev Sets the address that can pause and unpause drops and claims.
+     * Can only be called by the current owner.
+     *
+     * Emits an {UpdateGuardian} event.
+     * @param newGuardian Guardian address, the zero address leaves the contract without a guardian.
+     */
+    function setGuardian(address newGuardian) external override onlyOwner {
+        _setGuardian(newGuardian);
+    }
+
+    /**
+     * @dev Stops drops, merkle campaigns and claims until {unpause} is called.
+     * Deposits, withdrawals, sweeps and the other owner functions keep working.
+     * Can only be called by the guardian.
+     *
+     * Emits a {Paused} event.
+     */
+    function pause() external override onlyGuardian {
+        _pause();
+    }
+
+    /**
+     * @dev Resumes drops, merkle campaigns and claims.
+     * Can only be called by the guardian.
+     *
+     * Emits an {Unpaused} event.
+     */
+    function unpause() external override onlyGuardian {
+        _unpause();
+    }
+
+     /**
+     * @dev Transfers default reward tokens from owner to this contract.
+     * Can only be called by the current owner.
+     *
+     * Emits an {DepositTokens} event that indicates from what address and how many tokens was transferred to the contract.
+     * @param amount Amount of tokens.
+     */
+    function depositTokens(uint256 amount) external override onlyOwner {
+        _depositTokens(address(token), amount);
+    }
+
+    /**
+     * @dev Transfers default reward tokens from owner to this contract in a single transaction,
+     * using an ERC-2612 permit signed by the owner for this contract instead of a prior `approve`.
+     * A permit that fails because it was already submitted, e.g. by someone who saw it in the mempool,
+     * doesn't stop the deposit as long as the allowance covers the amount.
+     * Can only be called by the current owner.
+     *
+     * Emits an {DepositTokens} event that indicates from what address and how many tokens was transferred to the contract.
+     * @param amount Amount of tokens, the value of the permit.
+     * @param deadline Deadline of the permit.
+     * @param v Recovery id of the permit signature.
+     * @param r R part of the permit signature.
+     * @param s S part of the permit signature.
+     */
+    function depositTokensWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external override onlyOwner {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+        } catch (bytes memory reason) {
+            if (token.allowance(msg.sender, address(this)) < amount) {
+                assembly {
+                    revert(add(reason, 32), mload(reason))
+                }
+            }
+        }
+        _depositTokens(address(token), amount);
+    }
+
+    /**
+     * @dev Transfers reward tokens of the registry from owner to this contract.
+     * Can only be called by the current owner.
+     *
+     * Emits an {DepositRewardTokens} event, or an {DepositTokens} event for the default token, that indicates from what address and how many tokens was transferred to the contract.
+     * @param tokenAddress Reward token address.
+     * @param amount Amount of tokens.
+     */
+    function depositRewardTokens(address tokenAddress, uint256 amount) external override onlyOwner {
+        require(rewardTokens[tokenAddress], "Airdrop: token isn't a reward token");
+        _depositTokens(tokenAddress, amount);
+    }
+
+    /**
+     * @dev Registers an ERC-20 token as an allowed reward.
+     * Can only be called by the current owner.
+     *
+     * Emits an {AddRewardToken} event.
+     * @param tokenAddress ERC-20 token address.
+     */
+    function addRewardToken(address tokenAddress) external override onlyOwner {
+        require(tokenAddress != address(0), "Airdrop: token address is zero");
+        require(!rewardTokens[tokenAddress], "Airdrop: token is already a reward token");
+        _addRewardToken(tokenAddress);
+    }
+
+    /**
+     * @dev Removes an ERC-20 token from the allowed rewards, so it can't be deposited or dropped anymore.
+     * Already dropped balances of the token can still be claimed and its deposits withdrawn.
+     * Can only be called by the current owner.
+     *
+     * Emits an {RemoveRewardToken} event.
+     * @param tokenAddress ERC-20 token address.
+     */
+    function removeRewardToken(address tokenAddress) external override onlyOwner {
+        require(rewardTokens[tokenAddress], "Airdrop: token isn't a reward token");
+        require(tokenAddress != address(token), "Airdrop: can't remove the default token");
+
+        rewardTokens[tokenAddress] = false;
+        for (uint256 i = 0; i < _rewardTokenList.length; i++) {
+            if (_rewardTokenList[i] == tokenAddress) {
+                _rewardTokenList[i] = _rewardTokenList[_rewardTokenList.length - 1];
+                _rewardTokenList.pop();
+                break;
+            }
+        }
+        emit RemoveRewardToken(tokenAddress);
+    }
+
+    /**
+     * @dev Returns the allowed reward tokens.
+     */
+    function getRewardTokens() external view returns (address[] memory) {
+        return _rewardTokenList;
+    }
+
+    /**
+     * @dev Returns the deposited and not yet claimed amount of the default reward token.
+     */
+    function totalTokenSupply() external view returns (uint256) {
+        return rewardTokenSupplies[address(token)];
+    }
+
+    /**
+     * @dev Returns the eligible amount of the default reward token for the recipient.
+     */
+    function tokenBalances(address recipient) external view returns (uint256) {
+        return rewardTokenBalances[address(token)][recipient];
+    }
+
+    /**
+     * @dev Transfers ether from owner to this contract.
+     * Can only be called by the current owner.
+     *
+     * Emits an {DepositEther} event that indicates from what address and how many ether was transferred to the contract.
+     * Without parameters.
+     */
+    function depositEther() external payable override onlyOwner {
+        emit DepositEther(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Transfers the ether surplus back to the owner, ether still owed to recipients stays in the contract.
+     * Can only be called by the current owner.
+     *
+     * Emits an {WithdrawEther} event that indicates to what address and how many ether were withdrawn from the contract.
+     * Without parameters.
+     */
+    function withdrawEther() external override onlyOwner {
+        uint256 balance = address(this).balance;
+        require(balance > 0, "Airdrop: no ether in the contact");
+        require(balance > etherLiability, "Airdrop: no surplus to withdraw");
+
+        uint256 amount = balance - etherLiability;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Airdrop: unable to send value, recipient may have reverted");
+        emit WithdrawEther(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the holdings of the asset, the amount dropped to recipients and not claimed yet,
+     * and the difference between them: a surplus if positive, a deficit if negative.
+     * Rewards of vouchers and merkle campaigns aren't liabilities until they are claimed.
+     * The liability of the default token counts against the balance while it is minted on claim too,
+     * because minting can be disabled again and the balances are then paid from deposits.
+     *
+     * @param rewardType Token address, or the zero address for ether.
+     */
+    function solvency(address rewardType) public view override returns (uint256 balance, uint256 liability, int256 surplus) {
+        if (rewardType == address(0)) {
+            balance = address(this).balance;
+            liability = etherLiability;
+        } else {
+            balance = IERC20(rewardType).balanceOf(address(this));
+            liability = rewardTokenLiabilities[rewardType];
+        }
+        surplus = int256(balance) - int256(liability);
+    }
+
+    /**
+     * @dev Checks if the message is signed by the signer, or by the previous signer during its grace period.
+     *
+     * @param dropStruct Structure consisting of: 
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  bytes signature
+     */
+    function checkSign(DropStruct calldata dropStruct) external view returns (bool) {
+        return _checkSign(dropStruct);
+    }
+
+    /**
+     * @dev Sets the eligible tokens and ether amounts for recipients.
+     * Can only be called by the current owner.
+     * The owner should sign the transaction.
+     *
+     * @param dropStructs An array of structures consisting of: 
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  bytes signature
+     */
+    function drop(DropStruct[] calldata dropStructs) external onlyOwner whenNotPaused {
+        for (uint256 i = 0; i < dropStructs.length; i++) {           
+            if (dropStructs[i].rewardType == address(0)) {
+                dropEther(dropStructs[i]);
+            } else if (rewardTokens[dropStructs[i].rewardType]) {
+                dropTokens(dropStructs[i]);
+            } else {
+                revert("Airdrop: such reward doesn't exist");
+            }
+        }
+    }
+    
+    /**
+     * @dev Transfers default reward tokens to beneficiary.
+     *
+     * Emits an {ClaimTokens} event that indicates to what address and how much tokens were withdrawn from the contract.
+     * Without parameters.
+     */
+    function claimTokens() external override whenNotPaused {
+        _sendTokens(address(token), msg.sender, msg.sender, _claimTokens(address(token), msg.sender), 0);
+    }
+
+    /**
+     * @dev Transfers reward tokens to beneficiary.
+     *
+     * Emits an {ClaimRewardTokens} event, or an {ClaimTokens} event for the default token, that indicates to what address and how much tokens were withdrawn from the contract.
+     * @param tokenAddress Reward token address.
+     */
+    function claimRewardTokens(address tokenAddress) external override whenNotPaused {
+        _sendTokens(tokenAddress, msg.sender, msg.sender, _claimTokens(tokenAddress, msg.sender), 0);
+    }
+
+    /**
+     * @dev Transfers tokens to beneficiary.
+     *
+     * Emits an {ClaimEther} event that indicates to what address and how much ether were withdrawn from the contract.
+     * Without parameters.
+     */
+    function claimEther() external override whenNotPaused {
+        _sendEther(msg.sender, msg.sender, _claimEther(msg.sender), 0);
+    }
+
+    /**
+     * @dev Transfers every claimable balance of the caller to another address, such as a cold wallet
+     * or an exchange deposit address: the eligible and vested amounts of every reward token and the ether.
+     * Expired balances are skipped, balances of removed reward tokens are claimed with claimRewardTokens.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event for the caller followed by an {ClaimToBeneficiary} event
+     * for every transferred balance.
+     * @param beneficiary Address that receives the claimed rewards.
+     */
+    function claimTo(address beneficiary) external override whenNotPaused {
+        require(beneficiary != address(0), "Airdrop: beneficiary is the zero address");
+        _claimAll(beneficiary);
+    }
+
+    /**
+     * @dev Transfers every claimable balance of the caller to the caller in one transaction, see claimTo.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {ClaimToBeneficiary} event for every balance.
+     */
+    function claimAll() external override whenNotPaused {
+        _claimAll(msg.sender);
+    }
+
+    /**
+     * @dev Claims the tokens or ether of a recipient that signed a ClaimRequest, so that anyone, usually a relayer,
+     * pays the gas. The recipient gets the claimed amount minus the fee, which goes to the caller.
+     * Every request carries the next nonce of the recipient and can be used only once.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event with the whole claimed amount, followed by an {RelayClaim} event.
+     *
+     * @param request Structure consisting of:
+     *  address recipient,
+     *  address rewardType,
+     *  uint256 fee,
+     *  uint256 nonce,
+     *  uint256 deadline,
+     *  bytes signature
+     */
+    function claimFor(ClaimRequestStruct calldata request) external override whenNotPaused {
+        require(request.deadline > block.timestamp, "Airdrop: deadline of this request has expired");
+        require(request.nonce == claimNonces[request.recipient], "Airdrop: invalid nonce of the request");
+        require(SignatureChecker.isValidSignatureNow(request.recipient, _hashClaimRequest(request), request.signature), "Airdrop: this request wasn't signed by recipient");
+        claimNonces[request.recipient]++;
+
+        uint256 amount = request.rewardType == address(0)
+            ? _claimEther(request.recipient)
+            : _claimTokens(request.rewardType, request.recipient);
+        require(request.fee <= amount, "Airdrop: fee exceeds the claimed amount");
+
+        if (request.rewardType == address(0)) {
+            _sendEther(request.recipient, request.recipient, amount, request.fee);
+        } else {
+            _sendTokens(request.rewardType, request.recipient, request.recipient, amount, request.fee);
+        }
+        emit RelayClaim(request.recipient, request.rewardType, msg.sender, request.fee, request.nonce);
+    }
+
+    /**
+     * @dev Publishes the merkle root of a new claim campaign.
+     * Can only be called by the current owner.
+     *
+     * Emits an {CreateMerkleCampaign} event that indicates the id and the root of the campaign.
+     *
+     * @param merkleRoot Root of the tree built from (index, recipient, amount, rewardType) leaves.
+     * @return campaignId Id of the created campaign.
+     */
+    function createMerkleCampaign(bytes32 merkleRoot) external override onlyOwner whenNotPaused returns (uint256 campaignId) {
+        require(merkleRoot != bytes32(0), "Airdrop: merkle root is zero");
+
+        campaignId = merkleCampaignsCount++;
+        merkleRoots[campaignId] = merkleRoot;
+        if (claimWindow > 0) {
+            merkleClaimDeadlines[campaignId] = block.timestamp + claimWindow;
+        }
+        emit CreateMerkleCampaign(campaignId, merkleRoot);
+    }
+
+    /**
+     * @dev Transfers tokens or ether of a merkle campaign leaf to its recipient.
+     * Every leaf can be claimed only once.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event that indicates to what address and how much reward were withdrawn from the contract.
+     *
+     * @param campaignId Id of the merkle campaign.
+     * @param index Index of the leaf in the campaign.
+     * @param amount Amount of the reward.
+     * @param rewardType Token address or zero address for ether.
+     * @param merkleProof Proof of the leaf (index, msg.sender, amount, rewardType).
+     */
+    function claimWithProof(
+        uint256 campaignId,
+        uint256 index,
+        uint256 amount,
+        address rewardType,
+        bytes32[] calldata merkleProof
+    ) external override whenNotPaused {
+        require(merkleRoots[campaignId] != bytes32(0), "Airdrop: campaign doesn't exist");
+        require(_isOpen(merkleClaimDeadlines[campaignId]), "Airdrop: claim window has expired");
+        require(!isClaimed(campaignId, index), "Airdrop: drop already claimed");
+
+        bytes32 leaf = keccak256(abi.encodePacked(index, msg.sender, amount, rewardType));
+        require(MerkleProof.verify(merkleProof, merkleRoots[campaignId], leaf), "Airdrop: invalid merkle proof");
+
+        require(rewardType == address(0) || rewardTokens[rewardType], "Airdrop: such reward doesn't exist");
+
+        _claimedBitMaps[campaignId][index / 256] |= 1 << (index % 256);
+        _sendSurplus(rewardType, msg.sender, amount);
+        emit ClaimWithProof(campaignId, index, msg.sender);
+    }
+
+    /**
+     * @dev Checks if the leaf of a merkle campaign was already claimed.
+     *
+     * @param campaignId Id of the merkle campaign.
+     * @param index Index of the leaf in the campaign.
+     */
+    function isClaimed(uint256 campaignId, uint256 index) public view override returns (bool) {
+        uint256 mask = 1 << (index % 256);
+        return _claimedBitMaps[campaignId][index / 256] & mask == mask;
+    }
+
+    /**
+     * @dev Transfers tokens or ether of an owner-signed voucher to its recipient.
+     * Can only be called by the recipient of the voucher, every voucher can be used only once.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event that indicates to what address and how much reward were withdrawn from the contract,
+     * followed by an {ClaimWithVoucher} event.
+     *
+     * @param dropStruct Structure consisting of: 
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  bytes signature
+     */
+    function claimWithVoucher(DropStruct calldata dropStruct) external override whenNotPaused {
+        require(dropStruct.recipient == msg.sender, "Airdrop: caller is not the recipient");
+        require(dropStruct.deadline > block.timestamp, "Airdrop: deadline of this message has expired");
+        require(dropStruct.rewardType == address(0) || rewardTokens[dropStruct.rewardType], "Airdrop: invalid reward type in the message");
+        require(_checkSign(dropStruct), "Airdrop: this message wasn't signed by signer");
+        bytes32 voucher = _useVoucher(dropStruct);
+
+        _sendSurplus(dropStruct.rewardType, msg.sender, dropStruct.amount);
+        emit ClaimWithVoucher(voucher, msg.sender);
+    }
+
+    /**
+     * @dev Sets the eligible amount of a reward token for recipient.
+     * Can only be called by the current owner.
+     * The owner should sign the transaction.
+     *
+     * Emits an {DropTokens} event for the default token, or an {DropRewardTokens} event for other reward tokens,
+     * that indicates that the eligible tokens amount was set for recipient. An expired balance of the recipient
+     * is swept first, with an {SweepExpired} event.
+     *
+     * @param dropStruct Structure consisting of: 
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  bytes signature
+     */
+    function dropTokens(DropStruct calldata dropStruct) public override onlyOwner whenNotPaused {
+        require(dropStruct.deadline > block.timestamp, "Airdrop: deadline of this message has expired");
+        require(rewardTokens[dropStruct.rewardType], "Airdrop: invalid reward type in the message");
+        require(_checkSign(dropStruct), "Airdrop: this message wasn't signed by signer");
+        _useVoucher(dropStruct);
+
+        _openClaimWindow(dropStruct.rewardType, dropStruct.recipient);
+        rewardTokenBalances[dropStruct.rewardType][dropStruct.recipient] += dropStruct.amount;
+        rewardTokenLiabilities[dropStruct.rewardType] += dropStruct.amount;
+        _emitDropTokens(dropStruct.recipient, dropStruct.rewardType, dropStruct.amount);
+    }
+
+    /**
+     * @dev Adds a vesting schedule of a reward token for recipient. Nothing can be claimed before the cliff,
+     * then the amount vests linearly from the start until the end of the duration.
+     * Vested tokens are released by claimTokens/claimRewardTokens together with the dropped balance,
+     * they don't expire with the claim window and can't be swept. The schedule must end by the largest uint64
+     * timestamp and the amount must fit into uint128.
+     * Can only be called by the current owner.
+     * The owner should sign the transaction.
+     *
+     * Emits an {DropTokens} or {DropRewardTokens} event followed by an {VestTokens} event with the schedule.
+     *
+     * @param vestingStruct Structure consisting of:
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  uint256 start,
+     *  uint256 cliff,
+     *  uint256 duration,
+     *  bytes signature
+     */
+    function dropVestedTokens(VestingDropStruct calldata vestingStruct) external override onlyOwner whenNotPaused {
+        require(vestingStruct.deadline > block.timestamp, "Airdrop: deadline of this message has expired");
+        require(rewardTokens[vestingStruct.rewardType], "Airdrop: invalid reward type in the message");
+        // bounded so that _vestedAmount can't overflow and block the claims of the recipient
+        require(
+            vestingStruct.duration > 0 && vestingStruct.cliff <= vestingStruct.duration
+                && vestingStruct.start <= type(uint64).max && vestingStruct.duration <= type(uint64).max - vestingStruct.start
+                && vestingStruct.amount <= type(uint128).max,
+            "Airdrop: invalid vesting schedule"
+        );
+        bytes32 hash = _hashVestingDropStruct(vestingStruct);
+        require(_isValidSignature(hash, vestingStruct.signature), "Airdrop: this message wasn't signed by signer");
+        _useDigest(hash);
+
+        _vestingSchedules[vestingStruct.rewardType][vestingStruct.recipient].push(VestingSchedule({
+            amount: vestingStruct.amount,
+            claimed: 0,
+            start: vestingStruct.start,
+            cliff: vestingStruct.cliff,
+            duration: vestingStruct.duration
+        }));
+        rewardTokenLiabilities[vestingStruct.rewardType] += vestingStruct.amount;
+        _emitDropTokens(vestingStruct.recipient, vestingStruct.rewardType, vestingStruct.amount);
+        emit VestTokens(vestingStruct.recipient, vestingStruct.rewardType, vestingStruct.start, vestingStruct.cliff, vestingStruct.duration);
+    }
+
+    /**
+     * @dev Returns the vesting totals of the recipient over all its schedules of the token:
+     * the vested amount, the claimed part of it and the amount that isn't vested yet.
+     *
+     * @param tokenAddress Reward token address.
+     * @param recipient Recipient of the schedules.
+     */
+    function vestingOf(address tokenAddress, address recipient) external view override returns (uint256 vested, uint256 claimed, uint256 locked) {
+        VestingSchedule[] storage schedules = _vestingSchedules[tokenAddress][recipient];
+        for (uint256 i = 0; i < schedules.length; i++) {
+            uint256 vestedAmount = _vestedAmount(schedules[i]);
+            vested += vestedAmount;
+            claimed += schedules[i].claimed;
+            locked += schedules[i].amount - vestedAmount;
+        }
+    }
+
+    /**
+     * @dev Returns the vesting schedules of the recipient for the token.
+     */
+    function getVestingSchedules(address tokenAddress, address recipient) external view returns (VestingSchedule[] memory) {
+        return _vestingSchedules[tokenAddress][recipient];
+    }
+
+    /**
+     * @dev Sets the eligible ether amount for recipient.
+     * Can only be called by the current owner.
+     * The owner should sign the transaction.
+     *
+     * Emits an {DropEther} event that indicates that the eligible ether amount was set for recipient.
+     * An expired balance of the recipient is swept first, with an {SweepExpired} event.
+     *
+     * @param dropStruct Structure consisting of: 
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  bytes signature
+     */
+    function dropEther(DropStruct calldata dropStruct) public override onlyOwner whenNotPaused {
+        require(dropStruct.deadline > block.timestamp, "Airdrop: deadline of this message has expired");
+        require(dropStruct.rewardType == address(0), "Airdrop: invalid reward type in the message");
+        require(_checkSign(dropStruct), "Airdrop: this message wasn't signed by signer");
+        _useVoucher(dropStruct);
+
+        _openClaimWindow(address(0), dropStruct.recipient);
+        etherBalances[dropStruct.recipient] += dropStruct.amount;
+        etherLiability += dropStruct.amount;
+        emit DropEther(dropStruct.recipient, dropStruct.amount);
+    }
+
+    /**
+     * @dev Updates the default reward token address and registers the token if needed.
+     * Deposits and balances of the previous token are kept, it stays in the registry.
+     * Can only be called by the current owner.
+     *
+     * Emits an {UpdateTokenAddress} event that indicates a change in the token address.
+     *
+     * @param tokenAddress ERC-20 token address.
+     */
+    function updateTokenAddress(address tokenAddress) public override onlyOwner {
+        require(tokenAddress != address(0), "Airdrop: update token to zero address");
+        if (!rewardTokens[tokenAddress]) {
+            _addRewardToken(tokenAddress);
+        }
+        token = IERC20(tokenAddress);
+        emit UpdateTokenAddress(tokenAddress);
+    }
+  
+    /**
+     * @dev Transfers the surplus of default reward tokens back to the owner.
+     * Can only be called by the current owner.
+     *
+     * Emits an {WithdrawTokens} event that indicates to what address and how many tokens were withdrawn from the contract.
+     * Without parameters.
+     */
+    function withdrawTokens() public override onlyOwner {
+        _withdrawTokens(address(token));
+    }
+
+    /**
+     * @dev Transfers the token surplus back to the owner, tokens still owed to recipients stay in the contract.
+     * Works for tokens removed from the registry as well.
+     * Can only be called by the current owner.
+     *
+     * Emits an {WithdrawRewardTokens} event, or an {WithdrawTokens} event for the default token, that indicates to what address and how many tokens were withdrawn from the contract.
+     * @param tokenAddress ERC-20 token address.
+     */
+    function withdrawRewardTokens(address tokenAddress) public override onlyOwner {
+        _withdrawTokens(tokenAddress);
+    }
+
+    /**
+     * @dev Sets how long dropped balances and merkle campaigns can be claimed, zero disables the expiry.
+     * The window applies to drops and campaigns created after the update.
+     * Can only be called by the current owner.
+     *
+     * Emits an {UpdateClaimWindow} event.
+     *
+     * @param window Claim window in seconds.
+     */
+    function setClaimWindow(uint256 window) external override onlyOwner {
+        claimWindow = window;
+        emit UpdateClaimWindow(window);
+    }
+
+    /**
+     * @dev Enables or disables minting of the default reward token on claim. While enabled, every claim of
+     * the default token mints it to the recipient instead of transferring it from deposits, so drops don't
+     * need to be funded; the token must have granted the minter role to this contract.
+     * Deposits made before stay in the contract; like the rest of the balance, only the part above the liability
+     * can be withdrawn, so that dropped balances can still be paid if minting is disabled again.
+     * Can only be called by the current owner.
+     *
+     * Emits an {UpdateMintOnClaim} event.
+     *
+     * @param enabled Whether claims of the default token are minted.
+     */
+    function setMintOnClaim(bool enabled) external override onlyOwner {
+        mintOnClaim = enabled;
+        emit UpdateMintOnClaim(enabled);
+    }
+
+    /**
+     * @dev Reclaims the expired balances of the recipients, recipients whose balance hasn't expired are skipped.
+     * The swept amounts are no longer owed, so they become surplus and can be withdrawn.
+     * Can only be called by the current owner.
+     *
+     * Emits an {SweepExpired} event with the amount swept from every recipient.
+     *
+     * @param rewardType Token address, or the zero address for ether.
+     * @param recipients Recipients to sweep.
+     */
+    function sweepExpired(address rewardType, address[] calldata recipients) external override onlyOwner {
+        uint256[] memory amounts = new uint256[](recipients.length);
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            amounts[i] = _sweepExpired(rewardType, recipients[i]);
+            total += amounts[i];
+        }
+        require(total > 0, "Airdrop: nothing to sweep");
+        emit SweepExpired(rewardType, recipients, amounts);
+    }
+
+    /**
+     * @dev Checks if the message is signed by the signer, or by the previous signer during its grace period.
+     *
+     * @param dropStruct Structure consisting of: 
+     *  address recipient,
+     *  uint256 amount,
+     *  uint256 deadline,
+     *  address rewardType,
+     *  uint256 nonce,
+     *  bytes signature
+     */
+    function _checkSign(DropStruct calldata dropStruct) internal view returns (bool) {
+        return _isValidSignature(_hashDropStruct(dropStruct), dropStruct.signature);
+    }
+
+    /**
+     * @dev Checks the signature against the signer and, during its grace period, the previous signer.
+     * A signer that is a contract, such as a multisig wallet, validates the signature with EIP-1271 `isValidSignature`.
+     */
+    function _isValidSignature(bytes32 hash, bytes calldata signature) private view returns (bool) {
+        return SignatureChecker.isValidSignatureNow(signer, hash, signature)
+            || (block.timestamp < previousSignerExpiry && SignatureChecker.isValidSignatureNow(previousSigner, hash, signature));
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of the message, the signature itself isn't part of it.
+     */
+    function _hashDropStruct(DropStruct calldata dropStruct) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            _CONTAINER_TYPE,
+            dropStruct.recipient,
+            dropStruct.amount,
+            dropStruct.deadline,
+            dropStruct.rewardType,
+            dropStruct.nonce
+        ));
+
+        return _hashTypedDataV4(structHash);
+    }
+
+    /**
+     * @dev Marks the message as used, so that it credits the reward only once
+     * whether it is submitted through a drop or claimed with a voucher.
+     * Returns the digest of the message.
+     */
+    function _useVoucher(DropStruct calldata dropStruct) private returns (bytes32 hash) {
+        hash = _hashDropStruct(dropStruct);
+        _useDigest(hash);
+    }
+
+    function _useDigest(bytes32 hash) private {
+        require(!usedVouchers[hash], "Airdrop: voucher already used");
+        usedVouchers[hash] = true;
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of the vesting message, the signature itself isn't part of it.
+     */
+    function _hashVestingDropStruct(VestingDropStruct calldata vestingStruct) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            _VESTING_CONTAINER_TYPE,
+            vestingStruct.recipient,
+            vestingStruct.amount,
+            vestingStruct.deadline,
+            vestingStruct.rewardType,
+            vestingStruct.nonce,
+            vestingStruct.start,
+            vestingStruct.cliff,
+            vestingStruct.duration
+        ));
+
+        return _hashTypedDataV4(structHash);
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of a claim request, the signature itself isn't part of it.
+     */
+    function _hashClaimRequest(ClaimRequestStruct calldata request) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            _CLAIM_REQUEST_TYPE,
+            request.recipient,
+            request.rewardType,
+            request.fee,
+            request.nonce,
+            request.deadline
+        ));
+
+        return _hashTypedDataV4(structHash);
+    }
+
+    /**
+     * @dev Returns the vested amount of the schedule at the current block.
+     */
+    function _vestedAmount(VestingSchedule storage schedule) private view returns (uint256) {
+        if (block.timestamp < schedule.start + schedule.cliff) {
+            return 0;
+        }
+        if (block.timestamp >= schedule.start + schedule.duration) {
+            return schedule.amount;
+        }
+        return schedule.amount * (block.timestamp - schedule.start) / schedule.duration;
+    }
+
+    /**
+     * @dev Marks everything vested and not claimed yet as claimed and returns its amount.
+     */
+    function _releaseVested(address tokenAddress, address recipient) private returns (uint256 amount) {
+        VestingSchedule[] storage schedules = _vestingSchedules[tokenAddress][recipient];
+        for (uint256 i = 0; i < schedules.length; i++) {
+            uint256 releasable = _vestedAmount(schedules[i]) - schedules[i].claimed;
+            schedules[i].claimed += releasable;
+            amount += releasable;
+        }
+    }
+
+    /**
+     * @dev Starts the claim window of a dropped balance. A balance that still holds earlier drops
+     * expires with the latest of them, and never if any of them has no expiry. Earlier drops that have
+     * already expired are swept first, so that a new drop doesn't make them claimable again.
+     *
+     * Emits an {SweepExpired} event if an expired balance was swept.
+     */
+    function _openClaimWindow(address rewardType, address recipient) private {
+        uint256 swept = _sweepExpired(rewardType, recipient);
+        if (swept > 0) {
+            address[] memory recipients = new address[](1);
+            uint256[] memory amounts = new uint256[](1);
+            recipients[0] = recipient;
+            amounts[0] = swept;
+            emit SweepExpired(rewardType, recipients, amounts);
+        }
+
+        uint256 previousBalance = rewardType == address(0) ? etherBalances[recipient] : rewardTokenBalances[rewardType][recipient];
+        uint256 deadline = claimWindow == 0 ? 0 : block.timestamp + claimWindow;
+        uint256 current = claimDeadlines[rewardType][recipient];
+        if (previousBalance > 0 && (current == 0 || deadline == 0)) {
+            deadline = 0;
+        } else if (previousBalance > 0 && current > deadline) {
+            deadline = current;
+        }
+        claimDeadlines[rewardType][recipient] = deadline;
+    }
+
+    /**
+     * @dev Reclaims the balance of the recipient if its claim window has expired and returns the swept amount,
+     * which is no longer owed.
+     */
+    function _sweepExpired(address rewardType, address recipient) private returns (uint256 amount) {
+        if (_isOpen(claimDeadlines[rewardType][recipient])) {
+            return 0;
+        }
+        if (rewardType == address(0)) {
+            amount = etherBalances[recipient];
+            etherBalances[recipient] = 0;
+            etherLiability -= amount;
+        } else {
+            amount = rewardTokenBalances[rewardType][recipient];
+            rewardTokenBalances[rewardType][recipient] = 0;
+            rewardTokenLiabilities[rewardType] -= amount;
+        }
+    }
+
+    /**
+     * @dev Checks a claim deadline, zero means the claim never expires.
+     */
+    function _isOpen(uint256 deadline) private view returns (bool) {
+        return deadline == 0 || deadline >= block.timestamp;
+    }
+
+    /**
+     * @dev Sets the guardian.
+     *
+     * Emits an {UpdateGuardian} event.
+     */
+    function _setGuardian(address newGuardian) private {
+        guardian = newGuardian;
+        emit UpdateGuardian(newGuardian);
+    }
+
+    /**
+     * @dev Adds the token to the registry.
+     *
+     * Emits an {AddRewardToken} event.
+     */
+    function _addRewardToken(address tokenAddress) private {
+        rewardTokens[tokenAddress] = true;
+        _rewardTokenList.push(tokenAddress);
+        emit AddRewardToken(tokenAddress);
+    }
+
+    /**
+     * @dev Transfers tokens from owner to this contract.
+     *
+     * Emits an {DepositTokens} or {DepositRewardTokens} event.
+     */
+    function _depositTokens(address tokenAddress, uint256 amount) private {
+        require(amount > 0, "Airdrop: zero transaction amount");
+
+        rewardTokenSupplies[tokenAddress] += amount;
+        IERC20(tokenAddress).safeTransferFrom(msg.sender, address(this), amount);
+        if (tokenAddress == address(token)) {
+            emit DepositTokens(msg.sender, amount);
+        } else {
+            emit DepositRewardTokens(msg.sender, tokenAddress, amount);
+        }
+    }
+
+    /**
+     * @dev Transfers the token balance of this contract above the liability back to the owner.
+     * What stays in the contract is exactly what recipients are owed, so it becomes the supply.
+     *
+     * Emits an {WithdrawTokens} or {WithdrawRewardTokens} event.
+     */
+    function _withdrawTokens(address tokenAddress) private {
+        uint256 balance = IERC20(tokenAddress).balanceOf(address(this));
+        require(balance > 0, "Airdrop: none tokens in the contact");
+        uint256 liability = rewardTokenLiabilities[tokenAddress];
+        require(balance > liability, "Airdrop: no surplus to withdraw");
+
+        rewardTokenSupplies[tokenAddress] = liability;
+        IERC20(tokenAddress).safeTransfer(msg.sender, balance - liability);
+        if (tokenAddress == address(token)) {
+            emit WithdrawTokens(msg.sender, balance - liability);
+        } else {
+            emit WithdrawRewardTokens(msg.sender, tokenAddress, balance - liability);
+        }
+    }
+
+    /**
+     * @dev Clears the eligible amount of the token, together with the vested part of its schedules, and returns it.
+     * An expired balance is left for the sweep while vested tokens are still released.
+     */
+    function _claimTokens(address tokenAddress, address recipient) private returns (uint256 amount) {
+        uint256 balance;
+        (balance, amount) = _releaseTokens(tokenAddress, recipient);
+        require(balance > 0 || amount > 0, "Airdrop: no tokens available");
+        require(amount > 0, "Airdrop: claim window has expired");
+    }
+
+    /**
+     * @dev Releases the eligible amount of the token if its claim window is open and the vested part of its schedules.
+     * Returns the dropped balance before the release and the released amount.
+     */
+    function _releaseTokens(address tokenAddress, address recipient) private returns (uint256 balance, uint256 amount) {
+        balance = rewardTokenBalances[tokenAddress][recipient];
+        amount = _releaseVested(tokenAddress, recipient);
+        if (balance > 0 && _isOpen(claimDeadlines[tokenAddress][recipient])) {
+            rewardTokenBalances[tokenAddress][recipient] = 0;
+            amount += balance;
+        }
+        rewardTokenLiabilities[tokenAddress] -= amount;
+    }
+
+    /**
+     * @dev Transfers the released balances of every reward token and the ether balance of the caller to the beneficiary.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {ClaimToBeneficiary} event for every balance.
+     */
+    function _claimAll(address beneficiary) private {
+        bool claimed;
+        for (uint256 i = 0; i < _rewardTokenList.length; i++) {
+            address tokenAddress = _rewardTokenList[i];
+            (, uint256 amount) = _releaseTokens(tokenAddress, msg.sender);
+            if (amount > 0) {
+                _sendTokens(tokenAddress, msg.sender, beneficiary, amount, 0);
+                emit ClaimToBeneficiary(msg.sender, beneficiary, tokenAddress, amount);
+                claimed = true;
+            }
+        }
+        if (etherBalances[msg.sender] > 0 && _isOpen(claimDeadlines[address(0)][msg.sender])) {
+            uint256 amount = _claimEther(msg.sender);
+            _sendEther(msg.sender, beneficiary, amount, 0);
+            emit ClaimToBeneficiary(msg.sender, beneficiary, address(0), amount);
+            claimed = true;
+        }
+        require(claimed, "Airdrop: nothing to claim");
+    }
+
+    /**
+     * @dev Clears the dropped ether balance of the recipient and returns it.
+     */
+    function _claimEther(address recipient) private returns (uint256 amount) {
+        require(etherBalances[recipient] > 0, "Airdrop: there are no ether in your address");
+        require(_isOpen(claimDeadlines[address(0)][recipient]), "Airdrop: claim window has expired");
+
+        amount = etherBalances[recipient];
+        etherBalances[recipient] = 0;
+        etherLiability -= amount;
+    }
+
+    /**
+     * @dev Transfers a reward that isn't a liability, so it can't take what recipients of drops are owed.
+     *
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event.
+     */
+    function _sendSurplus(address rewardType, address to, uint256 amount) private {
+        (, , int256 surplus) = solvency(rewardType);
+        if (rewardType == address(0)) {
+            require(surplus >= int256(amount), "Airdrop: contract doesn't own enough ether");
+            _sendEther(to, to, amount, 0);
+        } else {
+            require(_isMinted(rewardType) || surplus >= int256(amount), "Airdrop: contract doesn't own enough tokens");
+            _sendTokens(rewardType, to, to, amount, 0);
+        }
+    }
+
+    /**
+     * @dev Transfers deposited tokens claimed by the holder to `to`, of which `fee` goes to the caller.
+     *
+     * Emits an {ClaimTokens} or {ClaimRewardTokens} event for the holder.
+     */
+    function _sendTokens(address tokenAddress, address holder, address to, uint256 amount, uint256 fee) private {
+        if (_isMinted(tokenAddress)) {
+            _mintTokens(tokenAddress, to, amount, fee);
+        } else {
+            require(rewardTokenSupplies[tokenAddress] >= amount, "Airdrop: contract doesn't own enough tokens");
+
+            rewardTokenSupplies[tokenAddress] -= amount;
+            IERC20(tokenAddress).safeTransfer(to, amount - fee);
+            if (fee > 0) {
+                IERC20(tokenAddress).safeTransfer(msg.sender, fee);
+            }
+        }
+
+        if (tokenAddress == address(token)) {
+            emit ClaimTokens(holder, amount);
+        } else {
+            emit ClaimRewardTokens(holder, tokenAddress, amount);
+        }
+    }
+
+    /**
+     * @dev Emits the original {DropTokens} event for the default token, {DropRewardTokens} for other reward tokens.
+     */
+    function _emitDropTokens(address to, address tokenAddress, uint256 amount) private {
+        if (tokenAddress == address(token)) {
+            emit DropTokens(to, amount);
+        } else {
+            emit DropRewardTokens(to, tokenAddress, amount);
+        }
+    }
+
+    /**
+     * @dev Mints claimed tokens to `to`, of which `fee` to the caller.
+     *
+     * Emits an {MintTokens} event.
+     */
+    function _mintTokens(address tokenAddress, address to, uint256 amount, uint256 fee) private {
+        IMintableToken(tokenAddress).mint(to, amount - fee);
+        if (fee > 0) {
+            IMintableToken(tokenAddress).mint(msg.sender, fee);
+        }
+        emit MintTokens(tokenAddress, amount);
+    }
+
+    /**
+     * @dev Checks if claims of the token are minted instead of paid from deposits.
+     */
+    function _isMinted(address tokenAddress) private view returns (bool) {
+        return mintOnClaim && tokenAddress == address(token);
+    }
+
+    /**
+     * @dev Transfers ether claimed by the holder to `to`, of which `fee` goes to the caller.
+     *
+     * Emits an {ClaimEther} event for the holder.
+     */
+    function _sendEther(address holder, address to, uint256 amount, uint256 fee) private {
+        require(amount <= address(this).balance, "Airdrop: contract doesn't own enough ether");
+
+        (bool success, ) = payable(to).call{value: amount - fee}("");
+        require(success, "Airdrop: unable to send value, recipient may have reverted");
+        if (fee > 0) {
+            (success, ) = payable(msg.sender).call{value: fee}("");
+            require(success, "Airdrop: unable to send value, recipient may have reverted");
+        }
+        emit ClaimEther(holder, amount);
+    }
+}
\ No newline at end of file
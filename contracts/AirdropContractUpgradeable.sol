@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./AirdropBase.sol";
+
+/**
+ * @dev Airdrop deployed behind an AirdropProxy, so that fixes can be shipped by upgrading the implementation,
+ * and the implementation of the campaigns of an AirdropFactory.
+ * The proxy address is the `verifyingContract` of the EIP-712 domain, signed vouchers and balances survive upgrades.
+ * The implementation itself can't be initialized and holds nothing.
+ */
+contract AirdropContractUpgradeable is Initializable, AirdropBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes a proxy or a clone in place of a constructor: the accepted token becomes the default reward token
+     * and `owner_` the owner, the guardian and the signer. Pass it as the data of the AirdropProxy constructor,
+     * or call it in the transaction that creates the clone, so that nobody else can initialize it first.
+     *
+     * @param tokenAddress ERC-20 token address.
+     * @param owner_ Owner of the airdrop.
+     */
+    function initialize(address tokenAddress, address owner_) external initializer {
+        require(owner_ != address(0), "Airdrop: owner is the zero address");
+        _transferOwnership(owner_);
+        _initializeAirdrop(tokenAddress, owner_);
+    }
+}
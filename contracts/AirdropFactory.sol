@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.14;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./interfaces/IAirdropFactory.sol";
+import "./AirdropContractUpgradeable.sol";
+
+/**
+ * @dev Deploys airdrop campaigns as EIP-1167 minimal proxies of one AirdropContractUpgradeable implementation.
+ * Every campaign has its own owner, reward token, funds and EIP-712 domain, whose `verifyingContract`
+ * is the campaign address, so a voucher signed for one campaign is worthless for the others.
+ * Campaigns can't be upgraded, a new implementation takes a new factory.
+ */
+contract AirdropFactory is IAirdropFactory, Ownable {
+
+    address public immutable implementation;
+    mapping(address => bool) public isCampaign;
+    address[] private _campaigns;
+
+    /**
+     * @param implementation_ AirdropContractUpgradeable implementation the campaigns delegate to.
+     */
+    constructor(address implementation_) {
+        require(implementation_ != address(0), "AirdropFactory: implementation is the zero address");
+        implementation = implementation_;
+    }
+
+    /**
+     * @dev Deploys and initializes a campaign in one transaction, so that nobody else can initialize it first.
+     * The owner of the campaign is its guardian and signer until it sets other ones.
+     *
+     * @param tokenAddress Default reward token of the campaign.
+     * @param owner Owner of the campaign.
+     */
+    function createCampaign(address tokenAddress, address owner) external override onlyOwner returns (address campaign) {
+        campaign = Clones.clone(implementation);
+        AirdropContractUpgradeable(campaign).initialize(tokenAddress, owner);
+        isCampaign[campaign] = true;
+        _campaigns.push(campaign);
+        emit CampaignCreated(campaign, owner, tokenAddress, _campaigns.length - 1);
+    }
+
+    function campaignsCount() external view override returns (uint256) {
+        return _campaigns.length;
+    }
+
+    function campaigns(uint256 index) external view override returns (address) {
+        return _campaigns[index];
+    }
+
+    function getCampaigns(uint256 offset, uint256 limit) external view override returns (address[] memory page) {
+        uint256 end = offset + limit;
+        if (end > _campaigns.length) {
+            end = _campaigns.length;
+        }
+        if (offset >= end) {
+            return page;
+        }
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _campaigns[i];
+        }
+    }
+}
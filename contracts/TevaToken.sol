@@ -2,10 +2,27 @@
 pragma solidity ^0.8.9;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Capped.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 
-contract TevaToken is ERC20, Ownable {
-    constructor() ERC20("Teva token", "TEVA") {}
+/**
+ * @dev Reward token of the airdrop. Implements ERC-2612 `permit`, so that allowances can be given
+ * with a signed EIP-712 message of domain ("Teva token", "1") instead of an `approve` transaction.
+ * The supply can never exceed `CAP`. Tokens are minted by accounts with the minter role,
+ * which can be granted to an AirdropContract that mints on claim.
+ */
+contract TevaToken is ERC20Capped, ERC20Permit, AccessControl {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    uint256 public constant CAP = 1_000_000_000 * 10**18;
+
+    /**
+     * @dev Grants the admin and the minter roles to the deployer.
+     */
+    constructor() ERC20("Teva token", "TEVA") ERC20Capped(CAP) ERC20Permit("Teva token") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+    }
 
     /**
      * @dev Creates `amount` tokens and assigns them to `account`, increasing
@@ -15,9 +32,11 @@ contract TevaToken is ERC20, Ownable {
      *
      * Requirements:
      *
+     * - the caller must have the minter role.
      * - `account` cannot be the zero address.
+     * - the total supply can't exceed the cap.
      */
-    function mint(address account, uint256 amount) public onlyOwner returns (bool) {    
+    function mint(address account, uint256 amount) public onlyRole(MINTER_ROLE) returns (bool) {    
         _mint(account, amount);
         return true;
     }
@@ -39,4 +58,7 @@ contract TevaToken is ERC20, Ownable {
         return true;
     }
 
-}
\ No newline at end of file
+    function _mint(address account, uint256 amount) internal override(ERC20, ERC20Capped) {
+        super._mint(account, amount);
+    }
+}
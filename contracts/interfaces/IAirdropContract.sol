@@ -8,20 +8,68 @@ interface IAirdropContract {
         uint256 amount;
         uint256 deadline;
         address rewardType;
-        bytes32 r;
-        bytes32 s;
-        uint8 v;
+        uint256 nonce;
+        bytes signature;
+    }
+
+    struct VestingDropStruct {
+        address recipient;
+        uint256 amount;
+        uint256 deadline;
+        address rewardType;
+        uint256 nonce;
+        uint256 start;
+        uint256 cliff;
+        uint256 duration;
+        bytes signature;
+    }
+
+    struct ClaimRequestStruct {
+        address recipient;
+        address rewardType;
+        uint256 fee;
+        uint256 nonce;
+        uint256 deadline;
+        bytes signature;
+    }
+
+    struct VestingSchedule {
+        uint256 amount;
+        uint256 claimed;
+        uint256 start;
+        uint256 cliff;
+        uint256 duration;
     }
 
     event UpdateTokenAddress(address newTokenAddress);
+    event UpdateGuardian(address indexed guardian);
+    event SignerUpdated(address indexed previousSigner, address indexed newSigner, uint256 previousSignerExpiry);
+    event AddRewardToken(address indexed token);
+    event RemoveRewardToken(address indexed token);
+    // Deposits, withdrawals, drops and claims of the default token keep their original events, without the token;
+    // the RewardTokens events are emitted for every other registered token.
     event DepositTokens(address indexed from, uint256 amount);
+    event DepositRewardTokens(address indexed from, address indexed token, uint256 amount);
     event DepositEther(address indexed from, uint256 amount);
     event WithdrawTokens(address indexed to, uint256 amount);
+    event WithdrawRewardTokens(address indexed to, address indexed token, uint256 amount);
     event WithdrawEther(address indexed to, uint256 amount);
     event DropTokens(address indexed to, uint256 amount);
+    event DropRewardTokens(address indexed to, address indexed token, uint256 amount);
     event DropEther(address indexed to, uint256 amount);
+    event VestTokens(address indexed to, address indexed token, uint256 start, uint256 cliff, uint256 duration);
     event ClaimTokens(address indexed to, uint256 amount);
+    event ClaimRewardTokens(address indexed to, address indexed token, uint256 amount);
     event ClaimEther(address indexed to, uint256 amount);
+    event ClaimWithProof(uint256 indexed campaignId, uint256 index, address indexed to);
+    event ClaimWithVoucher(bytes32 indexed voucher, address indexed to);
+    event ClaimToBeneficiary(address indexed holder, address indexed beneficiary, address indexed rewardType, uint256 amount);
+    event RelayClaim(address indexed to, address indexed rewardType, address indexed relayer, uint256 fee, uint256 nonce);
+    event UpdateClaimWindow(uint256 claimWindow);
+    event UpdateMintOnClaim(bool enabled);
+    event MintTokens(address indexed token, uint256 amount);
+    event SweepExpired(address indexed rewardType, address[] recipients, uint256[] amounts);
+    event CreateMerkleCampaign(uint256 indexed campaignId, bytes32 merkleRoot);
 
     /**
      * @dev Updates token address.
@@ -30,11 +78,64 @@ interface IAirdropContract {
     function updateTokenAddress(address tokenAddress) external;
 
     /**
-     * @dev Transfers tokens from owner to this contract.
+     * @dev Sets the address that can pause and unpause drops and claims.
+     * Emits an {UpdateGuardian} event.
+     */
+    function setGuardian(address newGuardian) external;
+
+    /**
+     * @dev Sets the voucher signer, the previous one is accepted during the grace period.
+     * Emits a {SignerUpdated} event.
+     */
+    function setSigner(address newSigner, uint256 gracePeriod) external;
+
+    /**
+     * @dev Checks if vouchers signed by the account are accepted.
+     */
+    function isSigner(address account) external view returns (bool);
+
+    /**
+     * @dev Stops drops, merkle campaigns and claims.
+     * Emits a {Paused} event.
+     */
+    function pause() external;
+
+    /**
+     * @dev Resumes drops, merkle campaigns and claims.
+     * Emits an {Unpaused} event.
+     */
+    function unpause() external;
+
+    /**
+     * @dev Registers an ERC-20 token as an allowed reward.
+     * Emits an {AddRewardToken} event.
+     */
+    function addRewardToken(address tokenAddress) external;
+
+    /**
+     * @dev Removes an ERC-20 token from the allowed rewards.
+     * Emits an {RemoveRewardToken} event.
+     */
+    function removeRewardToken(address tokenAddress) external;
+
+    /**
+     * @dev Transfers default reward tokens from owner to this contract.
      * Emits an {DepositTokens} event.
      */
     function depositTokens(uint256 amount) external;
 
+    /**
+     * @dev Approves default reward tokens with an ERC-2612 permit of the owner and transfers them to this contract.
+     * Emits an {DepositTokens} event.
+     */
+    function depositTokensWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+
+    /**
+     * @dev Transfers reward tokens of the registry from owner to this contract.
+     * Emits an {DepositRewardTokens} event, or an {DepositTokens} event for the default token.
+     */
+    function depositRewardTokens(address tokenAddress, uint256 amount) external;
+
     /**
      * @dev Transfers ether from owner to this contract.
      * Emits an {DepositEther} event.
@@ -42,24 +143,64 @@ interface IAirdropContract {
     function depositEther() external payable;
 
     /**
-     * @dev Transfers tokens back to the owner.
+     * @dev Transfers the surplus of default reward tokens back to the owner.
      * Emits an {WithdrawTokens} event.
      */
     function withdrawTokens() external;
 
+    /**
+     * @dev Transfers the token surplus back to the owner.
+     * Emits an {WithdrawRewardTokens} event, or an {WithdrawTokens} event for the default token.
+     */
+    function withdrawRewardTokens(address tokenAddress) external;
+
+    /**
+     * @dev Sets how long dropped balances and merkle campaigns can be claimed.
+     * Emits an {UpdateClaimWindow} event.
+     */
+    function setClaimWindow(uint256 window) external;
+
+    /**
+     * @dev Switches between paying the default reward token from deposits and minting it on claim.
+     * Emits an {UpdateMintOnClaim} event.
+     */
+    function setMintOnClaim(bool enabled) external;
 
     /**
-     * @dev Transfers ether back to the owner.
+     * @dev Reclaims the expired balances of the recipients.
+     * Emits an {SweepExpired} event.
+     */
+    function sweepExpired(address rewardType, address[] calldata recipients) external;
+
+
+    /**
+     * @dev Transfers the ether surplus back to the owner.
      * Emits an {WithdrawEther} event.
      */
     function withdrawEther() external;
 
     /**
-     * @dev Sets the eligible tokens amount for recipient.
-     * Emits an {DropTokens} event.
+     * @dev Returns the holdings, the unclaimed dropped amount and the surplus (negative for a deficit) of an asset.
+     */
+    function solvency(address rewardType) external view returns (uint256 balance, uint256 liability, int256 surplus);
+
+    /**
+     * @dev Sets the eligible amount of a reward token for recipient.
+     * Emits an {DropTokens} event for the default token, an {DropRewardTokens} event for other reward tokens.
      */
     function dropTokens(DropStruct calldata dropStruct) external;
 
+    /**
+     * @dev Adds a vesting schedule of a reward token for recipient.
+     * Emits an {DropTokens} or {DropRewardTokens} event followed by an {VestTokens} event.
+     */
+    function dropVestedTokens(VestingDropStruct calldata vestingStruct) external;
+
+    /**
+     * @dev Returns the vested, claimed and locked amounts of the recipient's vesting schedules.
+     */
+    function vestingOf(address tokenAddress, address recipient) external view returns (uint256 vested, uint256 claimed, uint256 locked);
+
     /**
      * @dev Sets the eligible ether amount for recipient.
      * Emits an {DropEther} event.
@@ -67,15 +208,68 @@ interface IAirdropContract {
     function dropEther(DropStruct calldata dropStruct) external;
     
     /**
-     * @dev Transfers tokens to beneficiary.
+     * @dev Transfers default reward tokens to beneficiary.
      * Emits an {ClaimTokens} event.
      */
     function claimTokens() external;
 
+    /**
+     * @dev Transfers reward tokens to beneficiary.
+     * Emits an {ClaimRewardTokens} event, or an {ClaimTokens} event for the default token.
+     */
+    function claimRewardTokens(address tokenAddress) external;
+
     /**
      * @dev Transfers tokens to beneficiary.
      * Emits an {ClaimEther} event.
      */
     function claimEther() external;
 
+    /**
+     * @dev Transfers every claimable token and ether balance of the caller to the beneficiary.
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {ClaimToBeneficiary} event for every balance.
+     */
+    function claimTo(address beneficiary) external;
+
+    /**
+     * @dev Transfers every claimable token and ether balance of the caller to the caller.
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {ClaimToBeneficiary} event for every balance.
+     */
+    function claimAll() external;
+
+    /**
+     * @dev Transfers tokens or ether of a recipient that signed a claim request, minus the fee for the caller.
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {RelayClaim} event.
+     */
+    function claimFor(ClaimRequestStruct calldata request) external;
+
+    /**
+     * @dev Publishes the merkle root of a new claim campaign.
+     * Emits an {CreateMerkleCampaign} event.
+     */
+    function createMerkleCampaign(bytes32 merkleRoot) external returns (uint256 campaignId);
+
+    /**
+     * @dev Transfers tokens or ether of a merkle campaign leaf to its recipient.
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {ClaimWithProof} event.
+     */
+    function claimWithProof(
+        uint256 campaignId,
+        uint256 index,
+        uint256 amount,
+        address rewardType,
+        bytes32[] calldata merkleProof
+    ) external;
+
+    /**
+     * @dev Checks if the leaf of a merkle campaign was already claimed.
+     */
+    function isClaimed(uint256 campaignId, uint256 index) external view returns (bool);
+
+    /**
+     * @dev Transfers tokens or ether of an owner-signed voucher to its recipient.
+     * Emits an {ClaimTokens}, {ClaimRewardTokens} or {ClaimEther} event followed by an {ClaimWithVoucher} event.
+     */
+    function claimWithVoucher(DropStruct calldata dropStruct) external;
+
 }
\ No newline at end of file
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+interface IAirdropFactory {
+
+    event CampaignCreated(address indexed campaign, address indexed owner, address indexed token, uint256 index);
+
+    /**
+     * @dev Deploys a campaign, a minimal proxy of the implementation initialized with its reward token and owner.
+     * Emits an {CampaignCreated} event.
+     */
+    function createCampaign(address tokenAddress, address owner) external returns (address campaign);
+
+    /**
+     * @dev Returns the number of campaigns created by the factory.
+     */
+    function campaignsCount() external view returns (uint256);
+
+    /**
+     * @dev Returns the campaign created at `index`, starting at zero.
+     */
+    function campaigns(uint256 index) external view returns (address);
+
+    /**
+     * @dev Returns the campaigns in creation order, from `offset` and at most `limit` of them.
+     */
+    function getCampaigns(uint256 offset, uint256 limit) external view returns (address[] memory);
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+/**
+ * @dev Token the airdrop can mint rewards of, such as TevaToken once it has granted the minter role to the airdrop.
+ */
+interface IMintableToken {
+    function mint(address account, uint256 amount) external returns (bool);
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.14;
+
+import "../AirdropContractUpgradeable.sol";
+
+/**
+ * @dev Next version of the upgradeable airdrop for upgrade tests.
+ */
+contract AirdropContractUpgradeableV2Mock is AirdropContractUpgradeable {
+    uint256 public upgradedAt;
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @dev Multisig wallet mock for tests. A signature is valid if it concatenates the 65-byte signatures
+ * of at least `threshold` owners, ordered by ascending owner address.
+ */
+contract ERC1271WalletMock is IERC1271 {
+    mapping(address => bool) public isOwner;
+    uint256 public threshold;
+
+    constructor(address[] memory owners, uint256 threshold_) {
+        require(threshold_ > 0 && threshold_ <= owners.length, "ERC1271WalletMock: invalid threshold");
+        for (uint256 i = 0; i < owners.length; i++) {
+            isOwner[owners[i]] = true;
+        }
+        threshold = threshold_;
+    }
+
+    /**
+     * @dev Returns the EIP-1271 magic value if enough owners signed the hash, 0xffffffff otherwise.
+     */
+    function isValidSignature(bytes32 hash, bytes memory signature) public view override returns (bytes4) {
+        uint256 count = signature.length / 65;
+        if (signature.length % 65 != 0 || count < threshold) {
+            return 0xffffffff;
+        }
+
+        address last = address(0);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 r;
+            bytes32 s;
+            uint8 v;
+            assembly {
+                let offset := add(signature, mul(i, 65))
+                r := mload(add(offset, 0x20))
+                s := mload(add(offset, 0x40))
+                v := byte(0, mload(add(offset, 0x60)))
+            }
+            (address owner, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, v, r, s);
+            if (error != ECDSA.RecoverError.NoError || !isOwner[owner] || owner <= last) {
+                return 0xffffffff;
+            }
+            last = owner;
+        }
+        return this.isValidSignature.selector;
+    }
+}
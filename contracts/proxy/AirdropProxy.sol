@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+
+/**
+ * @dev Transparent proxy of AirdropContractUpgradeable, upgraded by its ProxyAdmin.
+ */
+contract AirdropProxy is TransparentUpgradeableProxy {
+
+    /**
+     * @param logic AirdropContractUpgradeable implementation.
+     * @param admin ProxyAdmin contract.
+     * @param data Encoded `initialize` call.
+     */
+    constructor(address logic, address admin, bytes memory data) TransparentUpgradeableProxy(logic, admin, data) {}
+}
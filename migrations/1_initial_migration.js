@@ -1,5 +1,12 @@
 const Migrations = artifacts.require("Migrations");
+const { Manifest } = require("../scripts/utils/manifest.js");
 
-module.exports = function (deployer) {
-  deployer.deploy(Migrations);
+// Deploys the Migrations contract truffle keeps the last completed migration in
+// and records it in deployments/<network>.json like the other contracts.
+module.exports = async function (deployer, network) {
+  await deployer.deploy(Migrations);
+
+  const manifest = await Manifest.forNetwork(web3, network);
+  await manifest.record(web3, "Migrations", Migrations, []);
+  manifest.save();
 };
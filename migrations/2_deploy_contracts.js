@@ -1,7 +1,46 @@
 const TevaToken = artifacts.require("./TevaToken.sol");
 const AirdropContract = artifacts.require("./AirdropContract.sol")
+const { loadDeployParams, findDeployed, deploymentBlock, setupAirdrop } = require("../scripts/utils/deploy.js");
+const { Manifest } = require("../scripts/utils/manifest.js");
 
-module.exports = async function (deployer) {
-  await deployer.deploy(TevaToken);
-  await deployer.deploy(AirdropContract, TevaToken.address);
+// Reads the parameters of the network from migrations/params/<network>.json (see loadDeployParams), deploys TevaToken
+// unless the parameters name a token, deploys AirdropContract and runs the post-deploy steps of setupAirdrop.
+// Contracts already deployed on the network and steps already done are skipped, so the migration can be run again:
+// $ truffle migrate --network <network-name> -f 2 --to 2
+// The contracts are recorded in deployments/<network>.json, see scripts/check-deployment.js.
+module.exports = async function (deployer, network, accounts) {
+  const params = loadDeployParams(network);
+  if (params.token) {
+    TevaToken.address = params.token;
+  } else if (!(await findDeployed(web3, TevaToken))) {
+    await deployer.deploy(TevaToken);
+  }
+  const manifest = await Manifest.forNetwork(web3, network);
+  if (params.token) {
+    manifest.recordExternal("TevaToken", params.token);
+  } else {
+    await manifest.record(web3, "TevaToken", TevaToken, []);
+  }
+  manifest.save();
+  if (process.env.UPGRADEABLE === "true") {
+    // the airdrop is deployed behind a proxy by 3_deploy_upgradeable_airdrop.js
+    return;
+  }
+  const tevaToken = await TevaToken.deployed();
+
+  const airdropContract = await findDeployed(web3, AirdropContract);
+  if (!airdropContract || (await airdropContract.token()) !== tevaToken.address) {
+    await deployer.deploy(AirdropContract, tevaToken.address);
+  }
+
+  const airdropFromBlock = await deploymentBlock(web3, AirdropContract, manifest);
+  await setupAirdrop(await AirdropContract.deployed(), tevaToken, params, {
+    from: accounts[0],
+    tokenFromBlock: params.token ? airdropFromBlock : await deploymentBlock(web3, TevaToken, manifest),
+    airdropFromBlock: airdropFromBlock,
+    ownsToken: !params.token,
+    log: message => console.log(`   > ${message}`)
+  });
+  await manifest.record(web3, "AirdropContract", AirdropContract, [tevaToken.address]);
+  manifest.save();
 };
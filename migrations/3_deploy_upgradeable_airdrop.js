@@ -0,0 +1,68 @@
+const TevaToken = artifacts.require("./TevaToken.sol");
+const AirdropContract = artifacts.require("./AirdropContract.sol");
+const AirdropContractUpgradeable = artifacts.require("./AirdropContractUpgradeable.sol");
+const AirdropProxy = artifacts.require("./AirdropProxy.sol");
+const ProxyAdmin = artifacts.require("ProxyAdmin");
+const { loadDeployParams, findDeployed, deploymentBlock, setupAirdrop, proxyAdminOf } = require("../scripts/utils/deploy.js");
+const { Manifest } = require("../scripts/utils/manifest.js");
+
+// Runs with UPGRADEABLE=true only. Deploys AirdropContractUpgradeable behind an AirdropProxy owned by a new ProxyAdmin,
+// or, with AIRDROP_PROXY=<proxy address>, deploys a new implementation and upgrades that proxy to it:
+// $ UPGRADEABLE=true AIRDROP_PROXY=<address> truffle migrate --network <network-name> -f 3 --to 3
+// Either way the scripts find the proxy as the deployed AirdropContract. A new proxy is set up with the parameters
+// of the network like in 2_deploy_contracts.js, and a proxy already deployed for the token is reused.
+// The implementation, the proxy admin and the proxy are recorded in deployments/<network>.json.
+module.exports = async function (deployer, network, accounts) {
+  if (process.env.UPGRADEABLE !== "true") {
+    return;
+  }
+  if (process.env.AIRDROP_PROXY) {
+    await deployer.deploy(AirdropContractUpgradeable);
+    const proxyAdmin = await ProxyAdmin.at(await proxyAdminOf(web3, process.env.AIRDROP_PROXY));
+    await proxyAdmin.upgrade(process.env.AIRDROP_PROXY, AirdropContractUpgradeable.address);
+    AirdropContract.address = process.env.AIRDROP_PROXY;
+    AirdropProxy.address = process.env.AIRDROP_PROXY;
+
+    const manifest = await Manifest.forNetwork(web3, network);
+    await manifest.record(web3, "AirdropContractUpgradeable", AirdropContractUpgradeable, []);
+    await manifest.record(web3, "AirdropProxy", AirdropProxy, null);
+    manifest.save();
+    return;
+  }
+
+  const params = loadDeployParams(network);
+  const tevaToken = await TevaToken.deployed();
+  const proxy = await findDeployed(web3, AirdropProxy);
+  let proxyArgs = null;
+  if (!proxy || (await (await AirdropContract.at(proxy.address)).token()) !== tevaToken.address) {
+    await deployer.deploy(AirdropContractUpgradeable);
+    if (!(await findDeployed(web3, ProxyAdmin))) {
+      await deployer.deploy(ProxyAdmin);
+    }
+    const implementation = await AirdropContractUpgradeable.deployed();
+    const data = implementation.contract.methods.initialize(tevaToken.address, accounts[0]).encodeABI();
+    proxyArgs = [AirdropContractUpgradeable.address, ProxyAdmin.address, data];
+    await deployer.deploy(AirdropProxy, ...proxyArgs);
+  }
+  AirdropContract.address = AirdropProxy.address;
+
+  const manifest = await Manifest.forNetwork(web3, network);
+  const airdropFromBlock = await deploymentBlock(web3, AirdropProxy, manifest);
+  await setupAirdrop(await AirdropContract.deployed(), tevaToken, params, {
+    from: accounts[0],
+    tokenFromBlock: params.token ? airdropFromBlock : await deploymentBlock(web3, TevaToken, manifest),
+    airdropFromBlock: airdropFromBlock,
+    ownsToken: !params.token,
+    log: message => console.log(`   > ${message}`)
+  });
+
+  const proxyAdmin = await ProxyAdmin.at(await proxyAdminOf(web3, AirdropProxy.address));
+  if (params.owner && (await proxyAdmin.owner()) !== params.owner) {
+    await proxyAdmin.transferOwnership(params.owner);
+  }
+
+  await manifest.record(web3, "AirdropContractUpgradeable", AirdropContractUpgradeable, []);
+  await manifest.record(web3, "ProxyAdmin", ProxyAdmin, []);
+  await manifest.record(web3, "AirdropProxy", AirdropProxy, proxyArgs);
+  manifest.save();
+};
@@ -0,0 +1,32 @@
+const AirdropContractUpgradeable = artifacts.require("./AirdropContractUpgradeable.sol");
+const AirdropFactory = artifacts.require("./AirdropFactory.sol");
+const { loadDeployParams, findDeployed } = require("../scripts/utils/deploy.js");
+const { Manifest } = require("../scripts/utils/manifest.js");
+
+// Runs with AIRDROP_FACTORY=true only. Deploys an AirdropFactory whose campaigns are clones of AirdropContractUpgradeable,
+// reusing the implementation deployed by 3_deploy_upgradeable_airdrop.js and a factory already deployed on the network:
+// $ AIRDROP_FACTORY=true truffle migrate --network <network-name> -f 4 --to 4
+// Campaigns are then created with scripts/create-campaign.js by the owner of the network parameters, if set.
+// The factory and its implementation are recorded in deployments/<network>.json.
+module.exports = async function (deployer, network) {
+  if (process.env.AIRDROP_FACTORY !== "true") {
+    return;
+  }
+  if (!(await findDeployed(web3, AirdropFactory))) {
+    if (!(await findDeployed(web3, AirdropContractUpgradeable))) {
+      await deployer.deploy(AirdropContractUpgradeable);
+    }
+    await deployer.deploy(AirdropFactory, AirdropContractUpgradeable.address);
+  }
+
+  const { owner } = loadDeployParams(network);
+  const factory = await AirdropFactory.deployed();
+  if (owner && (await factory.owner()) !== owner) {
+    await factory.transferOwnership(owner);
+  }
+
+  const manifest = await Manifest.forNetwork(web3, network);
+  await manifest.record(web3, "AirdropContractUpgradeable", AirdropContractUpgradeable, []);
+  await manifest.record(web3, "AirdropFactory", AirdropFactory, [await factory.implementation()]);
+  manifest.save();
+};
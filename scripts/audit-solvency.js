@@ -0,0 +1,44 @@
+/**
+ * Rebuilds the supply and the liability of every asset of AirdropContract from its events
+ * and compares them with the on-chain accounting and the solvency() view.
+ *
+ * $ truffle exec scripts/audit-solvency.js --network <network-name> \
+ *     [--airdrop <address>] [--from-block <n>] [--step <blocks>] [--output report.json]
+ *
+ * --from-block should be the deployment block of the contract, events are fetched in ranges of --step blocks.
+ * The script fails if the events don't add up to the on-chain values or if any asset is in deficit.
+ * A default token minted on claim is only in deficit beyond what can still be minted below its cap.
+ */
+const { parseArgs, writeJson } = require("./utils/cli.js");
+const { fetchEvents, rebuildLedger, auditSolvency } = require("./utils/audit.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const events = await fetchEvents(airdropContract, { fromBlock: args["from-block"], step: args.step });
+        const rows = await auditSolvency(airdropContract, rebuildLedger(events));
+
+        console.log(`Replayed ${events.length} events of ${airdropContract.address}`);
+        console.table(rows);
+        if (args.output) {
+            writeJson(args.output, rows);
+        }
+
+        const mismatched = rows.filter(row => !row.ok).map(row => row.asset);
+        const insolvent = rows.filter(row => !row.solvent).map(row => row.asset);
+        if (mismatched.length > 0) {
+            throw new Error(`events don't match the on-chain accounting of ${mismatched.join(", ")}`);
+        }
+        if (insolvent.length > 0) {
+            throw new Error(`contract is in deficit for ${insolvent.join(", ")}`);
+        }
+
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
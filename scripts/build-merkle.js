@@ -0,0 +1,80 @@
+/**
+ * Builds the merkle tree of a claim campaign from an allocation file and writes the per-address proofs.
+ * With --publish the root is also published on the deployed AirdropContract through createMerkleCampaign.
+ *
+ * $ truffle exec scripts/build-merkle.js --network <network-name> \
+ *     --input allocations.csv --output proofs.json [--errors errors.json] \
+ *     [--airdrop <address>] [--units decimal|wei] [--publish]
+ *
+ * The allocation file has the same format as for scripts/sign-batch.js, the deadline column is ignored.
+ * The totals of the campaign are keyed by reward type: "ether" or the token address.
+ */
+const fs = require("fs");
+const path = require("path");
+const { BN } = require("ethereumjs-util");
+const { parseArgs, requireArgs, writeJson } = require("./utils/cli.js");
+const { ZERO_ADDRESS, loadRewardTokens, parseAllocations, toAllocations } = require("./utils/allocation.js");
+const { MerkleTree, verifyProof } = require("./utils/merkle.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+const IERC20Metadata = artifacts.require("IERC20Metadata");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["input", "output"]);
+
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const tokenAddress = await airdropContract.token();
+        const rewardTokens = await loadRewardTokens(airdropContract, IERC20Metadata);
+
+        const format = path.extname(args.input).toLowerCase() === ".json" ? "json" : "csv";
+        const rows = parseAllocations(fs.readFileSync(args.input, "utf8"), format);
+        const { allocations, rejected } = toAllocations(rows, {
+            tokenAddress: tokenAddress,
+            rewardTokens: rewardTokens,
+            units: args.units || "decimal"
+        });
+
+        const tree = new MerkleTree(allocations);
+        const merkleRoot = tree.getRoot();
+        for (const leaf of tree.leaves) {
+            if (!verifyProof(merkleRoot, leaf, tree.getProof(leaf.index))) {
+                throw new Error(`proof of leaf #${leaf.index} doesn't match the root`);
+            }
+        }
+
+        const totals = {};
+        for (const leaf of tree.leaves) {
+            const total = leaf.rewardType === ZERO_ADDRESS ? "ether" : leaf.rewardType;
+            totals[total] = (totals[total] || new BN(0)).add(new BN(leaf.amount));
+        }
+
+        let campaignId = null;
+        if (args.publish) {
+            const { logs } = await airdropContract.createMerkleCampaign(merkleRoot);
+            campaignId = logs.find(log => log.event === "CreateMerkleCampaign").args.campaignId.toString();
+            console.log(`Published root ${merkleRoot} as campaign ${campaignId}`);
+        }
+
+        writeJson(args.output, {
+            chainId: await web3.eth.getChainId(),
+            airdrop: airdropContract.address,
+            campaignId: campaignId,
+            merkleRoot: merkleRoot,
+            totals: Object.fromEntries(Object.entries(totals).map(([total, amount]) => [total, amount.toString()])),
+            claims: tree.getClaims()
+        });
+        console.log(`Built a tree of ${tree.leaves.length} of ${rows.length} allocations with root ${merkleRoot} into ${args.output}`);
+
+        if (rejected.length > 0) {
+            const errorsPath = args.errors || args.output.replace(/(\.json)?$/, ".errors.json");
+            writeJson(errorsPath, rejected);
+            console.log(`Rejected ${rejected.length} allocations, see ${errorsPath}`);
+        }
+
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
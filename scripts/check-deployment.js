@@ -0,0 +1,36 @@
+/**
+ * Checks the deployment manifest written by the migrations against the chain: the deployed runtime bytecode
+ * must match the local artifacts, and the recorded owner(), token(), proxy implementation and proxy admin
+ * must still be the current ones.
+ *
+ * $ truffle exec scripts/check-deployment.js --network <network-name> \
+ *     [--manifest deployments/<network-name>.json] [--output report.json]
+ *
+ * Compile with the compiler settings of the manifest first, the script fails on any mismatch.
+ */
+const { parseArgs, writeJson } = require("./utils/cli.js");
+const { Manifest, manifestPath, verifyManifest } = require("./utils/manifest.js");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+
+        const file = args.manifest || manifestPath(args.network || "development");
+        const manifest = Manifest.load(file);
+        const rows = await verifyManifest(web3, manifest, name => artifacts.require(name));
+
+        console.log(`Checked ${Object.keys(manifest.contracts).length} contracts of ${file}`);
+        console.table(rows);
+        if (args.output) {
+            writeJson(args.output, rows);
+        }
+
+        const failed = rows.filter(row => !row.ok).map(row => `${row.contract} ${row.check}`);
+        if (failed.length > 0) {
+            throw new Error(`deployment doesn't match the manifest: ${failed.join(", ")}`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,40 @@
+/**
+ * Checks the proofs of a file written by scripts/build-merkle.js against its root, without any node.
+ *
+ * $ node scripts/check-merkle.js --proofs proofs.json [--address <recipient>]
+ */
+const { parseArgs, requireArgs, readJson } = require("./utils/cli.js");
+const { verifyProof } = require("./utils/merkle.js");
+
+function main() {
+    const args = parseArgs(process.argv);
+    requireArgs(args, ["proofs"]);
+
+    const { merkleRoot, claims } = readJson(args.proofs);
+    const recipients = args.address
+        ? Object.keys(claims).filter(recipient => recipient.toLowerCase() === String(args.address).toLowerCase())
+        : Object.keys(claims);
+    if (recipients.length === 0) {
+        throw new Error(`no claims for ${args.address}`);
+    }
+
+    let invalid = 0;
+    for (const recipient of recipients) {
+        for (const claim of claims[recipient]) {
+            if (!verifyProof(merkleRoot, { recipient, ...claim }, claim.proof)) {
+                console.log(`Invalid proof: leaf #${claim.index} of ${recipient}`);
+                invalid++;
+            }
+        }
+    }
+
+    console.log(`Checked the claims of ${recipients.length} recipients against ${merkleRoot}: ${invalid} invalid`);
+    process.exitCode = invalid > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
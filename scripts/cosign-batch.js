@@ -0,0 +1,44 @@
+/**
+ * Adds the signature of another owner of a multisig airdrop signer to every drop and vesting drop of a signed batch.
+ * Run it once per owner until the wallet accepts the signatures, then submit the batch as usual.
+ *
+ * $ truffle exec scripts/cosign-batch.js --network <network-name> \
+ *     --batch batch.json [--output batch.json] [--keystore <file>]
+ *
+ * The owner key is read from SIGNER_PRIVATE_KEY, or from --keystore with the KEYSTORE_PASSWORD password.
+ * --output defaults to the batch file itself.
+ */
+const { parseArgs, requireArgs, loadSigner, readJson, writeJson } = require("./utils/cli.js");
+const { verifyDrop } = require("./utils/signer.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["batch"]);
+
+        const batch = readJson(args.batch);
+        const airdropContract = await AirdropContract.at(batch.airdrop);
+        if (Number(batch.chainId) !== await web3.eth.getChainId()) {
+            throw new Error(`batch was signed for chain ${batch.chainId}`);
+        }
+        const signer = await loadSigner(args);
+
+        batch.drops = batch.drops.map(drop => signer.cosignDrop(batch.chainId, batch.airdrop, drop));
+        batch.vestingDrops = (batch.vestingDrops || []).map(drop => signer.cosignDrop(batch.chainId, batch.airdrop, drop));
+        writeJson(args.output || args.batch, batch);
+        console.log(`Added the signature of ${signer.address} to ${batch.drops.length + batch.vestingDrops.length} drops`);
+
+        const currentSigner = await airdropContract.signer();
+        const first = batch.drops[0] || batch.vestingDrops[0];
+        if (first && await verifyDrop(web3, batch.chainId, batch.airdrop, first, currentSigner)) {
+            console.log(`The batch is accepted by the airdrop signer ${currentSigner}`);
+        } else {
+            console.log(`The batch isn't accepted by the airdrop signer ${currentSigner} yet`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Creates an airdrop campaign with the deployed AirdropFactory: a clone of AirdropContractUpgradeable
+ * with its own owner, reward token, funds and EIP-712 domain.
+ *
+ * $ truffle exec scripts/create-campaign.js --network <network-name> \
+ *     --token <address> [--owner <address>] [--factory <address>] [--from <factory owner>]
+ *
+ * --owner defaults to the sender, who must own the factory. The owner funds the campaign and sets its signer
+ * like for any airdrop; the other scripts work on the campaign with --airdrop <campaign address>,
+ * and vouchers signed for it are only valid there.
+ */
+const { parseArgs, requireArgs } = require("./utils/cli.js");
+const { createCampaign } = require("./utils/factory.js");
+
+const AirdropFactory = artifacts.require("AirdropFactory");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["token"]);
+
+        const factory = args.factory ? await AirdropFactory.at(args.factory) : await AirdropFactory.deployed();
+        const from = args.from || (await web3.eth.getAccounts())[0];
+        const owner = args.owner || from;
+
+        const { campaign, index, receipt } = await createCampaign(factory, args.token, owner, { from: from });
+        console.log(`Created campaign #${index} at ${campaign} for ${owner} in ${receipt.tx}`);
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
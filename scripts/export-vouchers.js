@@ -0,0 +1,57 @@
+/**
+ * Exports the drops of a signed batch as vouchers grouped by recipient, to be handed out through the frontend.
+ * Every recipient claims own vouchers with AirdropContract.claimWithVoucher.
+ * A batch exported as vouchers must not also be submitted with scripts/submit-batch.js.
+ *
+ * $ node scripts/export-vouchers.js --batch batch.json (--output vouchers.json | --out-dir vouchers/)
+ *
+ * --output writes a single { [recipient]: [DropStruct] } file, --out-dir writes one <recipient>.json file per recipient.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, requireArgs, readJson, writeJson } = require("./utils/cli.js");
+
+function groupByRecipient(drops) {
+    const vouchers = {};
+    for (const drop of drops) {
+        vouchers[drop.recipient] = vouchers[drop.recipient] || [];
+        vouchers[drop.recipient].push(drop);
+    }
+    return vouchers;
+}
+
+function main() {
+    const args = parseArgs(process.argv);
+    requireArgs(args, ["batch"]);
+    if (!args.output && !args["out-dir"]) {
+        throw new Error("missing required arguments: --output or --out-dir");
+    }
+
+    const batch = readJson(args.batch);
+    const vouchers = groupByRecipient(batch.drops);
+    const recipients = Object.keys(vouchers);
+
+    if (args.output) {
+        writeJson(args.output, { chainId: batch.chainId, airdrop: batch.airdrop, vouchers: vouchers });
+    }
+    if (args["out-dir"]) {
+        fs.mkdirSync(args["out-dir"], { recursive: true });
+        for (const recipient of recipients) {
+            writeJson(path.join(args["out-dir"], `${recipient}.json`), {
+                chainId: batch.chainId,
+                airdrop: batch.airdrop,
+                recipient: recipient,
+                vouchers: vouchers[recipient]
+            });
+        }
+    }
+
+    console.log(`Exported ${batch.drops.length} vouchers for ${recipients.length} recipients`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
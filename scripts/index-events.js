@@ -0,0 +1,53 @@
+/**
+ * Indexes the events of AirdropContract into a per-recipient ledger: who was dropped what, what was claimed
+ * and what is still outstanding. The ledger file keeps the last indexed block, so the script can run repeatedly
+ * and only scans the blocks added since the previous run.
+ *
+ * $ truffle exec scripts/index-events.js --network <network-name> --ledger ledger.json \
+ *     [--airdrop <address>] [--from-block <n>] [--to-block <n>] [--step <blocks>] [--confirmations <n>] \
+ *     [--csv ledger.csv] [--json export.json]
+ *
+ * --from-block is only used for a new ledger and should be the deployment block of the contract.
+ * The outstanding amounts are checked against tokenBalances/etherBalances at the last indexed block,
+ * the script fails on any mismatch.
+ */
+const fs = require("fs");
+const { parseArgs, requireArgs, writeJson } = require("./utils/cli.js");
+const { Ledger, indexEvents, checkLedger, toCsv } = require("./utils/indexer.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["ledger"]);
+
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const ledger = new Ledger(args.ledger, await web3.eth.getChainId(), airdropContract.address, args["from-block"] || 0);
+        const count = await indexEvents(airdropContract, ledger, {
+            toBlock: args["to-block"],
+            step: args.step,
+            confirmations: args.confirmations,
+            log: console.log
+        });
+
+        const rows = ledger.rows();
+        console.log(`Indexed ${count} new events up to block ${ledger.lastBlock}, ${Object.keys(ledger.recipients).length} recipients in ${ledger.path}`);
+        if (args.csv) {
+            fs.writeFileSync(args.csv, toCsv(rows));
+        }
+        if (args.json) {
+            writeJson(args.json, { chainId: ledger.chainId, airdrop: ledger.airdrop, lastBlock: ledger.lastBlock, assets: ledger.assets, rows: rows });
+        }
+
+        const mismatches = await checkLedger(airdropContract, ledger);
+        if (mismatches.length > 0) {
+            console.table(mismatches);
+            throw new Error(`${mismatches.length} ledger rows don't match the on-chain balances`);
+        }
+
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Analyses an allocation file before it is signed and writes a cleaned allocation file and a report.
+ *
+ * $ truffle exec scripts/lint-allocations.js --network <network-name> \
+ *     --input allocations.csv --output allocations.clean.csv [--report report.json] \
+ *     [--airdrop <address>] [--units decimal|wei] [--merge] [--caps TEVA=1000,ether=0.5]
+ *
+ * Rows with an invalid or zero recipient, the airdrop or a reward token contract as recipient, a duplicate
+ * recipient of the same reward, nonce and vesting terms, or an amount above the --caps of the reward are left out
+ * of the cleaned file; with --merge the amounts of duplicate recipients are summed instead. The cleaned file has
+ * the format and the units of the input, so it can be passed to scripts/sign-batch.js as is.
+ * The totals of every reward are compared with what the airdrop can pay: the token balance, the deposited supply
+ * and the liability of the recipients it already owes, see checkFunding. The script fails if the funding is short,
+ * after writing both files.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, requireArgs, writeJson } = require("./utils/cli.js");
+const { formatAllocations, loadRewardTokens, parseAllocations } = require("./utils/allocation.js");
+const { checkFunding, lintAllocations, parseCaps } = require("./utils/lint.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+const IERC20Metadata = artifacts.require("IERC20Metadata");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["input", "output"]);
+
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const options = {
+            tokenAddress: await airdropContract.token(),
+            rewardTokens: await loadRewardTokens(airdropContract, IERC20Metadata),
+            units: args.units || "decimal",
+            airdropAddress: airdropContract.address,
+            merge: args.merge === true
+        };
+        options.caps = args.caps ? parseCaps(args.caps, options) : {};
+
+        const format = path.extname(args.input).toLowerCase() === ".json" ? "json" : "csv";
+        const rows = parseAllocations(fs.readFileSync(args.input, "utf8"), format);
+        const lint = lintAllocations(rows, options);
+        const { funding, existing } = await checkFunding(airdropContract, lint.allocations);
+
+        fs.writeFileSync(args.output, formatAllocations(lint.rows, format));
+        console.log(`Kept ${lint.rows.length} of ${rows.length} allocations in ${args.output}, merged ${lint.merged.length}, rejected ${lint.rejected.length}`);
+        lint.rejected.forEach(({ line, reason }) => console.log(`  line ${line}: ${reason}`));
+        console.table(lint.totals);
+        console.table(funding);
+        if (existing.length > 0) {
+            console.log(`${existing.length} recipients already have an unclaimed balance, the list may have been dropped before`);
+        }
+
+        const reportPath = args.report || args.output.replace(/(\.[a-z]+)?$/, ".report.json");
+        writeJson(reportPath, {
+            airdrop: airdropContract.address,
+            input: args.input,
+            rows: rows.length,
+            kept: lint.rows.length,
+            rejected: lint.rejected,
+            merged: lint.merged,
+            totals: lint.totals,
+            funding: funding,
+            existing: existing
+        });
+        console.log(`Report written to ${reportPath}`);
+
+        const short = funding.filter(row => !row.ok).map(row => `${row.asset} (${row.shortfall} short)`);
+        if (short.length > 0) {
+            throw new Error(`airdrop can't pay the allocations of ${short.join(", ")}`);
+        }
+
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Lists the campaigns of the deployed AirdropFactory with their current owner and default reward token.
+ *
+ * $ truffle exec scripts/list-campaigns.js --network <network-name> \
+ *     [--factory <address>] [--owner <address>] [--token <address>] [--output campaigns.json]
+ */
+const { parseArgs, writeJson } = require("./utils/cli.js");
+const { listCampaigns } = require("./utils/factory.js");
+
+const AirdropFactory = artifacts.require("AirdropFactory");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+
+        const factory = args.factory ? await AirdropFactory.at(args.factory) : await AirdropFactory.deployed();
+        const campaigns = await listCampaigns(factory, { owner: args.owner, token: args.token });
+
+        console.log(`${campaigns.length} campaigns of ${factory.address}`);
+        console.table(campaigns);
+        if (args.output) {
+            writeJson(args.output, campaigns);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
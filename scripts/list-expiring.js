@@ -0,0 +1,63 @@
+/**
+ * Lists dropped balances whose claim window ends soon or has already ended, and optionally sweeps the expired ones.
+ * Vesting schedules never expire and are left out.
+ * The ledger of scripts/index-events.js is brought up to date first.
+ *
+ * $ truffle exec scripts/list-expiring.js --network <network-name> --ledger ledger.json \
+ *     [--airdrop <address>] [--within <seconds>] [--output expiring.csv|expiring.json] [--sweep] [--chunk <recipients>]
+ *
+ * --within defaults to seven days. With --sweep the owner calls sweepExpired for every asset,
+ * --chunk recipients per transaction (200 if not set).
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, requireArgs, writeJson } = require("./utils/cli.js");
+const { ZERO_ADDRESS } = require("./utils/allocation.js");
+const { Ledger, indexEvents, findExpiring, toCsv } = require("./utils/indexer.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+const DEFAULT_WITHIN = 7 * 24 * 60 * 60;
+const DEFAULT_CHUNK = 200;
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["ledger"]);
+
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const ledger = new Ledger(args.ledger, await web3.eth.getChainId(), airdropContract.address);
+        await indexEvents(airdropContract, ledger);
+
+        const now = Number((await web3.eth.getBlock("latest")).timestamp);
+        const within = Number(args.within || DEFAULT_WITHIN);
+        const expiring = await findExpiring(airdropContract, ledger, { now: now, within: within });
+        const expired = expiring.filter(row => row.expired);
+        console.table(expiring);
+        console.log(`${expiring.length} balances expire by ${new Date((now + within) * 1000).toISOString()}, ${expired.length} already expired`);
+
+        if (args.output) {
+            if (path.extname(args.output).toLowerCase() === ".json") {
+                writeJson(args.output, expiring);
+            } else {
+                fs.writeFileSync(args.output, toCsv(expiring, ["recipient", "asset", "expiring", "claimDeadline", "expired"]));
+            }
+        }
+
+        if (args.sweep) {
+            const chunk = Number(args.chunk || DEFAULT_CHUNK);
+            const assets = [...new Set(expired.map(row => row.asset))];
+            for (const asset of assets) {
+                const recipients = expired.filter(row => row.asset === asset).map(row => row.recipient);
+                for (let i = 0; i < recipients.length; i += chunk) {
+                    const { tx } = await airdropContract.sweepExpired(asset === "ether" ? ZERO_ADDRESS : asset, recipients.slice(i, i + chunk));
+                    console.log(`Swept ${Math.min(chunk, recipients.length - i)} ${asset} balances in ${tx}`);
+                }
+            }
+        }
+
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Checks every drop of a signed batch against the live contract before it is sent, and explains why each one
+ * would fail: expired deadline, unknown reward type, wrong signer, used voucher, invalid vesting schedule
+ * or not enough funding. Nothing is sent; with --dry-run the chunks of the batch are also tried with eth_call.
+ *
+ * $ truffle exec scripts/preflight-batch.js --network <network-name> \
+ *     --batch batch.json [--from <owner address>] [--margin <seconds>] [--dry-run] [--chunk 100] [--output report.json]
+ *
+ * --margin leaves time for the transactions to be mined before the deadlines, --chunk is the number of drops
+ * per `drop` call of the dry run. The script fails if anything would fail.
+ */
+const { parseArgs, requireArgs, readJson, writeJson } = require("./utils/cli.js");
+const { preflightBatch } = require("./utils/preflight.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["batch"]);
+
+        const batch = readJson(args.batch);
+        const airdropContract = await AirdropContract.at(batch.airdrop);
+        const from = args.from || (await web3.eth.getAccounts())[0];
+
+        const report = await preflightBatch(airdropContract, batch, {
+            from: from,
+            margin: args.margin,
+            dryRun: args["dry-run"] === true,
+            chunk: args.chunk
+        });
+
+        report.issues.forEach(issue => console.log(`Batch: ${issue}`));
+        console.table(report.rows.map(row => ({ ...row, ok: row.ok ? "pass" : "fail", reasons: row.reasons.join("; ") })));
+        if (report.chunks.length > 0) {
+            console.table(report.chunks);
+        }
+        if (args.output) {
+            writeJson(args.output, report);
+        }
+
+        const failed = report.rows.filter(row => !row.ok).length;
+        const failedChunks = report.chunks.filter(chunk => !chunk.ok).length;
+        console.log(`${report.rows.length - failed} of ${report.rows.length} drops pass`);
+        if (report.issues.length > 0 || failed > 0 || failedChunks > 0) {
+            throw new Error(`batch would fail: ${report.issues.length} batch issues, ${failed} failing drops, ${failedChunks} failing calls`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
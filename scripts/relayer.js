@@ -0,0 +1,47 @@
+/**
+ * Runs a local relayer that claims dropped tokens and ether for recipients without gas, see AirdropContract.claimFor.
+ * Recipients sign a ClaimRequest (Signer.signClaimRequest or eth_signTypedData with createClaimRequestTypedData)
+ * and POST it to /claims; GET /claims/<id> tells the state of the request.
+ *
+ * $ truffle exec scripts/relayer.js --network <network-name> \
+ *     [--airdrop <address>] [--port 8547] [--from <relayer account>] \
+ *     [--min-fees ether=<wei>,<token address>=<amount>] [--max-attempts 5] [--retry-delay 5000]
+ *
+ * The relayer pays the gas and keeps the fee of every request, requests with a fee below --min-fees are refused.
+ * Stop it with Ctrl+C, queued requests are sent before it exits.
+ */
+const { parseArgs } = require("./utils/cli.js");
+const { Relayer, createServer, parseMinFees } = require("./utils/relayer.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+const DEFAULT_PORT = 8547;
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const from = args.from || (await web3.eth.getAccounts())[0];
+
+        const relayer = new Relayer(airdropContract, {
+            from: from,
+            minFees: args["min-fees"] ? parseMinFees(args["min-fees"]) : {},
+            maxAttempts: args["max-attempts"],
+            retryDelay: args["retry-delay"],
+            log: console.log
+        });
+        const server = createServer(relayer);
+        const port = Number(args.port || DEFAULT_PORT);
+        server.listen(port, "127.0.0.1", () => console.log(`Relaying claims of ${airdropContract.address} from ${from} on http://127.0.0.1:${port}`));
+
+        const stop = () => {
+            console.log("Stopping, waiting for queued claims");
+            server.close();
+            relayer.drain().then(() => callback(), callback);
+        };
+        process.once("SIGINT", stop);
+        process.once("SIGTERM", stop);
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * Signs an allocation file against the deployed AirdropContract and writes a batch ready for `drop`.
+ *
+ * $ truffle exec scripts/sign-batch.js --network <network-name> \
+ *     --input allocations.csv --output batch.json [--errors errors.json] \
+ *     [--airdrop <address>] [--units decimal|wei] [--deadline <unix time>] [--nonce-base <n>] [--keystore <file>]
+ *
+ * The allocation file is a CSV with a `recipient,amount,reward,deadline,nonce` header or a JSON array of the same objects.
+ * `reward` is ether, the symbol or address of a registered reward token, or TEVA for the default token; `deadline` is optional and defaults to --deadline (seven days from now if not set).
+ * `nonce` is optional and defaults to a hash of --nonce-base (zero if not set) and the content of the row, so
+ * moving, adding or removing rows doesn't change the nonces of the others; every signed voucher is accepted
+ * by the contract only once, so use a new --nonce-base to pay the same allocations again. A voucher also covers
+ * its deadline: pass the same --deadline to sign the same vouchers again.
+ * Rows with the optional `start,cliff,duration` columns (unix time, seconds, seconds) are signed as vesting drops
+ * into `vestingDrops`; scripts/submit-batch.js sends them with dropVestedTokens.
+ * Run scripts/lint-allocations.js first to drop duplicate and unpayable rows and to check the funding of the airdrop.
+ * The voucher key is read from SIGNER_PRIVATE_KEY, or from --keystore with the KEYSTORE_PASSWORD password,
+ * and must belong to the signer of the contract (see AirdropContract.setSigner), not to the owner.
+ * If the signer is a multisig wallet, the key of one of its owners signs the batch and the other owners
+ * add their signatures with scripts/cosign-batch.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, requireArgs, loadSigner, writeJson } = require("./utils/cli.js");
+const { loadRewardTokens, parseAllocations, toDrops } = require("./utils/allocation.js");
+const { verifyDrop } = require("./utils/signer.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+const IERC20Metadata = artifacts.require("IERC20Metadata");
+
+const DEFAULT_VALIDITY = 7 * 24 * 60 * 60;
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["input", "output"]);
+
+        const airdropContract = args.airdrop ? await AirdropContract.at(args.airdrop) : await AirdropContract.deployed();
+        const chainId = await web3.eth.getChainId();
+        const tokenAddress = await airdropContract.token();
+        const rewardTokens = await loadRewardTokens(airdropContract, IERC20Metadata);
+        const signer = await loadSigner(args);
+
+        const currentSigner = await airdropContract.signer();
+        const isWallet = await web3.eth.getCode(currentSigner) !== "0x";
+        if (!isWallet && currentSigner !== signer.address) {
+            throw new Error(`signer ${signer.address} is not the airdrop signer ${currentSigner}`);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const format = path.extname(args.input).toLowerCase() === ".json" ? "json" : "csv";
+        const rows = parseAllocations(fs.readFileSync(args.input, "utf8"), format);
+        const { drops, rejected } = toDrops(rows, {
+            tokenAddress: tokenAddress,
+            rewardTokens: rewardTokens,
+            units: args.units || "decimal",
+            deadline: args.deadline || String(now + DEFAULT_VALIDITY),
+            nonceBase: args["nonce-base"] || "0",
+            now: now
+        });
+
+        const batch = {
+            chainId: chainId,
+            airdrop: airdropContract.address,
+            signer: currentSigner,
+            createdAt: now,
+            drops: drops.filter(drop => drop.duration === undefined).map(drop => signer.signDrop(chainId, airdropContract.address, drop)),
+            vestingDrops: drops.filter(drop => drop.duration !== undefined).map(drop => signer.signVestingDrop(chainId, airdropContract.address, drop))
+        };
+        writeJson(args.output, batch);
+        console.log(`Signed ${drops.length} of ${rows.length} allocations into ${args.output}`);
+
+        const first = batch.drops[0] || batch.vestingDrops[0];
+        if (isWallet && first && !(await verifyDrop(web3, chainId, airdropContract.address, first, currentSigner))) {
+            console.log(`The airdrop signer ${currentSigner} is a wallet and needs more signatures, add them with scripts/cosign-batch.js`);
+        }
+
+        if (rejected.length > 0) {
+            const errorsPath = args.errors || args.output.replace(/(\.json)?$/, ".errors.json");
+            writeJson(errorsPath, rejected);
+            console.log(`Rejected ${rejected.length} allocations, see ${errorsPath}`);
+        }
+
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Sends a signed batch to AirdropContract.drop in chunks that fit under a gas ceiling.
+ * Progress is kept in a journal next to the batch, so an interrupted run can simply be started again:
+ * drops that were already credited are skipped. Vesting drops of the batch are sent after the drops,
+ * one transaction each, skipping those already on chain. scripts/preflight-batch.js tells beforehand
+ * which drops would make a chunk revert.
+ *
+ * $ truffle exec scripts/submit-batch.js --network <network-name> \
+ *     --batch batch.json [--journal batch.journal.json] [--gas-limit 5000000] [--from <owner address>]
+ */
+const { parseArgs, requireArgs, readJson } = require("./utils/cli.js");
+const { Journal, submitBatch, submitVestingDrops } = require("./utils/submitter.js");
+
+const AirdropContract = artifacts.require("AirdropContract");
+
+const DEFAULT_GAS_LIMIT = 5000000;
+
+module.exports = async function (callback) {
+    try {
+        const args = parseArgs(process.argv);
+        requireArgs(args, ["batch"]);
+
+        const batch = readJson(args.batch);
+        const journal = new Journal(args.journal || args.batch.replace(/(\.json)?$/, ".journal.json"), batch);
+        const airdropContract = await AirdropContract.at(batch.airdrop);
+        const from = args.from || (await web3.eth.getAccounts())[0];
+
+        await submitBatch(airdropContract, batch, journal, {
+            from: from,
+            gasLimit: Number(args["gas-limit"] || DEFAULT_GAS_LIMIT),
+            log: console.log
+        });
+
+        const events = journal.chunks.filter(chunk => chunk.status === "confirmed").reduce((count, chunk) => count + chunk.events.length, 0);
+        console.log(`All ${batch.drops.length} drops are credited (${events} events recorded in ${journal.path})`);
+
+        if (batch.vestingDrops && batch.vestingDrops.length > 0) {
+            const { sent, skipped } = await submitVestingDrops(airdropContract, batch, { from: from, log: console.log });
+            console.log(`All ${batch.vestingDrops.length} vesting drops are credited (${sent} sent, ${skipped} already on chain)`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,416 @@
+const { BN, isValidAddress, isValidChecksumAddress, keccak256, zeroAddress } = require("ethereumjs-util");
+
+const ZERO_ADDRESS = zeroAddress();
+const MAX_UINT256 = new BN(2).pow(new BN(256)).sub(new BN(1));
+const DEFAULT_DECIMALS = 18;
+
+const TOKEN_REWARDS = ["teva", "token"];
+const ETHER_REWARDS = ["ether", "eth"];
+
+/**
+ * Reads allocation rows from a CSV (with a header line) or a JSON array.
+ * Every row keeps the line (CSV) or index (JSON) it came from for error reporting.
+ *
+ * @param content File content.
+ * @param format "csv" or "json".
+ */
+function parseAllocations(content, format) {
+    if (format === "json") {
+        const rows = JSON.parse(content);
+        if (!Array.isArray(rows)) {
+            throw new Error("allocation file must contain a JSON array");
+        }
+        return rows.map((row, index) => ({ line: index + 1, ...row }));
+    }
+    if (format !== "csv") {
+        throw new Error(`unsupported allocation format: ${format}`);
+    }
+
+    const lines = content.split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => isDataLine(line));
+    if (headerIndex === -1) {
+        return [];
+    }
+    const header = splitCsvLine(lines[headerIndex], headerIndex + 1);
+    const rows = [];
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (!isDataLine(lines[i])) {
+            continue;
+        }
+        const values = splitCsvLine(lines[i], i + 1);
+        const row = { line: i + 1 };
+        header.forEach((name, column) => {
+            if (values[column] !== undefined && values[column] !== "") {
+                row[name] = values[column];
+            }
+        });
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Converts an amount to wei.
+ * A number is only accepted as a safe integer: JSON.parse has already rounded larger or fractional
+ * numbers, e.g. 12345678901234567890 to 12345678901234567000, so they have to be written as strings.
+ *
+ * @param value Amount as a string or number.
+ * @param units "decimal" for whole units with up to `decimals` fraction digits, "wei" for an integer amount.
+ * @param decimals Decimals of the reward asset.
+ */
+function parseAmount(value, units = "decimal", decimals = DEFAULT_DECIMALS) {
+    if (typeof value === "number" && !Number.isSafeInteger(value)) {
+        throw new Error(`amount is not a safe integer, write it as a string: ${value}`);
+    }
+    const amount = String(value === undefined ? "" : value).trim();
+    let wei;
+    if (units === "wei") {
+        if (!/^\d+$/.test(amount)) {
+            throw new Error(`invalid wei amount: "${amount}"`);
+        }
+        wei = new BN(amount);
+    } else if (units === "decimal") {
+        const match = /^(\d+)(?:\.(\d+))?$/.exec(amount);
+        if (!match) {
+            throw new Error(`invalid decimal amount: "${amount}"`);
+        }
+        const fraction = match[2] || "";
+        if (fraction.length > decimals) {
+            throw new Error(`amount has more than ${decimals} decimals: "${amount}"`);
+        }
+        wei = new BN(match[1] + fraction.padEnd(decimals, "0"));
+    } else {
+        throw new Error(`unsupported amount units: ${units}`);
+    }
+
+    if (wei.isZero()) {
+        throw new Error("amount is zero");
+    }
+    if (wei.gt(MAX_UINT256)) {
+        throw new Error("amount doesn't fit into uint256");
+    }
+    return wei;
+}
+
+/**
+ * Converts a wei amount back to the units of the allocation file, the inverse of parseAmount.
+ *
+ * @param wei Amount in wei as a BN or a string.
+ * @param units "decimal" for whole units without trailing fraction zeros, "wei" for an integer amount.
+ * @param decimals Decimals of the reward asset.
+ */
+function formatAmount(wei, units = "decimal", decimals = DEFAULT_DECIMALS) {
+    const amount = new BN(wei.toString());
+    if (units === "wei") {
+        return amount.toString();
+    }
+    if (units !== "decimal") {
+        throw new Error(`unsupported amount units: ${units}`);
+    }
+    const digits = amount.toString().padStart(decimals + 1, "0");
+    const whole = digits.substring(0, digits.length - decimals);
+    const fraction = digits.substring(digits.length - decimals).replace(/0+$/, "");
+    return fraction === "" ? whole : `${whole}.${fraction}`;
+}
+
+/**
+ * Writes allocation rows as a CSV with a header line or as a JSON array, the inverse of parseAllocations.
+ * The line a row came from isn't written, the CSV header lists every column used by any row.
+ *
+ * @param rows Allocation rows.
+ * @param format "csv" or "json".
+ */
+function formatAllocations(rows, format) {
+    const stripped = rows.map(({ line, ...row }) => row);
+    if (format === "json") {
+        return JSON.stringify(stripped, null, 2) + "\n";
+    }
+    if (format !== "csv") {
+        throw new Error(`unsupported allocation format: ${format}`);
+    }
+
+    const header = ["recipient", "amount", "reward"];
+    for (const row of stripped) {
+        header.push(...Object.keys(row).filter(name => !header.includes(name)));
+    }
+    const lines = stripped.map(row => header.map(name => row[name] === undefined ? "" : String(row[name])).join(","));
+    return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Reads the reward token registry of the airdrop contract with the symbol and decimals of every token.
+ * Tokens without the metadata extension get a null symbol and 18 decimals.
+ *
+ * @param airdropContract AirdropContract truffle instance.
+ * @param IERC20Metadata IERC20Metadata truffle artifact.
+ */
+async function loadRewardTokens(airdropContract, IERC20Metadata) {
+    const addresses = await airdropContract.getRewardTokens();
+    return Promise.all(addresses.map(async address => {
+        const token = await IERC20Metadata.at(address);
+        try {
+            return { address: address, symbol: await token.symbol(), decimals: Number(await token.decimals()) };
+        } catch (error) {
+            return { address: address, symbol: null, decimals: DEFAULT_DECIMALS };
+        }
+    }));
+}
+
+/**
+ * Resolves the reward column to the `rewardType` address used by the airdrop contract.
+ * A symbol shared by several registered tokens is rejected as ambiguous, the token address has to be used instead.
+ *
+ * @param reward Token symbol, "TEVA" or "token" for the default token, "ether" or the token address itself.
+ * @param tokenAddress Address of the default reward token.
+ * @param rewardTokens Registered reward tokens as returned by loadRewardTokens.
+ */
+function parseRewardType(reward, tokenAddress, rewardTokens = []) {
+    const value = String(reward === undefined ? "" : reward).trim();
+    const lowerCased = value.toLowerCase();
+    if (ETHER_REWARDS.includes(lowerCased) || value === ZERO_ADDRESS) {
+        return ZERO_ADDRESS;
+    }
+
+    const byAddress = rewardTokens.find(rewardToken => rewardToken.address.toLowerCase() === lowerCased);
+    if (byAddress) {
+        return byAddress.address;
+    }
+    const bySymbol = rewardTokens.filter(rewardToken => rewardToken.symbol && rewardToken.symbol.toLowerCase() === lowerCased);
+    if (bySymbol.length > 1) {
+        throw new Error(`ambiguous reward symbol: "${value}", use the token address`);
+    }
+    if (bySymbol.length === 1) {
+        return bySymbol[0].address;
+    }
+
+    if (tokenAddress && (TOKEN_REWARDS.includes(lowerCased) || lowerCased === tokenAddress.toLowerCase())) {
+        return tokenAddress;
+    }
+    throw new Error(`unknown reward type: "${value}"`);
+}
+
+/**
+ * Returns the decimals of the reward, falling back to `decimals` for unknown tokens.
+ */
+function rewardDecimals(rewardType, rewardTokens = [], decimals = DEFAULT_DECIMALS) {
+    if (rewardType === ZERO_ADDRESS) {
+        return DEFAULT_DECIMALS;
+    }
+    const rewardToken = rewardTokens.find(rewardToken => rewardToken.address === rewardType);
+    return rewardToken ? rewardToken.decimals : decimals;
+}
+
+/**
+ * Validates the recipient, amount and reward of an allocation row.
+ * Throws an Error with the rejection reason if the row is invalid.
+ *
+ * @param row Parsed allocation row with recipient, amount and reward.
+ * @param options Object with tokenAddress, rewardTokens, units and decimals (used for tokens missing from rewardTokens).
+ */
+function toAllocation(row, options) {
+    const recipient = String(row.recipient === undefined ? "" : row.recipient).trim();
+    if (!isValidAddress(recipient)) {
+        throw new Error(`invalid recipient address: "${recipient}"`);
+    }
+    if (!isValidChecksumAddress(recipient)) {
+        throw new Error(`recipient address is not checksummed: "${recipient}"`);
+    }
+    if (recipient === ZERO_ADDRESS) {
+        throw new Error("recipient is the zero address");
+    }
+
+    const rewardType = parseRewardType(row.reward, options.tokenAddress, options.rewardTokens);
+    const amount = parseAmount(row.amount, options.units, rewardDecimals(rewardType, options.rewardTokens, options.decimals));
+
+    return {
+        recipient: recipient,
+        amount: amount.toString(),
+        rewardType: rewardType
+    };
+}
+
+/**
+ * Validates a single allocation row and turns it into an unsigned drop.
+ * Throws an Error with the rejection reason if the row is invalid.
+ *
+ * Without a nonce column the nonce is derived from the content of the row, see allocationNonce, and not from
+ * its position: rows that are moved, or signed again after other rows were added or removed, keep their nonce and,
+ * with the same deadline, yield the same vouchers and not a second set of valid ones. A row whose recipient,
+ * reward, amount or vesting terms change, e.g. one merged by lint-allocations.js --merge, gets a new nonce.
+ * A row with a vesting duration becomes a vesting drop with start, cliff and duration.
+ *
+ * @param row Parsed allocation row with recipient, amount, reward, optional deadline, optional nonce
+ *  and optional vesting start (unix time), cliff and duration (seconds).
+ * @param options Object with tokenAddress, rewardTokens, units, decimals, deadline (default), nonceBase and now (unix seconds).
+ */
+function toDrop(row, options) {
+    const allocation = toAllocation(row, options);
+
+    const deadline = row.deadline === undefined ? options.deadline : row.deadline;
+    if (!/^\d+$/.test(String(deadline).trim())) {
+        throw new Error(`invalid deadline: "${deadline}"`);
+    }
+    if (Number(deadline) <= options.now) {
+        throw new Error(`deadline has already passed: ${deadline}`);
+    }
+
+    const vesting = row.duration === undefined && row.start === undefined && row.cliff === undefined
+        ? null
+        : toVesting(row, allocation.rewardType);
+    const nonce = row.nonce === undefined
+        ? allocationNonce({ ...allocation, ...vesting }, options.nonceBase)
+        : String(row.nonce).trim();
+    if (!/^\d+$/.test(nonce) || new BN(nonce).gt(MAX_UINT256)) {
+        throw new Error(`invalid nonce: "${nonce}"`);
+    }
+
+    const drop = {
+        recipient: allocation.recipient,
+        amount: allocation.amount,
+        deadline: String(deadline).trim(),
+        rewardType: allocation.rewardType,
+        nonce: nonce
+    };
+    return vesting ? { ...drop, ...vesting } : drop;
+}
+
+/**
+ * Returns the nonce of an allocation without a nonce column: keccak256 of the nonce base, recipient, reward type,
+ * amount in wei and the vesting start, cliff and duration if any, as a decimal uint256.
+ * A new nonce base yields new vouchers for the same allocations, to pay them again.
+ *
+ * @param allocation Object with recipient, amount (wei), rewardType and optional start, cliff and duration.
+ * @param nonceBase Nonce base, zero if not set.
+ */
+function allocationNonce(allocation, nonceBase) {
+    const content = [
+        new BN(String(nonceBase || 0)).toString(),
+        allocation.recipient.toLowerCase(),
+        allocation.rewardType.toLowerCase(),
+        allocation.amount,
+        ...(allocation.duration === undefined ? [] : [allocation.start, allocation.cliff, allocation.duration])
+    ];
+    return new BN(keccak256(Buffer.from(content.join(":")))).toString();
+}
+
+/**
+ * Validates the vesting columns of a row, the cliff defaults to zero.
+ */
+function toVesting(row, rewardType) {
+    if (rewardType === ZERO_ADDRESS) {
+        throw new Error("vesting is only supported for tokens");
+    }
+    const vesting = {
+        start: String(row.start === undefined ? "" : row.start).trim(),
+        cliff: String(row.cliff === undefined ? "0" : row.cliff).trim(),
+        duration: String(row.duration === undefined ? "" : row.duration).trim()
+    };
+    for (const name of ["start", "cliff", "duration"]) {
+        if (!/^\d+$/.test(vesting[name])) {
+            throw new Error(`invalid vesting ${name}: "${vesting[name]}"`);
+        }
+    }
+    if (Number(vesting.duration) === 0 || Number(vesting.cliff) > Number(vesting.duration)) {
+        throw new Error("vesting cliff must not be longer than a non-zero duration");
+    }
+    return vesting;
+}
+
+/**
+ * Validates all rows and splits them into allocations and rejected rows with their reasons.
+ */
+function toAllocations(rows, options) {
+    const { accepted, rejected } = partition(rows, row => toAllocation(row, options));
+    return { allocations: accepted, rejected };
+}
+
+/**
+ * Validates all rows and splits them into drops and rejected rows with their reasons.
+ * A row without a nonce that has the content of an earlier one would be signed into the same voucher,
+ * which the contract accepts only once, and is rejected: give such rows a nonce column to pay both.
+ */
+function toDrops(rows, options) {
+    const lines = {};
+    const { accepted, rejected } = partition(rows, row => {
+        const drop = toDrop(row, options);
+        if (row.nonce === undefined) {
+            if (lines[drop.nonce] !== undefined) {
+                throw new Error(`same voucher as line ${lines[drop.nonce]}, set a nonce to pay both`);
+            }
+            lines[drop.nonce] = row.line;
+        }
+        return drop;
+    });
+    return { drops: accepted, rejected };
+}
+
+function partition(rows, convert) {
+    const accepted = [];
+    const rejected = [];
+    for (const row of rows) {
+        try {
+            accepted.push(convert(row));
+        } catch (error) {
+            rejected.push({ line: row.line, row: row, reason: error.message });
+        }
+    }
+    return { accepted, rejected };
+}
+
+function isDataLine(line) {
+    const trimmed = line.trim();
+    return trimmed !== "" && !trimmed.startsWith("#");
+}
+
+/**
+ * Splits a CSV line into trimmed values. A quoted value may contain commas and `""` for a quote,
+ * but can't span lines.
+ */
+function splitCsvLine(line, lineNumber) {
+    const values = [];
+    let value = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === "\"" && line[i + 1] === "\"") {
+                value += char;
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === "\"" && value.trim() === "") {
+            quoted = true;
+            value = "";
+        } else if (char === ",") {
+            values.push(value.trim());
+            value = "";
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`line ${lineNumber}: unterminated quoted value`);
+    }
+    values.push(value.trim());
+    return values;
+}
+
+module.exports = {
+    ZERO_ADDRESS,
+    MAX_UINT256,
+    loadRewardTokens,
+    parseAllocations,
+    parseAmount,
+    formatAmount,
+    formatAllocations,
+    parseRewardType,
+    rewardDecimals,
+    allocationNonce,
+    toAllocation,
+    toAllocations,
+    toDrop,
+    toDrops
+};
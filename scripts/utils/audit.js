@@ -0,0 +1,178 @@
+const { BN } = require("ethereumjs-util");
+const { ZERO_ADDRESS } = require("./allocation.js");
+
+const DEFAULT_STEP = 5000;
+const SURPLUS_CLAIMS = ["ClaimWithProof", "ClaimWithVoucher"];
+const CAPPED_TOKEN_ABI = [
+    { name: "cap", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "uint256" }] },
+    { name: "totalSupply", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "uint256" }] }
+];
+
+/**
+ * Fetches all events of the contract in block ranges of `step` blocks, ordered as they were emitted.
+ *
+ * @param contract Truffle contract instance.
+ * @param options Object with fromBlock (default 0), toBlock (default latest) and step.
+ */
+async function fetchEvents(contract, options = {}) {
+    const web3 = contract.constructor.web3;
+    const fromBlock = Number(options.fromBlock || 0);
+    const toBlock = options.toBlock === undefined ? await web3.eth.getBlockNumber() : Number(options.toBlock);
+    const step = Number(options.step || DEFAULT_STEP);
+
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += step) {
+        const end = Math.min(start + step - 1, toBlock);
+        events.push(...await contract.getPastEvents("allEvents", { fromBlock: start, toBlock: end }));
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Replays the events of AirdropContract and rebuilds the accounting of every asset:
+ * { [rewardType]: { supply, liability } } with the zero address for ether.
+ *
+ * The supply is what the contract should hold: deposits minus withdrawals and claims.
+ * The liability is what was dropped and neither claimed nor swept yet; claims of vouchers and merkle campaigns,
+ * recognized by the ClaimWithVoucher or ClaimWithProof event right after them, are paid from the surplus.
+ * Tokens minted on claim, announced by the MintTokens event before the claim, never were part of the supply.
+ * Events of the default token have no token argument, the token is the one of the last UpdateTokenAddress event.
+ *
+ * @param events Events ordered as they were emitted, see fetchEvents.
+ * @param token Default token before the first UpdateTokenAddress event, needed if the events don't start at the deployment.
+ */
+function rebuildLedger(events, token = null) {
+    const ledger = {};
+    const entry = asset => {
+        ledger[asset] = ledger[asset] || { supply: new BN(0), liability: new BN(0) };
+        return ledger[asset];
+    };
+    const tokenOf = event => {
+        if (event.args.token === undefined && token === null) {
+            throw new Error(`Audit: ${event.event} before UpdateTokenAddress, the default token is unknown`);
+        }
+        return event.args.token === undefined ? token : event.args.token;
+    };
+
+    events.forEach((event, i) => {
+        const args = event.args;
+        switch (event.event) {
+        case "UpdateTokenAddress":
+            token = args.newTokenAddress;
+            break;
+        case "DepositTokens":
+        case "DepositRewardTokens":
+            entry(tokenOf(event)).supply.iadd(new BN(args.amount.toString()));
+            break;
+        case "MintTokens":
+            entry(args.token).supply.iadd(new BN(args.amount.toString()));
+            break;
+        case "DepositEther":
+            entry(ZERO_ADDRESS).supply.iadd(new BN(args.amount.toString()));
+            break;
+        case "DropTokens":
+        case "DropRewardTokens":
+            entry(tokenOf(event)).liability.iadd(new BN(args.amount.toString()));
+            break;
+        case "DropEther":
+            entry(ZERO_ADDRESS).liability.iadd(new BN(args.amount.toString()));
+            break;
+        case "ClaimTokens":
+        case "ClaimRewardTokens":
+        case "ClaimEther": {
+            const asset = entry(event.event === "ClaimEther" ? ZERO_ADDRESS : tokenOf(event));
+            const amount = new BN(args.amount.toString());
+            asset.supply.isub(amount);
+            if (!isSurplusClaim(event, events[i + 1])) {
+                asset.liability.isub(amount);
+            }
+            break;
+        }
+        case "SweepExpired":
+            args.amounts.forEach(amount => entry(args.rewardType).liability.isub(new BN(amount.toString())));
+            break;
+        case "WithdrawTokens":
+        case "WithdrawRewardTokens":
+            entry(tokenOf(event)).supply = entry(tokenOf(event)).liability.clone();
+            break;
+        case "WithdrawEther":
+            entry(ZERO_ADDRESS).supply.isub(new BN(args.amount.toString()));
+            break;
+        }
+    });
+    return ledger;
+}
+
+/**
+ * Compares the rebuilt ledger with the on-chain accounting of every registered token, every token
+ * seen in the events and ether. Returns one row per asset, `ok` is false on any mismatch
+ * and `solvent` is false if the contract holds less than it owes. A default token minted on claim
+ * is solvent as long as the deficit can still be minted below the cap of the token, see `mintable`.
+ *
+ * @param airdropContract AirdropContract truffle instance.
+ * @param ledger Result of rebuildLedger.
+ */
+async function auditSolvency(airdropContract, ledger) {
+    const web3 = airdropContract.constructor.web3;
+    const assets = [ZERO_ADDRESS, ...await airdropContract.getRewardTokens()];
+    for (const asset of Object.keys(ledger)) {
+        if (!assets.includes(asset)) {
+            assets.push(asset);
+        }
+    }
+
+    const mintedToken = await airdropContract.mintOnClaim() ? await airdropContract.token() : null;
+
+    const rows = [];
+    for (const asset of assets) {
+        const expected = ledger[asset] || { supply: new BN(0), liability: new BN(0) };
+        const { balance, liability, surplus } = await airdropContract.solvency(asset);
+        const supply = asset === ZERO_ADDRESS
+            ? new BN(await web3.eth.getBalance(airdropContract.address))
+            : await airdropContract.rewardTokenSupplies(asset);
+        const mintable = asset === mintedToken ? await mintableAmount(web3, asset) : new BN(0);
+        rows.push({
+            asset: asset === ZERO_ADDRESS ? "ether" : asset,
+            balance: balance.toString(),
+            liability: liability.toString(),
+            surplus: surplus.toString(),
+            mintable: mintable.toString(),
+            supply: supply.toString(),
+            expectedSupply: expected.supply.toString(),
+            expectedLiability: expected.liability.toString(),
+            solvent: !new BN(surplus.toString()).add(mintable).isNeg(),
+            ok: supply.eq(expected.supply) && liability.eq(expected.liability)
+        });
+    }
+    return rows;
+}
+
+/**
+ * Returns how many tokens can still be minted below the cap of the token.
+ */
+async function mintableAmount(web3, tokenAddress) {
+    const token = new web3.eth.Contract(CAPPED_TOKEN_ABI, tokenAddress);
+    const cap = new BN((await token.methods.cap().call()).toString());
+    return cap.sub(new BN((await token.methods.totalSupply().call()).toString()));
+}
+
+/**
+ * Checks if a ClaimTokens, ClaimRewardTokens or ClaimEther event paid a voucher or a merkle claim instead of a dropped balance.
+ *
+ * @param event ClaimTokens, ClaimRewardTokens or ClaimEther event.
+ * @param next The event emitted right after it, if any.
+ */
+function isSurplusClaim(event, next) {
+    return next !== undefined
+        && SURPLUS_CLAIMS.includes(next.event)
+        && next.transactionHash === event.transactionHash
+        && next.logIndex === event.logIndex + 1;
+}
+
+module.exports = {
+    fetchEvents,
+    rebuildLedger,
+    auditSolvency,
+    mintableAmount,
+    isSurplusClaim
+};
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const { Signer } = require("./signer.js");
+
+/**
+ * Parses `--name value` pairs from the command line; a flag without a value becomes `true`.
+ * Arguments that belong to truffle itself (such as --network) are parsed too and simply ignored by the scripts.
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith("--")) {
+            continue;
+        }
+        const name = argv[i].substring(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith("--")) {
+            args[name] = true;
+        } else {
+            args[name] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function requireArgs(args, names) {
+    const missing = names.filter(name => args[name] === undefined || args[name] === true);
+    if (missing.length > 0) {
+        throw new Error(`missing required arguments: ${missing.map(name => "--" + name).join(", ")}`);
+    }
+}
+
+/**
+ * Loads the voucher signer from `--keystore <file>` (password from KEYSTORE_PASSWORD)
+ * or from the SIGNER_PRIVATE_KEY environment variable. The deployer key is never used to sign vouchers.
+ */
+async function loadSigner(args) {
+    if (args.keystore) {
+        return Signer.fromKeystore(fs.readFileSync(args.keystore, "utf8"), process.env.KEYSTORE_PASSWORD || "");
+    }
+    if (!process.env.SIGNER_PRIVATE_KEY) {
+        throw new Error("no signer key: set SIGNER_PRIVATE_KEY or pass --keystore");
+    }
+    return new Signer(process.env.SIGNER_PRIVATE_KEY);
+}
+
+function readJson(path) {
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+function writeJson(path, data) {
+    fs.writeFileSync(path, JSON.stringify(data, null, 2) + "\n");
+}
+
+module.exports = {
+    parseArgs,
+    requireArgs,
+    loadSigner,
+    readJson,
+    writeJson
+};
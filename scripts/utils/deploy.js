@@ -0,0 +1,236 @@
+const fs = require("fs");
+const path = require("path");
+const { BN, isValidAddress, toChecksumAddress } = require("ethereumjs-util");
+const { ZERO_ADDRESS, parseAmount } = require("./allocation.js");
+
+// ERC-1967 storage slots of a proxy, bytes32(uint256(keccak256("eip1967.proxy.<name>")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+const PARAMS_DIR = path.join(__dirname, "..", "..", "migrations", "params");
+const PARAMS = ["token", "initialMint", "depositTokens", "depositEther", "signer", "guardian", "mintOnClaim", "owner"];
+
+/**
+ * Reads the deployment parameters of a network from `migrations/params/<network>.json`, or from the file
+ * set by DEPLOY_PARAMS. Every field is optional:
+ *  - token: existing TevaToken to reuse instead of deploying one;
+ *  - initialMint: TEVA minted to the deployer, who needs the minter role of a reused token;
+ *  - depositTokens, depositEther: TEVA and ether the deployer deposits into the airdrop;
+ *  - signer: voucher signer, the deployer if not set;
+ *  - guardian: account that can pause drops and claims, the deployer if not set. It stays with the deployer
+ *    after the hand-over to the owner, so set it to an account that can react to an incident;
+ *  - mintOnClaim: whether the airdrop mints TEVA on claim instead of paying it from deposits;
+ *  - owner: final owner (the treasury) of the airdrop, of the proxy admin and of the roles of a deployed token.
+ * Amounts are whole TEVA and ether with up to 18 decimals. SIGNER_ADDRESS and MINT_ON_CLAIM still apply to
+ * networks without a parameter file, dry runs (`<network>-fork`) read the file of the network they simulate.
+ *
+ * @param network Name of the truffle network.
+ * @param file Path of the parameter file, overrides the one of the network.
+ */
+function loadDeployParams(network, file = process.env.DEPLOY_PARAMS) {
+    const paramsFile = file || path.join(PARAMS_DIR, `${network.replace(/-fork$/, "")}.json`);
+    if (file && !fs.existsSync(paramsFile)) {
+        throw new Error(`Deploy: parameter file ${paramsFile} doesn't exist`);
+    }
+    const raw = fs.existsSync(paramsFile) ? JSON.parse(fs.readFileSync(paramsFile, "utf8")) : {
+        signer: process.env.SIGNER_ADDRESS || undefined,
+        mintOnClaim: process.env.MINT_ON_CLAIM === "true" || undefined
+    };
+
+    const unknown = Object.keys(raw).filter(name => !PARAMS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Deploy: unknown parameters in ${paramsFile}: ${unknown.join(", ")}`);
+    }
+    const params = {};
+    for (const name of ["token", "signer", "guardian", "owner"]) {
+        if (raw[name] !== undefined && raw[name] !== null) {
+            if (!isValidAddress(raw[name]) || raw[name] === ZERO_ADDRESS) {
+                throw new Error(`Deploy: ${name} is not a valid address: "${raw[name]}"`);
+            }
+            params[name] = toChecksumAddress(raw[name]);
+        }
+    }
+    for (const name of ["initialMint", "depositTokens", "depositEther"]) {
+        params[name] = raw[name] === undefined || raw[name] === null ? new BN(0) : parseAmount(raw[name]);
+    }
+    if (raw.mintOnClaim !== undefined && raw.mintOnClaim !== null) {
+        if (typeof raw.mintOnClaim !== "boolean") {
+            throw new Error(`Deploy: mintOnClaim must be true or false: "${raw.mintOnClaim}"`);
+        }
+        params.mintOnClaim = raw.mintOnClaim;
+    }
+    return params;
+}
+
+/**
+ * Returns the instance of a truffle contract at its artifact address if there is code at that address,
+ * so that a re-run of a migration reuses what it already deployed. Null if not deployed on this network.
+ */
+async function findDeployed(web3, Contract) {
+    if (!Contract.isDeployed() || (await web3.eth.getCode(Contract.address)) === "0x") {
+        return null;
+    }
+    return Contract.deployed();
+}
+
+/**
+ * Runs the post-deploy steps of an airdrop with the deployment parameters, in order: mint, deposit of tokens,
+ * deposit of ether, signer, guardian, minting on claim and hand-over to the final owner. Every step checks the chain
+ * first and only does what is left, so that the steps can be run again after a failure or a change of parameters:
+ * mints and deposits are counted from the Transfer, DepositTokens and DepositEther events of the deployer since
+ * the given blocks, the other steps compare the current setting with the parameter.
+ *
+ * @param airdropContract AirdropContract truffle instance, or the AirdropProxy at its address.
+ * @param tevaToken TevaToken truffle instance.
+ * @param params Parameters of loadDeployParams.
+ * @param options Object with from (the deployer), tokenFromBlock and airdropFromBlock (the blocks the contracts
+ *  were deployed at, where the event searches start, see deploymentBlock; a reused token is minted by these steps only,
+ *  so its mints can be counted from the block of the airdrop), ownsToken (whether the token was deployed with the
+ *  airdrop, then its roles are handed over too) and log.
+ */
+async function setupAirdrop(airdropContract, tevaToken, params, options) {
+    const from = options.from;
+    const log = options.log || (() => {});
+    const minterRole = await tevaToken.MINTER_ROLE();
+    const adminRole = await tevaToken.DEFAULT_ADMIN_ROLE();
+    const step = async (name, done, run) => {
+        if (await done()) {
+            log(`${name}: up to date`);
+            return;
+        }
+        await run();
+        log(`${name}: done`);
+    };
+    const requireOwner = async action => {
+        const owner = await airdropContract.owner();
+        if (owner !== from) {
+            throw new Error(`Deploy: ${action} needs the deployer to own the airdrop, it is owned by ${owner}`);
+        }
+    };
+
+    const minted = await sumEvents(tevaToken, "Transfer", { from: ZERO_ADDRESS, to: from }, options.tokenFromBlock, "value");
+    await step("mint", () => minted.gte(params.initialMint), async () => {
+        if (!(await tevaToken.hasRole(minterRole, from))) {
+            throw new Error(`Deploy: deployer ${from} can't mint ${tevaToken.address}`);
+        }
+        await tevaToken.mint(from, params.initialMint.sub(minted), { from: from });
+    });
+
+    const deposited = await sumEvents(airdropContract, "DepositTokens", { from: from }, options.airdropFromBlock, "amount");
+    await step("deposit tokens", () => deposited.gte(params.depositTokens), async () => {
+        await requireOwner("a deposit");
+        const amount = params.depositTokens.sub(deposited);
+        const allowance = await tevaToken.allowance(from, airdropContract.address);
+        if (allowance.lt(amount)) {
+            await tevaToken.approve(airdropContract.address, amount, { from: from });
+        }
+        await airdropContract.depositTokens(amount, { from: from });
+    });
+
+    const depositedEther = await sumEvents(airdropContract, "DepositEther", { from: from }, options.airdropFromBlock, "amount");
+    await step("deposit ether", () => depositedEther.gte(params.depositEther), async () => {
+        await requireOwner("a deposit");
+        await airdropContract.depositEther({ from: from, value: params.depositEther.sub(depositedEther) });
+    });
+
+    await step("signer", async () => params.signer === undefined || (await airdropContract.signer()) === params.signer, async () => {
+        await requireOwner("a new signer");
+        await airdropContract.setSigner(params.signer, 0, { from: from });
+    });
+
+    await step("guardian", async () => params.guardian === undefined || (await airdropContract.guardian()) === params.guardian, async () => {
+        await requireOwner("a new guardian");
+        await airdropContract.setGuardian(params.guardian, { from: from });
+    });
+
+    await step("mint on claim", async () => params.mintOnClaim === undefined || (
+        (await airdropContract.mintOnClaim()) === params.mintOnClaim
+        && (!params.mintOnClaim || await tevaToken.hasRole(minterRole, airdropContract.address))
+    ), async () => {
+        if (params.mintOnClaim && !(await tevaToken.hasRole(minterRole, airdropContract.address))) {
+            await tevaToken.grantRole(minterRole, airdropContract.address, { from: from });
+        }
+        if ((await airdropContract.mintOnClaim()) !== params.mintOnClaim) {
+            await requireOwner("minting on claim");
+            await airdropContract.setMintOnClaim(params.mintOnClaim, { from: from });
+        }
+    });
+
+    if (params.owner === undefined) {
+        return;
+    }
+    await step("token roles", async () => !options.ownsToken || (
+        await tevaToken.hasRole(adminRole, params.owner)
+        && (params.owner === from || !(await tevaToken.hasRole(adminRole, from)) && !(await tevaToken.hasRole(minterRole, from)))
+    ), async () => {
+        if (!(await tevaToken.hasRole(adminRole, params.owner))) {
+            await tevaToken.grantRole(adminRole, params.owner, { from: from });
+        }
+        if (params.owner !== from) {
+            if (await tevaToken.hasRole(minterRole, from)) {
+                await tevaToken.renounceRole(minterRole, from, { from: from });
+            }
+            if (await tevaToken.hasRole(adminRole, from)) {
+                await tevaToken.renounceRole(adminRole, from, { from: from });
+            }
+        }
+    });
+    await step("airdrop owner", async () => (await airdropContract.owner()) === params.owner, async () => {
+        await requireOwner("the hand-over");
+        await airdropContract.transferOwnership(params.owner, { from: from });
+    });
+}
+
+/**
+ * Returns the implementation an ERC-1967 proxy delegates to.
+ */
+async function implementationOf(web3, proxyAddress) {
+    return readAddressSlot(web3, proxyAddress, IMPLEMENTATION_SLOT);
+}
+
+/**
+ * Returns the admin of an ERC-1967 proxy, the ProxyAdmin contract for an AirdropProxy.
+ */
+async function proxyAdminOf(web3, proxyAddress) {
+    return readAddressSlot(web3, proxyAddress, ADMIN_SLOT);
+}
+
+/**
+ * Returns the block a contract was deployed at by the migrations, from the transaction of its truffle artifact
+ * or else from the manifest of the network. Null if it is unknown.
+ *
+ * @param manifest Optional Manifest of the network, see manifest.js.
+ */
+async function deploymentBlock(web3, Contract, manifest) {
+    if (Contract.transactionHash) {
+        const receipt = await web3.eth.getTransactionReceipt(Contract.transactionHash);
+        if (receipt) {
+            return receipt.blockNumber;
+        }
+    }
+    const recorded = manifest && manifest.contracts[Contract.contractName];
+    return recorded && Contract.isDeployed() && recorded.address === Contract.address ? recorded.blockNumber : null;
+}
+
+// Events are only searched from the block the contract was deployed at, a search from the genesis block is unbounded.
+async function sumEvents(contract, name, filter, fromBlock, field) {
+    if (fromBlock === null || fromBlock === undefined) {
+        throw new Error(`Deploy: the block ${contract.address} was deployed at is unknown, can't count its ${name} events`);
+    }
+    const events = await contract.getPastEvents(name, { filter: filter, fromBlock: fromBlock, toBlock: "latest" });
+    return events.reduce((sum, event) => sum.add(new BN(event.args[field].toString())), new BN(0));
+}
+
+async function readAddressSlot(web3, address, slot) {
+    const value = await web3.eth.getStorageAt(address, slot);
+    return toChecksumAddress("0x" + value.replace(/^0x/, "").padStart(64, "0").slice(-40));
+}
+
+module.exports = {
+    loadDeployParams,
+    findDeployed,
+    deploymentBlock,
+    setupAirdrop,
+    implementationOf,
+    proxyAdminOf
+};
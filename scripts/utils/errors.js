@@ -0,0 +1,18 @@
+/**
+ * Returns the revert reason of a failed call or transaction, or the error message if it has none.
+ */
+function revertReason(error) {
+    return error.reason || error.message.replace(/^.*VM Exception while processing transaction: (revert )?/s, "");
+}
+
+/**
+ * Whether an error is a revert of the contract rather than, e.g., a lost connection to the node.
+ */
+function isRevert(error) {
+    return error.receipt !== undefined || error.reason !== undefined || /revert/i.test(error.message);
+}
+
+module.exports = {
+    revertReason,
+    isRevert
+};
@@ -0,0 +1,87 @@
+const { toChecksumAddress } = require("ethereumjs-util");
+
+const DEFAULT_PAGE_SIZE = 100;
+const CAMPAIGN_ABI = [
+    { name: "owner", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "address" }] },
+    { name: "token", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "address" }] }
+];
+
+/**
+ * Creates a campaign with the factory and returns its address and index, taken from the CampaignCreated event.
+ *
+ * @param factory AirdropFactory truffle instance.
+ * @param tokenAddress Default reward token of the campaign.
+ * @param owner Owner of the campaign, also its guardian and signer until it sets other ones.
+ * @param options Optional transaction options, `from` must be the owner of the factory.
+ */
+async function createCampaign(factory, tokenAddress, owner, options) {
+    const receipt = await factory.createCampaign(tokenAddress, owner, ...(options ? [options] : []));
+    const event = receipt.logs.find(log => log.event === "CampaignCreated");
+    if (!event) {
+        throw new Error("Factory: no CampaignCreated event in the receipt");
+    }
+    return { campaign: event.args.campaign, index: Number(event.args.index), receipt: receipt };
+}
+
+/**
+ * Lists the campaigns of the factory in creation order with their current owner and default reward token,
+ * optionally only those of an owner or of a token. Owners are read from the campaigns, not from the
+ * CampaignCreated events, so a campaign whose ownership was transferred is listed under its new owner.
+ *
+ * @param factory AirdropFactory truffle instance.
+ * @param filter Object with optional owner and token addresses.
+ * @param options Object with pageSize, the number of campaigns read per call (100 if not set).
+ */
+async function listCampaigns(factory, filter = {}, options = {}) {
+    const web3 = factory.constructor.web3;
+    const pageSize = Number(options.pageSize || DEFAULT_PAGE_SIZE);
+    const count = Number(await factory.campaignsCount());
+
+    const campaigns = [];
+    for (let offset = 0; offset < count; offset += pageSize) {
+        const page = await factory.getCampaigns(offset, pageSize);
+        for (let i = 0; i < page.length; i++) {
+            const contract = new web3.eth.Contract(CAMPAIGN_ABI, page[i]);
+            campaigns.push({
+                index: offset + i,
+                campaign: page[i],
+                owner: await contract.methods.owner().call(),
+                token: await contract.methods.token().call()
+            });
+        }
+    }
+    return campaigns.filter(campaign => sameAddress(campaign.owner, filter.owner) && sameAddress(campaign.token, filter.token));
+}
+
+/**
+ * Binds a voucher signer to the EIP-712 domain of a campaign, whose `verifyingContract` is the campaign address.
+ * The returned object signs drops for that campaign only, e.g. `(await campaignSigner(factory, signer, campaign)).signDrop(drop)`.
+ *
+ * @param factory AirdropFactory truffle instance the campaign was created with.
+ * @param signer Signer of scripts/utils/signer.js.
+ * @param campaign Campaign address.
+ */
+async function campaignSigner(factory, signer, campaign) {
+    if (!(await factory.isCampaign(campaign))) {
+        throw new Error(`Factory: ${campaign} is not a campaign of ${factory.address}`);
+    }
+    const chainId = await factory.constructor.web3.eth.getChainId();
+    const verifyingContract = toChecksumAddress(campaign);
+    return {
+        address: signer.address,
+        chainId: chainId,
+        verifyingContract: verifyingContract,
+        signDrop: drop => signer.signDrop(chainId, verifyingContract, drop),
+        signVestingDrop: drop => signer.signVestingDrop(chainId, verifyingContract, drop)
+    };
+}
+
+function sameAddress(address, expected) {
+    return expected === undefined || address.toLowerCase() === expected.toLowerCase();
+}
+
+module.exports = {
+    createCampaign,
+    listCampaigns,
+    campaignSigner
+};
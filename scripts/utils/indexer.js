@@ -0,0 +1,248 @@
+const fs = require("fs");
+const { BN } = require("ethereumjs-util");
+const { ZERO_ADDRESS } = require("./allocation.js");
+const { fetchEvents, isSurplusClaim } = require("./audit.js");
+
+const CSV_COLUMNS = ["recipient", "asset", "dropped", "claimed", "swept", "paid", "outstanding"];
+
+/**
+ * On-disk per-recipient ledger of an AirdropContract, built from its events up to `lastBlock`.
+ * Assets are keyed by reward type, the zero address stands for ether. For every recipient and asset:
+ *  dropped - credited by DropTokens/DropRewardTokens/DropEther;
+ *  claimed - claimed from the dropped balance;
+ *  swept   - reclaimed by the owner after the claim window expired;
+ *  paid    - paid directly by a voucher or a merkle claim, never part of the balance.
+ * Deposits and withdrawals of the owner are kept per asset.
+ * Events of the default token have no token argument, the ledger keeps the token of the last UpdateTokenAddress event.
+ *
+ * @param path Ledger file, created on the first save.
+ * @param chainId Chain of the contract.
+ * @param airdrop Address of the contract.
+ * @param fromBlock First block to index when the ledger is new, usually the deployment block.
+ */
+function Ledger(path, chainId, airdrop, fromBlock = 0) {
+    this.path = path;
+
+    if (fs.existsSync(path)) {
+        const saved = JSON.parse(fs.readFileSync(path, "utf8"));
+        if (Number(saved.chainId) !== Number(chainId) || saved.airdrop.toLowerCase() !== airdrop.toLowerCase()) {
+            throw new Error(`Indexer: ledger ${path} belongs to another contract`);
+        }
+        Object.assign(this, saved, { path: path });
+    } else {
+        this.chainId = Number(chainId);
+        this.airdrop = airdrop;
+        this.lastBlock = Number(fromBlock) - 1;
+        this.token = null;
+        this.assets = {};
+        this.recipients = {};
+    }
+}
+
+/**
+ * Writes the ledger through a temporary file so a crash never leaves it half written.
+ */
+Ledger.prototype.save = function () {
+    const data = JSON.stringify({
+        chainId: this.chainId,
+        airdrop: this.airdrop,
+        lastBlock: this.lastBlock,
+        token: this.token,
+        assets: this.assets,
+        recipients: this.recipients
+    }, null, 2) + "\n";
+    fs.writeFileSync(this.path + ".tmp", data);
+    fs.renameSync(this.path + ".tmp", this.path);
+};
+
+/**
+ * Applies events ordered as they were emitted. A page of events must cover whole blocks,
+ * so that a claim and the ClaimWithVoucher/ClaimWithProof event after it are never split.
+ */
+Ledger.prototype.apply = function (events) {
+    events.forEach((event, i) => {
+        const args = event.args;
+        switch (event.event) {
+        case "UpdateTokenAddress":
+            this.token = args.newTokenAddress;
+            break;
+        case "DepositTokens":
+        case "DepositRewardTokens":
+            this._add(this._asset(this._tokenOf(event)), "deposited", args.amount);
+            break;
+        case "DepositEther":
+            this._add(this._asset(ZERO_ADDRESS), "deposited", args.amount);
+            break;
+        case "MintTokens":
+            this._add(this._asset(args.token), "minted", args.amount);
+            break;
+        case "WithdrawTokens":
+        case "WithdrawRewardTokens":
+            this._add(this._asset(this._tokenOf(event)), "withdrawn", args.amount);
+            break;
+        case "WithdrawEther":
+            this._add(this._asset(ZERO_ADDRESS), "withdrawn", args.amount);
+            break;
+        case "DropTokens":
+        case "DropRewardTokens":
+            this._add(this._entry(args.to, this._tokenOf(event)), "dropped", args.amount);
+            break;
+        case "DropEther":
+            this._add(this._entry(args.to, ZERO_ADDRESS), "dropped", args.amount);
+            break;
+        case "ClaimTokens":
+        case "ClaimRewardTokens":
+        case "ClaimEther": {
+            const entry = this._entry(args.to, event.event === "ClaimEther" ? ZERO_ADDRESS : this._tokenOf(event));
+            this._add(entry, isSurplusClaim(event, events[i + 1]) ? "paid" : "claimed", args.amount);
+            break;
+        }
+        case "SweepExpired":
+            args.recipients.forEach((recipient, j) => this._add(this._entry(recipient, args.rewardType), "swept", args.amounts[j]));
+            break;
+        }
+    });
+};
+
+/**
+ * Returns one row per recipient and asset with the outstanding amount, that is dropped and neither claimed nor swept yet.
+ */
+Ledger.prototype.rows = function () {
+    const rows = [];
+    for (const recipient of Object.keys(this.recipients)) {
+        for (const asset of Object.keys(this.recipients[recipient])) {
+            const entry = this.recipients[recipient][asset];
+            rows.push({
+                recipient: recipient,
+                asset: asset === ZERO_ADDRESS ? "ether" : asset,
+                dropped: entry.dropped,
+                claimed: entry.claimed,
+                swept: entry.swept || "0",
+                paid: entry.paid,
+                outstanding: new BN(entry.dropped).sub(new BN(entry.claimed)).sub(new BN(entry.swept || "0")).toString()
+            });
+        }
+    }
+    return rows;
+};
+
+Ledger.prototype._tokenOf = function (event) {
+    if (event.args.token !== undefined) {
+        return event.args.token;
+    }
+    if (!this.token) {
+        throw new Error(`Indexer: ${event.event} before UpdateTokenAddress, index from the deployment block`);
+    }
+    return this.token;
+};
+
+Ledger.prototype._asset = function (asset) {
+    this.assets[asset] = this.assets[asset] || { deposited: "0", withdrawn: "0" };
+    return this.assets[asset];
+};
+
+Ledger.prototype._entry = function (recipient, asset) {
+    this.recipients[recipient] = this.recipients[recipient] || {};
+    this.recipients[recipient][asset] = this.recipients[recipient][asset] || { dropped: "0", claimed: "0", swept: "0", paid: "0" };
+    return this.recipients[recipient][asset];
+};
+
+Ledger.prototype._add = function (entry, field, amount) {
+    entry[field] = new BN(entry[field] || "0").add(new BN(amount.toString())).toString();
+};
+
+/**
+ * Indexes the events after the last indexed block in pages of `step` blocks, saving the ledger after every page.
+ *
+ * @param airdropContract AirdropContract truffle instance.
+ * @param ledger Ledger of the contract.
+ * @param options Object with toBlock (default latest minus confirmations), confirmations, step and optional log function.
+ */
+async function indexEvents(airdropContract, ledger, options = {}) {
+    const web3 = airdropContract.constructor.web3;
+    const log = options.log || (() => {});
+    const step = Number(options.step || 5000);
+    const toBlock = options.toBlock === undefined
+        ? await web3.eth.getBlockNumber() - Number(options.confirmations || 0)
+        : Number(options.toBlock);
+
+    let count = 0;
+    for (let start = ledger.lastBlock + 1; start <= toBlock; start += step) {
+        const end = Math.min(start + step - 1, toBlock);
+        const events = await fetchEvents(airdropContract, { fromBlock: start, toBlock: end, step: step });
+        ledger.apply(events);
+        ledger.lastBlock = end;
+        ledger.save();
+        count += events.length;
+        log(`Indexed blocks ${start}-${end}: ${events.length} events`);
+    }
+    return count;
+}
+
+/**
+ * Compares the outstanding amount of every row with the on-chain balance at the last indexed block:
+ * etherBalances, or rewardTokenBalances plus what isn't claimed yet of the vesting schedules.
+ * Returns the mismatched rows with the on-chain amount.
+ */
+async function checkLedger(airdropContract, ledger) {
+    const methods = airdropContract.contract.methods;
+    const mismatches = [];
+    for (const row of ledger.rows()) {
+        let onChain;
+        if (row.asset === "ether") {
+            onChain = new BN(await methods.etherBalances(row.recipient).call({}, ledger.lastBlock));
+        } else {
+            const vesting = await methods.vestingOf(row.asset, row.recipient).call({}, ledger.lastBlock);
+            onChain = new BN(await methods.rewardTokenBalances(row.asset, row.recipient).call({}, ledger.lastBlock))
+                .add(new BN(vesting.vested)).sub(new BN(vesting.claimed)).add(new BN(vesting.locked));
+        }
+        if (onChain.toString() !== row.outstanding) {
+            mismatches.push({ ...row, onChain: onChain.toString() });
+        }
+    }
+    return mismatches;
+}
+
+/**
+ * Returns the outstanding rows whose claim window ends within `within` seconds from `now`, or has already ended,
+ * with the claimDeadline, an `expired` flag and the `expiring` amount: the dropped balance, `etherBalances` or
+ * `rewardTokenBalances`, without the vesting schedules, which never expire. Balances without a claim window
+ * and rows that are only vesting never show up.
+ *
+ * @param airdropContract AirdropContract truffle instance.
+ * @param ledger Ledger of the contract, indexed up to date.
+ * @param options Object with now (unix seconds) and within (seconds).
+ */
+async function findExpiring(airdropContract, ledger, options) {
+    const expiring = [];
+    for (const row of ledger.rows()) {
+        if (row.outstanding === "0") {
+            continue;
+        }
+        const rewardType = row.asset === "ether" ? ZERO_ADDRESS : row.asset;
+        const claimDeadline = Number(await airdropContract.claimDeadlines(rewardType, row.recipient));
+        if (claimDeadline === 0 || claimDeadline > options.now + options.within) {
+            continue;
+        }
+        const balance = rewardType === ZERO_ADDRESS
+            ? await airdropContract.etherBalances(row.recipient)
+            : await airdropContract.rewardTokenBalances(rewardType, row.recipient);
+        if (!balance.isZero()) {
+            expiring.push({ ...row, expiring: balance.toString(), claimDeadline: claimDeadline, expired: claimDeadline < options.now });
+        }
+    }
+    return expiring.sort((a, b) => a.claimDeadline - b.claimDeadline);
+}
+
+function toCsv(rows, columns = CSV_COLUMNS) {
+    const lines = rows.map(row => columns.map(column => row[column]).join(","));
+    return [columns.join(","), ...lines].join("\n") + "\n";
+}
+
+module.exports = {
+    Ledger,
+    indexEvents,
+    checkLedger,
+    findExpiring,
+    toCsv
+};
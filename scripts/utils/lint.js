@@ -0,0 +1,198 @@
+const { BN } = require("ethereumjs-util");
+const { ZERO_ADDRESS, formatAmount, parseAmount, parseRewardType, rewardDecimals, toAllocation } = require("./allocation.js");
+const { mintableAmount } = require("./audit.js");
+
+// Rows with these columns are separate vouchers or vesting schedules and are never merged with another row.
+const UNMERGEABLE_COLUMNS = ["nonce", "start", "cliff", "duration"];
+
+/**
+ * Analyses an allocation list before it is signed and returns the cleaned list with what was removed and why:
+ *  - rows toAllocation rejects, e.g. invalid or zero recipients and amounts;
+ *  - the airdrop contract or a reward token contract as a recipient, which could never claim;
+ *  - duplicate rows of a recipient and reward: with `merge` their amounts are summed into the first row,
+ *    otherwise every row after the first is rejected. Rows with a nonce or vesting columns are never merged,
+ *    a row with another nonce or other vesting terms is a separate voucher or schedule and not a duplicate;
+ *  - a recipient whose amount of a reward, merged rows together, is above the cap of that reward.
+ *
+ * @param rows Parsed allocation rows, see parseAllocations.
+ * @param options Object with tokenAddress, rewardTokens, units and decimals as for toAllocation, airdropAddress,
+ *  merge and caps (maximum amount in wei per recipient, keyed by reward type, see parseCaps).
+ * @returns { rows, allocations, rejected, merged, totals }: cleaned rows to write back in the units of the file,
+ *  the same rows as allocations in wei, rejected rows with their reasons, merged rows and totals per reward.
+ */
+function lintAllocations(rows, options) {
+    const contracts = [options.airdropAddress, options.tokenAddress, ...(options.rewardTokens || []).map(rewardToken => rewardToken.address)]
+        .filter(address => address)
+        .map(address => address.toLowerCase());
+    const caps = options.caps || {};
+    const rejected = [];
+    const reject = (row, reason) => rejected.push({ line: row.line, row: row, reason: reason });
+
+    const entries = [];
+    const byRecipient = {};
+    for (const row of rows) {
+        let allocation;
+        try {
+            allocation = toAllocation(row, options);
+        } catch (error) {
+            reject(row, error.message);
+            continue;
+        }
+        const recipient = allocation.recipient.toLowerCase();
+        if (options.airdropAddress && recipient === options.airdropAddress.toLowerCase()) {
+            reject(row, "recipient is the airdrop contract");
+            continue;
+        }
+        if (contracts.includes(recipient)) {
+            reject(row, "recipient is a reward token contract");
+            continue;
+        }
+
+        const key = [recipient, allocation.rewardType, ...UNMERGEABLE_COLUMNS.map(name => columnOf(row, name))].join(":");
+        const first = byRecipient[key];
+        if (first === undefined) {
+            byRecipient[key] = { row: row, allocation: allocation, amount: new BN(allocation.amount), lines: [row.line] };
+            entries.push(byRecipient[key]);
+        } else if (options.merge && isMergeable(first.row) && isMergeable(row)) {
+            first.amount.iadd(new BN(allocation.amount));
+            first.lines.push(row.line);
+        } else {
+            reject(row, `duplicate of line ${first.row.line}`);
+        }
+    }
+
+    const cleaned = [];
+    const allocations = [];
+    const merged = [];
+    for (const { row, allocation, amount, lines } of entries) {
+        const decimals = rewardDecimals(allocation.rewardType, options.rewardTokens, options.decimals);
+        const cap = caps[allocation.rewardType];
+        if (cap && amount.gt(cap)) {
+            const formatted = formatAmount(amount, options.units, decimals);
+            const of = lines.length > 1 ? ` (lines ${lines.join(", ")} merged)` : "";
+            reject(row, `amount ${formatted}${of} is above the cap of ${formatAmount(cap, options.units, decimals)}`);
+            continue;
+        }
+        if (lines.length > 1) {
+            merged.push({ lines: lines, recipient: allocation.recipient, rewardType: allocation.rewardType, amount: amount.toString() });
+        }
+        cleaned.push(lines.length > 1 ? { ...row, amount: formatAmount(amount, options.units, decimals) } : row);
+        allocations.push({ ...allocation, amount: amount.toString() });
+    }
+
+    return {
+        rows: cleaned,
+        allocations: allocations,
+        rejected: rejected.sort((a, b) => a.line - b.line),
+        merged: merged,
+        totals: totalsOf(allocations)
+    };
+}
+
+/**
+ * Returns the number of recipients and the total amount of every reward of the allocations, ether first.
+ *
+ * @param allocations Array of objects with recipient, amount (wei) and rewardType.
+ */
+function totalsOf(allocations) {
+    const totals = {};
+    for (const { amount, rewardType } of allocations) {
+        totals[rewardType] = totals[rewardType] || { rewardType: rewardType, recipients: 0, amount: new BN(0) };
+        totals[rewardType].recipients++;
+        totals[rewardType].amount.iadd(new BN(amount));
+    }
+    return Object.values(totals)
+        .sort((a, b) => (b.rewardType === ZERO_ADDRESS) - (a.rewardType === ZERO_ADDRESS))
+        .map(total => ({ ...total, amount: total.amount.toString() }));
+}
+
+/**
+ * Compares what the allocations need with what the deployed airdrop can actually pay of every reward.
+ * A token is paid from its balance, `token.balanceOf(airdrop)`, and from its deposited supply, `rewardTokenSupplies`
+ * (`totalTokenSupply` of the default token), so the smaller of them is available beyond the liability already dropped.
+ * A default token minted on claim is available up to its cap instead, ether up to the ether balance.
+ * Recipients of the list that already have an unclaimed balance, `rewardTokenBalances` (`tokenBalances`
+ * of the default token) or `etherBalances`, are reported too: the list may have been dropped before.
+ *
+ * @param airdropContract AirdropContract truffle instance.
+ * @param allocations Array of objects with recipient, amount (wei) and rewardType, see lintAllocations.
+ * @returns { funding, existing }: one row per reward { asset, required, balance, supply, liability, mintable, existing,
+ *  available, shortfall, ok } and every recipient with an unclaimed balance { recipient, rewardType, amount }.
+ */
+async function checkFunding(airdropContract, allocations) {
+    const web3 = airdropContract.constructor.web3;
+    const mintedToken = await airdropContract.mintOnClaim() ? await airdropContract.token() : null;
+
+    const funding = [];
+    const existing = [];
+    for (const { rewardType, amount } of totalsOf(allocations)) {
+        const { balance, liability, surplus } = await airdropContract.solvency(rewardType);
+        const isEther = rewardType === ZERO_ADDRESS;
+        const supply = isEther ? balance : await airdropContract.rewardTokenSupplies(rewardType);
+        const mintable = rewardType === mintedToken ? await mintableAmount(web3, rewardType) : new BN(0);
+        const available = rewardType === mintedToken
+            ? new BN(surplus.toString()).add(mintable)
+            : BN.min(new BN(balance.toString()), new BN(supply.toString())).sub(new BN(liability.toString()));
+
+        const dropped = new BN(0);
+        for (const allocation of allocations.filter(allocation => allocation.rewardType === rewardType)) {
+            const unclaimed = isEther
+                ? await airdropContract.etherBalances(allocation.recipient)
+                : await airdropContract.rewardTokenBalances(rewardType, allocation.recipient);
+            if (!unclaimed.isZero()) {
+                existing.push({ recipient: allocation.recipient, rewardType: rewardType, amount: unclaimed.toString() });
+                dropped.iadd(new BN(unclaimed.toString()));
+            }
+        }
+
+        const shortfall = new BN(amount).sub(available);
+        funding.push({
+            asset: isEther ? "ether" : rewardType,
+            required: amount,
+            balance: balance.toString(),
+            supply: supply.toString(),
+            liability: liability.toString(),
+            mintable: mintable.toString(),
+            existing: dropped.toString(),
+            available: available.toString(),
+            shortfall: (shortfall.isNeg() ? new BN(0) : shortfall).toString(),
+            ok: !shortfall.gtn(0)
+        });
+    }
+    return { funding, existing };
+}
+
+/**
+ * Parses per-recipient caps written as `reward=amount` pairs separated by commas, e.g. "TEVA=1000,ether=0.5".
+ * Returns the caps in wei keyed by reward type, rewards are resolved as in the allocation file.
+ *
+ * @param value Caps as given on the command line.
+ * @param options Object with tokenAddress, rewardTokens, units and decimals as for toAllocation.
+ */
+function parseCaps(value, options) {
+    const caps = {};
+    for (const pair of String(value).split(",").filter(pair => pair.trim() !== "")) {
+        const [reward, amount] = pair.split("=");
+        if (amount === undefined) {
+            throw new Error(`Lint: invalid cap "${pair.trim()}", expected reward=amount`);
+        }
+        const rewardType = parseRewardType(reward, options.tokenAddress, options.rewardTokens);
+        caps[rewardType] = parseAmount(amount, options.units, rewardDecimals(rewardType, options.rewardTokens, options.decimals));
+    }
+    return caps;
+}
+
+function isMergeable(row) {
+    return UNMERGEABLE_COLUMNS.every(name => row[name] === undefined);
+}
+
+function columnOf(row, name) {
+    return row[name] === undefined ? "" : String(row[name]).trim();
+}
+
+module.exports = {
+    lintAllocations,
+    totalsOf,
+    checkFunding,
+    parseCaps
+};
@@ -0,0 +1,219 @@
+const fs = require("fs");
+const path = require("path");
+const { bufferToHex, keccak256, toBuffer } = require("ethereumjs-util");
+const { ZERO_ADDRESS } = require("./allocation.js");
+const { implementationOf, proxyAdminOf } = require("./deploy.js");
+
+const MANIFEST_DIR = path.join(__dirname, "..", "..", "deployments");
+const STATE_ABI = [
+    { name: "owner", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "address" }] },
+    { name: "token", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "address" }] }
+];
+// Recorded when the contract has them: owner() and token() of the contract, implementation and admin of a proxy.
+const STATE_FIELDS = ["owner", "token", "implementation", "admin"];
+
+/**
+ * Machine-readable record of the contracts deployed to a network, written by the migrations to
+ * `deployments/<network>.json`. Every contract is keyed by its name in the migrations:
+ *  artifact         - truffle artifact the runtime bytecode is compared with;
+ *  address, transactionHash, blockNumber - where and when it was deployed;
+ *  constructorArgs  - arguments of the constructor as strings;
+ *  compiler         - solc version of the artifact;
+ *  bytecodeHash     - keccak256 of the runtime bytecode with the immutable variables zeroed, see hashRuntimeCode;
+ *  owner, token, implementation, admin - state read after the migration, when the contract has it.
+ * A contract the migrations only reuse, like a token of the deployment parameters, is recorded with `external: true`.
+ * The manifest of another chain under the same network name, e.g. a restarted ganache, is replaced.
+ *
+ * @param path Manifest file, created on the first save.
+ * @param chainId Chain id of the network.
+ * @param genesisHash Hash of block zero of the network, which tells chains with the same id apart.
+ */
+function Manifest(path, chainId, genesisHash) {
+    this.path = path;
+    this.chainId = Number(chainId);
+    this.genesisHash = genesisHash;
+    this.contracts = {};
+
+    if (fs.existsSync(path)) {
+        const saved = JSON.parse(fs.readFileSync(path, "utf8"));
+        if (Number(saved.chainId) === this.chainId && saved.genesisHash === genesisHash) {
+            this.contracts = saved.contracts;
+        }
+    }
+}
+
+/**
+ * Opens the manifest of a truffle network. A dry run (`<network>-fork`) gets a manifest that is never saved.
+ */
+Manifest.forNetwork = async function (web3, network) {
+    const manifest = new Manifest(
+        manifestPath(network),
+        await web3.eth.getChainId(),
+        (await web3.eth.getBlock(0)).hash
+    );
+    manifest.dryRun = network.endsWith("-fork");
+    return manifest;
+};
+
+/**
+ * Reads a saved manifest without a connection to its network, e.g. to check it against the chain.
+ */
+Manifest.load = function (path) {
+    if (!fs.existsSync(path)) {
+        throw new Error(`Manifest: ${path} doesn't exist`);
+    }
+    const saved = JSON.parse(fs.readFileSync(path, "utf8"));
+    return Object.assign(new Manifest(path, saved.chainId, saved.genesisHash), { contracts: saved.contracts });
+};
+
+Manifest.prototype.save = function () {
+    if (this.dryRun) {
+        return;
+    }
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const data = JSON.stringify({ chainId: this.chainId, genesisHash: this.genesisHash, contracts: this.contracts }, null, 2) + "\n";
+    fs.writeFileSync(this.path + ".tmp", data);
+    fs.renameSync(this.path + ".tmp", this.path);
+};
+
+/**
+ * Records a contract at the address of its truffle artifact. A contract already recorded at that address keeps
+ * its deployment transaction and constructor arguments, only its state is read again; this way a migration
+ * that reuses a contract doesn't lose how it was deployed.
+ *
+ * @param web3 Web3 instance connected to the network.
+ * @param name Name of the contract in the manifest.
+ * @param Contract Truffle contract abstraction with the address of the contract.
+ * @param constructorArgs Arguments the contract was deployed with, null if they aren't known.
+ */
+Manifest.prototype.record = async function (web3, name, Contract, constructorArgs) {
+    const address = Contract.address;
+    const recorded = this.contracts[name] && this.contracts[name].address === address ? this.contracts[name] : null;
+
+    let deployment = recorded ? { transactionHash: recorded.transactionHash, blockNumber: recorded.blockNumber } : { transactionHash: null, blockNumber: null };
+    if (!recorded && Contract.transactionHash) {
+        const receipt = await web3.eth.getTransactionReceipt(Contract.transactionHash);
+        if (receipt && receipt.contractAddress && receipt.contractAddress.toLowerCase() === address.toLowerCase()) {
+            deployment = { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
+        }
+    }
+
+    this.contracts[name] = {
+        artifact: Contract.contractName,
+        address: address,
+        ...deployment,
+        constructorArgs: recorded && recorded.constructorArgs ? recorded.constructorArgs : constructorArgs && constructorArgs.map(arg => arg.toString()),
+        compiler: Contract.compiler.version,
+        bytecodeHash: hashRuntimeCode(Contract.deployedBytecode, Contract.immutableReferences),
+        ...await readState(web3, address)
+    };
+    return this.contracts[name];
+};
+
+/**
+ * Records a contract that wasn't deployed from this repository, only its address is checked.
+ */
+Manifest.prototype.recordExternal = function (name, address) {
+    this.contracts[name] = { address: address, external: true };
+    return this.contracts[name];
+};
+
+/**
+ * Returns the path of the manifest of a truffle network, `deployments/<network>.json`.
+ */
+function manifestPath(network) {
+    return path.join(MANIFEST_DIR, `${network}.json`);
+}
+
+/**
+ * Returns keccak256 of runtime bytecode with the immutable variables zeroed. Immutables, like the cached EIP-712
+ * domain of the airdrop, are only written into the code at deployment, so that the hash of the deployed code
+ * equals the hash of the artifact it was compiled to.
+ *
+ * @param code Hex runtime bytecode, deployed or of the artifact.
+ * @param immutableReferences `immutableReferences` of the artifact: byte ranges of every immutable variable.
+ */
+function hashRuntimeCode(code, immutableReferences = {}) {
+    const bytes = Buffer.from(toBuffer(code));
+    for (const references of Object.values(immutableReferences)) {
+        for (const { start, length } of references) {
+            bytes.fill(0, start, Math.min(start + length, bytes.length));
+        }
+    }
+    return bufferToHex(keccak256(bytes));
+}
+
+/**
+ * Checks a manifest against the chain and returns one row per check: { contract, check, expected, actual, ok }.
+ * The deployed runtime bytecode must match the local artifact, the deployment transaction must have created the
+ * contract and the recorded owner, token, implementation and admin must still be the current ones.
+ *
+ * @param web3 Web3 instance connected to the network of the manifest.
+ * @param manifest Manifest to check.
+ * @param loadArtifact Function returning the truffle contract abstraction of an artifact name.
+ */
+async function verifyManifest(web3, manifest, loadArtifact) {
+    const rows = [];
+    const check = (contract, name, expected, actual) => rows.push({
+        contract: contract,
+        check: name,
+        expected: expected,
+        actual: actual,
+        ok: String(expected).toLowerCase() === String(actual).toLowerCase()
+    });
+
+    check("network", "chainId", manifest.chainId, await web3.eth.getChainId());
+    check("network", "genesis", manifest.genesisHash, (await web3.eth.getBlock(0)).hash);
+    if (rows.some(row => !row.ok)) {
+        return rows;
+    }
+
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+        const code = await web3.eth.getCode(entry.address);
+        if (code === "0x") {
+            check(name, "code", "deployed", "no code");
+            continue;
+        }
+        if (entry.external) {
+            check(name, "code", "deployed", "deployed");
+            continue;
+        }
+
+        const Contract = loadArtifact(entry.artifact);
+        check(name, "bytecode", hashRuntimeCode(Contract.deployedBytecode, Contract.immutableReferences), hashRuntimeCode(code, Contract.immutableReferences));
+        if (entry.transactionHash) {
+            const receipt = await web3.eth.getTransactionReceipt(entry.transactionHash);
+            check(name, "deployment", `${entry.address}@${entry.blockNumber}`, receipt ? `${receipt.contractAddress}@${receipt.blockNumber}` : "no receipt");
+        }
+        const state = await readState(web3, entry.address);
+        for (const field of STATE_FIELDS.filter(field => entry[field] !== undefined)) {
+            check(name, field, entry[field], state[field] === undefined ? "none" : state[field]);
+        }
+    }
+    return rows;
+}
+
+async function readState(web3, address) {
+    const contract = new web3.eth.Contract(STATE_ABI, address);
+    const state = {};
+    for (const field of ["owner", "token"]) {
+        try {
+            state[field] = await contract.methods[field]().call();
+        } catch (error) {
+            // the contract has no such function
+        }
+    }
+    const implementation = await implementationOf(web3, address);
+    if (implementation !== ZERO_ADDRESS) {
+        state.implementation = implementation;
+        state.admin = await proxyAdminOf(web3, address);
+    }
+    return state;
+}
+
+module.exports = {
+    Manifest,
+    manifestPath,
+    hashRuntimeCode,
+    verifyManifest
+};
@@ -0,0 +1,101 @@
+const { BN, bufferToHex, keccak256, setLengthLeft, toBuffer } = require("ethereumjs-util");
+
+/**
+ * Hashes a claim leaf the same way AirdropContract.claimWithProof does:
+ * keccak256(abi.encodePacked(index, recipient, amount, rewardType)).
+ *
+ * @param leaf Object with index, recipient, amount and rewardType.
+ */
+function hashLeaf(leaf) {
+    return keccak256(Buffer.concat([
+        setLengthLeft(toBuffer(new BN(leaf.index)), 32),
+        toBuffer(leaf.recipient),
+        setLengthLeft(toBuffer(new BN(leaf.amount.toString())), 32),
+        toBuffer(leaf.rewardType)
+    ]));
+}
+
+/**
+ * Hashes a pair of nodes in sorted order, as OpenZeppelin MerkleProof expects.
+ */
+function hashPair(a, b) {
+    return Buffer.compare(a, b) <= 0 ? keccak256(Buffer.concat([a, b])) : keccak256(Buffer.concat([b, a]));
+}
+
+/**
+ * Merkle tree of claim leaves. The leaf index is its position in the list.
+ * A node without a sibling is promoted to the next level as is.
+ *
+ * @param allocations Array of objects with recipient, amount and rewardType.
+ */
+function MerkleTree(allocations) {
+    if (allocations.length === 0) {
+        throw new Error("Merkle: no allocations");
+    }
+    this.leaves = allocations.map((allocation, index) => ({
+        index: index,
+        recipient: allocation.recipient,
+        amount: allocation.amount.toString(),
+        rewardType: allocation.rewardType
+    }));
+    this.levels = [this.leaves.map(hashLeaf)];
+    while (this.levels[this.levels.length - 1].length > 1) {
+        const level = this.levels[this.levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        this.levels.push(next);
+    }
+}
+
+MerkleTree.prototype.getRoot = function () {
+    return bufferToHex(this.levels[this.levels.length - 1][0]);
+};
+
+MerkleTree.prototype.getProof = function (index) {
+    const proof = [];
+    for (let level = 0; level < this.levels.length - 1; level++) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < this.levels[level].length) {
+            proof.push(bufferToHex(this.levels[level][sibling]));
+        }
+        index = Math.floor(index / 2);
+    }
+    return proof;
+};
+
+/**
+ * Returns the claims of every recipient: { [recipient]: [{ index, amount, rewardType, proof }] }.
+ */
+MerkleTree.prototype.getClaims = function () {
+    const claims = {};
+    for (const leaf of this.leaves) {
+        claims[leaf.recipient] = claims[leaf.recipient] || [];
+        claims[leaf.recipient].push({
+            index: leaf.index,
+            amount: leaf.amount,
+            rewardType: leaf.rewardType,
+            proof: this.getProof(leaf.index)
+        });
+    }
+    return claims;
+};
+
+/**
+ * Checks a proof locally, mirroring MerkleProof.verify.
+ *
+ * @param root Hex merkle root.
+ * @param leaf Object with index, recipient, amount and rewardType.
+ * @param proof Array of hex sibling hashes.
+ */
+function verifyProof(root, leaf, proof) {
+    const computed = proof.reduce((node, sibling) => hashPair(node, toBuffer(sibling)), hashLeaf(leaf));
+    return bufferToHex(computed) === root.toLowerCase();
+}
+
+module.exports = {
+    MerkleTree,
+    hashLeaf,
+    verifyProof
+};
@@ -0,0 +1,167 @@
+const { BN, toChecksumAddress } = require("ethereumjs-util");
+const { ZERO_ADDRESS } = require("./allocation.js");
+const { mintableAmount } = require("./audit.js");
+const { revertReason } = require("./errors.js");
+const { hashDrop, hashVestingDrop, isValidSignature, recoverSigner } = require("./signer.js");
+
+const DEFAULT_CHUNK = 100;
+
+/**
+ * Evaluates every drop and vesting drop of a signed batch against the live contract state, the way
+ * `drop` and `dropVestedTokens` would, and explains each failure instead of stopping at the first one:
+ *  - the deadline must be later than the latest block timestamp plus `margin` seconds;
+ *  - the reward type must be ether or a registered reward token;
+ *  - the signature must be valid for the signer, or for the previous signer during its grace period;
+ *  - the voucher must not be used on chain nor earlier in the batch;
+ *  - a vesting schedule must have a duration and a cliff within it;
+ *  - the surplus of the asset, plus what can still be minted if the default token is minted on claim,
+ *    must cover the drops of the batch so far. Unfunded drops don't revert but can't be claimed.
+ * Issues of the whole batch (paused contract, sender not the owner) are reported apart.
+ *
+ * @param airdropContract Truffle instance of the AirdropContract the batch was signed for.
+ * @param batch Signed batch written by scripts/sign-batch.js.
+ * @param options Object with from (owner account), margin (seconds, 0 if not set), and dryRun and chunk
+ *  to also send every chunk of `chunk` drops (100 if not set) and every vesting drop with eth_call.
+ * @returns { issues, rows, chunks } where every row is { index, kind, recipient, rewardType, amount, ok, reasons }.
+ */
+async function preflightBatch(airdropContract, batch, options = {}) {
+    const web3 = airdropContract.constructor.web3;
+
+    if (batch.airdrop.toLowerCase() !== airdropContract.address.toLowerCase()) {
+        throw new Error(`Preflight: batch was signed for ${batch.airdrop}, not for ${airdropContract.address}`);
+    }
+    if (Number(batch.chainId) !== await web3.eth.getChainId()) {
+        throw new Error(`Preflight: batch was signed for chain ${batch.chainId}`);
+    }
+
+    const issues = [];
+    if (await airdropContract.paused()) {
+        issues.push("Pausable: paused");
+    }
+    const owner = await airdropContract.owner();
+    if (options.from && options.from.toLowerCase() !== owner.toLowerCase()) {
+        issues.push(`Ownable: ${options.from} is not the owner ${owner}`);
+    }
+
+    const now = Number((await web3.eth.getBlock("latest")).timestamp);
+    const signers = [await airdropContract.signer()];
+    if (now < Number(await airdropContract.previousSignerExpiry())) {
+        signers.push(await airdropContract.previousSigner());
+    }
+    const funding = await loadFunding(airdropContract);
+
+    const entries = [
+        ...batch.drops.map((drop, i) => ({ kind: "drop", index: i, drop: drop, digest: hashDrop(batch.chainId, batch.airdrop, drop) })),
+        ...(batch.vestingDrops || []).map((drop, i) => ({ kind: "vesting", index: i, drop: drop, digest: hashVestingDrop(batch.chainId, batch.airdrop, drop) }))
+    ];
+    const seen = {};
+    const rows = [];
+    for (const { kind, index, drop, digest } of entries) {
+        const reasons = [];
+        if (Number(drop.deadline) <= now + Number(options.margin || 0)) {
+            reasons.push(`Airdrop: deadline of this message has expired (${drop.deadline} <= ${now + Number(options.margin || 0)})`);
+        }
+        const isEther = drop.rewardType === ZERO_ADDRESS;
+        if (!isEther && !(await airdropContract.rewardTokens(drop.rewardType))) {
+            reasons.push(kind === "drop" ? "Airdrop: such reward doesn't exist" : "Airdrop: invalid reward type in the message");
+        } else if (kind === "vesting" && isEther) {
+            reasons.push("Airdrop: invalid reward type in the message");
+        }
+        if (kind === "vesting" && !(Number(drop.duration) > 0 && Number(drop.cliff) <= Number(drop.duration))) {
+            reasons.push("Airdrop: invalid vesting schedule");
+        }
+        if (!(await isSignedBy(web3, signers, digest, drop.signature))) {
+            reasons.push(`Airdrop: this message wasn't signed by signer (${describeSigner(digest, drop.signature)})`);
+        }
+        if (seen[digest] !== undefined) {
+            reasons.push(`Airdrop: voucher already used (same as ${seen[digest]})`);
+        } else if (await airdropContract.usedVouchers(digest)) {
+            reasons.push("Airdrop: voucher already used");
+        }
+        seen[digest] = seen[digest] || `${kind} #${index}`;
+
+        if (reasons.length === 0) {
+            const available = funding(drop.rewardType);
+            available.isub(new BN(drop.amount));
+            if (available.isNeg()) {
+                reasons.push(`Preflight: not enough funding, the batch is ${available.neg()} short up to this drop`);
+            }
+        }
+        rows.push({ index, kind, recipient: drop.recipient, rewardType: drop.rewardType, amount: drop.amount, ok: reasons.length === 0, reasons });
+    }
+
+    const chunks = options.dryRun ? await dryRunBatch(airdropContract, batch, options) : [];
+    return { issues, rows, chunks };
+}
+
+/**
+ * Sends every chunk of drops with eth_call to `drop`, and every vesting drop to `dropVestedTokens`.
+ * Chunks are called against the current state, not after each other.
+ */
+async function dryRunBatch(airdropContract, batch, options) {
+    const size = Number(options.chunk || DEFAULT_CHUNK);
+    const calls = [];
+    for (let start = 0; start < batch.drops.length; start += size) {
+        const end = Math.min(start + size, batch.drops.length);
+        calls.push({ kind: "drop", start, end, call: () => airdropContract.drop.call(batch.drops.slice(start, end), { from: options.from }) });
+    }
+    (batch.vestingDrops || []).forEach((drop, i) => {
+        calls.push({ kind: "vesting", start: i, end: i + 1, call: () => airdropContract.dropVestedTokens.call(drop, { from: options.from }) });
+    });
+
+    const chunks = [];
+    for (const { kind, start, end, call } of calls) {
+        try {
+            await call();
+            chunks.push({ kind, start, end, ok: true, reason: "" });
+        } catch (error) {
+            chunks.push({ kind, start, end, ok: false, reason: revertReason(error) });
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Returns a function giving the running funding of an asset: its surplus, plus what can still be minted
+ * for the default token minted on claim. The returned BN is shared, subtract what the batch uses from it.
+ * Assets are keyed by checksum address, so that a reward type in another case shares the same funding.
+ */
+async function loadFunding(airdropContract) {
+    const web3 = airdropContract.constructor.web3;
+    const defaultToken = toChecksumAddress(await airdropContract.token());
+    const mintOnClaim = await airdropContract.mintOnClaim();
+    const funds = {};
+    for (const rewardType of [ZERO_ADDRESS, ...await airdropContract.getRewardTokens()].map(address => toChecksumAddress(address))) {
+        const { surplus } = await airdropContract.solvency(rewardType);
+        funds[rewardType] = new BN(surplus.toString());
+        if (mintOnClaim && rewardType === defaultToken) {
+            funds[rewardType].iadd(await mintableAmount(web3, rewardType));
+        }
+    }
+    return rewardType => {
+        const key = toChecksumAddress(rewardType);
+        funds[key] = funds[key] || new BN(0);
+        return funds[key];
+    };
+}
+
+async function isSignedBy(web3, signers, digest, signature) {
+    for (const signer of signers) {
+        if (await isValidSignature(web3, signer, digest, signature)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function describeSigner(digest, signature) {
+    try {
+        return `recovered ${recoverSigner(digest, signature)}`;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+module.exports = {
+    preflightBatch
+};
@@ -0,0 +1,272 @@
+const http = require("http");
+const { BN } = require("ethereumjs-util");
+const { ZERO_ADDRESS } = require("./allocation.js");
+const { isRevert, revertReason } = require("./errors.js");
+const { hashClaimRequest, isValidSignature } = require("./signer.js");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 5000;
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * In-memory queue of ClaimRequests sent to `AirdropContract.claimFor` one by one from the relayer account.
+ * Requests are checked and simulated before they are queued, so a queued request only reverts if the chain
+ * changed meanwhile, and then fails for good. Other errors, such as a lost connection to the node or a relayer
+ * account without gas funds, are retried after `retryDelay` milliseconds up to `maxAttempts` times.
+ * A request whose nonce `claimNonces` shows as used after an error, e.g. one mined after its transaction timed out,
+ * is confirmed instead of being retried. Every request goes through queued, sending and then confirmed or failed.
+ *
+ * @param airdropContract AirdropContract truffle instance.
+ * @param options Object with from (relayer account), minFees ({ [rewardType]: lowest fee }, zero if not set),
+ *  maxAttempts, retryDelay and optional log function.
+ */
+function Relayer(airdropContract, options) {
+    this.airdropContract = airdropContract;
+    this.from = options.from;
+    this.minFees = {};
+    for (const rewardType of Object.keys(options.minFees || {})) {
+        this.minFees[rewardType.toLowerCase()] = new BN(options.minFees[rewardType].toString());
+    }
+    this.maxAttempts = Number(options.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+    this.retryDelay = Number(options.retryDelay === undefined ? DEFAULT_RETRY_DELAY : options.retryDelay);
+    this.log = options.log || (() => {});
+    this.requests = {};
+    this.queue = [];
+    this._processing = null;
+}
+
+/**
+ * Checks a signed ClaimRequest and queues it. Returns the queue entry; a request that was already submitted
+ * returns its existing entry instead of being queued again.
+ *
+ * @param request ClaimRequestStruct with recipient, rewardType, fee, nonce, deadline and signature.
+ */
+Relayer.prototype.submit = async function (request) {
+    const web3 = this.airdropContract.constructor.web3;
+    checkRequest(request);
+    const claimRequest = {
+        recipient: request.recipient,
+        rewardType: request.rewardType,
+        fee: request.fee.toString(),
+        nonce: request.nonce.toString(),
+        deadline: request.deadline.toString(),
+        signature: request.signature
+    };
+    const id = hashClaimRequest(await web3.eth.getChainId(), this.airdropContract.address, claimRequest);
+    if (this.requests[id]) {
+        return this.requests[id];
+    }
+
+    if (Number(claimRequest.deadline) <= Math.floor(Date.now() / 1000)) {
+        throw invalid("Relayer: deadline of this request has expired");
+    }
+    const minFee = this.minFees[claimRequest.rewardType.toLowerCase()] || new BN(0);
+    if (new BN(claimRequest.fee).lt(minFee)) {
+        throw invalid(`Relayer: fee is lower than ${minFee.toString()}`);
+    }
+    const pending = Object.values(this.requests).find(entry => (entry.status === "queued" || entry.status === "sending")
+        && entry.request.recipient.toLowerCase() === claimRequest.recipient.toLowerCase());
+    if (pending) {
+        throw invalid(`Relayer: request ${pending.id} of this recipient is still pending`);
+    }
+    if (!(await isValidSignature(web3, claimRequest.recipient, id, claimRequest.signature))) {
+        throw invalid("Relayer: request wasn't signed by recipient");
+    }
+    try {
+        await this.airdropContract.claimFor.call(claimRequest, { from: this.from });
+    } catch (error) {
+        throw invalid(`Relayer: request would revert: ${revertReason(error)}`);
+    }
+
+    const entry = { id: id, request: claimRequest, status: "queued", attempts: 0 };
+    this.requests[id] = entry;
+    this.queue.push(entry);
+    this.log(`Queued claim ${id} of ${claimRequest.recipient}`);
+    this._schedule();
+    return entry;
+};
+
+/**
+ * Returns the queue entry of a request by the id returned from `submit`.
+ */
+Relayer.prototype.status = function (id) {
+    return this.requests[id.toLowerCase()];
+};
+
+/**
+ * Resolves once every queued request is confirmed or failed.
+ */
+Relayer.prototype.drain = async function () {
+    while (this._processing) {
+        await this._processing;
+    }
+};
+
+Relayer.prototype._schedule = function () {
+    if (!this._processing) {
+        this._processing = this._work().finally(() => {
+            this._processing = null;
+        });
+    }
+};
+
+Relayer.prototype._work = async function () {
+    while (this.queue.length > 0) {
+        await this._send(this.queue.shift());
+    }
+};
+
+Relayer.prototype._send = async function (entry) {
+    entry.status = "sending";
+    entry.attempts++;
+    try {
+        const result = await this.airdropContract.claimFor(entry.request, { from: this.from });
+        entry.status = "confirmed";
+        entry.txHash = result.tx;
+        entry.blockNumber = result.receipt.blockNumber;
+        delete entry.error;
+        this.log(`Relayed claim ${entry.id} in ${result.tx}`);
+    } catch (error) {
+        if (await this._isClaimed(entry)) {
+            entry.status = "confirmed";
+            delete entry.error;
+            this.log(`Claim ${entry.id} was relayed, its nonce is used: ${revertReason(error)}`);
+            return;
+        }
+        entry.error = revertReason(error);
+        if (isRevert(error) || entry.attempts >= this.maxAttempts) {
+            entry.status = "failed";
+            this.log(`Claim ${entry.id} failed after ${entry.attempts} attempts: ${entry.error}`);
+            return;
+        }
+        entry.status = "queued";
+        this.log(`Claim ${entry.id} will be retried in ${this.retryDelay} ms: ${entry.error}`);
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+        this.queue.unshift(entry);
+    }
+};
+
+// Whether the nonce of the request was used on chain, which only a mined claimFor of the request does.
+Relayer.prototype._isClaimed = async function (entry) {
+    try {
+        const claimNonce = await this.airdropContract.claimNonces(entry.request.recipient);
+        return new BN(claimNonce.toString()).gt(new BN(entry.request.nonce));
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Creates the HTTP interface of a relayer:
+ *  POST /claims      - body is a signed ClaimRequestStruct, replies 202 with the queue entry or 400 with the error;
+ *  GET  /claims/<id> - replies with the queue entry of the request.
+ */
+function createServer(relayer) {
+    return http.createServer(async (req, res) => {
+        try {
+            if (req.method === "POST" && req.url === "/claims") {
+                const body = await readBody(req);
+                let request;
+                try {
+                    request = JSON.parse(body);
+                } catch (error) {
+                    throw invalid("Relayer: request is not valid JSON");
+                }
+                return reply(res, 202, view(await relayer.submit(request)));
+            }
+            const match = req.method === "GET" && req.url.match(/^\/claims\/(0x[0-9a-fA-F]{64})$/);
+            if (match) {
+                const entry = relayer.status(match[1]);
+                return entry ? reply(res, 200, view(entry)) : reply(res, 404, { error: "Relayer: unknown request" });
+            }
+            reply(res, 404, { error: "Relayer: not found" });
+        } catch (error) {
+            reply(res, error.status || 500, { error: error.message });
+        }
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(invalid("Relayer: request is too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => resolve(body));
+        req.on("error", reject);
+    });
+}
+
+function reply(res, status, data) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data) + "\n");
+}
+
+function view(entry) {
+    return {
+        id: entry.id,
+        status: entry.status,
+        attempts: entry.attempts,
+        txHash: entry.txHash,
+        error: entry.error,
+        request: entry.request
+    };
+}
+
+// Checks the shape of a request before it is hashed, so a malformed one is rejected as invalid.
+function checkRequest(request) {
+    if (typeof request !== "object" || request === null || Array.isArray(request)) {
+        throw invalid("Relayer: request is not an object");
+    }
+    for (const field of ["recipient", "rewardType", "fee", "nonce", "deadline", "signature"]) {
+        if (request[field] === undefined || request[field] === null) {
+            throw invalid(`Relayer: request has no ${field}`);
+        }
+    }
+    for (const field of ["recipient", "rewardType"]) {
+        if (typeof request[field] !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(request[field])) {
+            throw invalid(`Relayer: request ${field} is not an address`);
+        }
+    }
+    for (const field of ["fee", "nonce", "deadline"]) {
+        const value = request[field];
+        if (!(typeof value === "string" || Number.isSafeInteger(value)) || !/^\d+$/.test(String(value))
+            || new BN(String(value)).bitLength() > 256) {
+            throw invalid(`Relayer: request ${field} is not a uint256`);
+        }
+    }
+    if (typeof request.signature !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(request.signature)) {
+        throw invalid("Relayer: request signature is not a hex string");
+    }
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Parses `<rewardType>=<fee>` pairs separated by commas, `ether` stands for the zero address.
+ */
+function parseMinFees(value) {
+    const minFees = {};
+    for (const pair of String(value).split(",").filter(pair => pair.trim() !== "")) {
+        const [rewardType, fee] = pair.split("=").map(part => part.trim());
+        if (!/^\d+$/.test(fee || "")) {
+            throw new Error(`invalid minimum fee: "${pair}"`);
+        }
+        minFees[rewardType.toLowerCase() === "ether" ? ZERO_ADDRESS : rewardType] = fee;
+    }
+    return minFees;
+}
+
+module.exports = {
+    Relayer,
+    createServer,
+    parseMinFees
+};
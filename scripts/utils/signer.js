@@ -0,0 +1,449 @@
+const { getMessage } = require("eip-712");
+const {
+    bufferToHex,
+    ecrecover,
+    ecsign,
+    fromRpcSig,
+    isValidPrivate,
+    privateToAddress,
+    pubToAddress,
+    toBuffer,
+    toChecksumAddress,
+    toRpcSig
+} = require("ethereumjs-util");
+const Wallet = require("ethereumjs-wallet").default;
+const { recover } = require("./verifier.js");
+
+const DOMAIN_NAME = "Airdrop";
+const DOMAIN_VERSION = "1";
+
+const SIGNATURE_LENGTH = 65;
+// bytes4(keccak256("isValidSignature(bytes32,bytes)")), returned by an EIP-1271 wallet for a valid signature
+const EIP1271_MAGIC_VALUE = "0x1626ba7e";
+
+const DOMAIN_TYPE = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+// Must match AirdropContract._CONTAINER_TYPE field by field.
+const CONTAINER_TYPE = [
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "rewardType", type: "address" },
+    { name: "nonce", type: "uint256" }
+];
+
+// Must match AirdropContract._VESTING_CONTAINER_TYPE field by field.
+const VESTING_CONTAINER_TYPE = [
+    ...CONTAINER_TYPE,
+    { name: "start", type: "uint256" },
+    { name: "cliff", type: "uint256" },
+    { name: "duration", type: "uint256" }
+];
+
+// Must match AirdropContract._CLAIM_REQUEST_TYPE field by field.
+const CLAIM_REQUEST_TYPE = [
+    { name: "recipient", type: "address" },
+    { name: "rewardType", type: "address" },
+    { name: "fee", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+];
+
+// ERC-2612 Permit of the reward token, its domain is the one of the token and not of the airdrop.
+const PERMIT_TYPE = [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+];
+const PERMIT_VERSION = "1";
+
+/**
+ * Builds the EIP-712 typed data of a Container message for the given airdrop domain.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop Object with recipient, amount, deadline, rewardType and nonce.
+ */
+function createTypedData(chainId, verifyingContract, drop) {
+    if (drop.nonce === undefined) {
+        throw new Error("Signer: drop has no nonce");
+    }
+    return {
+        types: {
+            EIP712Domain: DOMAIN_TYPE,
+            Container: CONTAINER_TYPE
+        },
+        primaryType: "Container",
+        domain: {
+            name: DOMAIN_NAME,
+            version: DOMAIN_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: verifyingContract
+        },
+        message: {
+            recipient: drop.recipient,
+            amount: drop.amount.toString(),
+            deadline: drop.deadline.toString(),
+            rewardType: drop.rewardType,
+            nonce: drop.nonce.toString()
+        }
+    };
+}
+
+/**
+ * Builds the EIP-712 typed data of a VestingContainer message, the vesting terms are part of the signed message.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop Object with recipient, amount, deadline, rewardType, nonce, start, cliff and duration.
+ */
+function createVestingTypedData(chainId, verifyingContract, drop) {
+    const typedData = createTypedData(chainId, verifyingContract, drop);
+    typedData.types = { EIP712Domain: DOMAIN_TYPE, VestingContainer: VESTING_CONTAINER_TYPE };
+    typedData.primaryType = "VestingContainer";
+    typedData.message.start = drop.start.toString();
+    typedData.message.cliff = drop.cliff.toString();
+    typedData.message.duration = drop.duration.toString();
+    return typedData;
+}
+
+/**
+ * Builds the EIP-712 typed data of a ClaimRequest, signed by a recipient so that a relayer can claim on its behalf.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param request Object with recipient, rewardType, fee, nonce and deadline.
+ */
+function createClaimRequestTypedData(chainId, verifyingContract, request) {
+    return {
+        types: {
+            EIP712Domain: DOMAIN_TYPE,
+            ClaimRequest: CLAIM_REQUEST_TYPE
+        },
+        primaryType: "ClaimRequest",
+        domain: {
+            name: DOMAIN_NAME,
+            version: DOMAIN_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: verifyingContract
+        },
+        message: {
+            recipient: request.recipient,
+            rewardType: request.rewardType,
+            fee: request.fee.toString(),
+            nonce: request.nonce.toString(),
+            deadline: request.deadline.toString()
+        }
+    };
+}
+
+/**
+ * Builds the EIP-712 typed data of an ERC-2612 Permit for the given token domain.
+ *
+ * @param chainId Chain id of the network the token is deployed to.
+ * @param verifyingContract Token address.
+ * @param tokenName Name of the token, the name of its EIP-712 domain.
+ * @param permit Object with owner, spender, value, nonce and deadline.
+ */
+function createPermitTypedData(chainId, verifyingContract, tokenName, permit) {
+    if (permit.nonce === undefined) {
+        throw new Error("Signer: permit has no nonce");
+    }
+    return {
+        types: {
+            EIP712Domain: DOMAIN_TYPE,
+            Permit: PERMIT_TYPE
+        },
+        primaryType: "Permit",
+        domain: {
+            name: tokenName,
+            version: PERMIT_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: verifyingContract
+        },
+        message: {
+            owner: permit.owner,
+            spender: permit.spender,
+            value: permit.value.toString(),
+            nonce: permit.nonce.toString(),
+            deadline: permit.deadline.toString()
+        }
+    };
+}
+
+/**
+ * Returns the digest that AirdropContract._checkSign recovers the signer from.
+ */
+function hashDrop(chainId, verifyingContract, drop) {
+    return bufferToHex(Buffer.from(getMessage(createTypedData(chainId, verifyingContract, drop), true)));
+}
+
+/**
+ * Returns the digest that AirdropContract.dropVestedTokens recovers the signer from.
+ */
+function hashVestingDrop(chainId, verifyingContract, drop) {
+    return bufferToHex(Buffer.from(getMessage(createVestingTypedData(chainId, verifyingContract, drop), true)));
+}
+
+/**
+ * Returns the digest that AirdropContract.claimFor checks the signature of the recipient against.
+ */
+function hashClaimRequest(chainId, verifyingContract, request) {
+    return bufferToHex(Buffer.from(getMessage(createClaimRequestTypedData(chainId, verifyingContract, request), true)));
+}
+
+/**
+ * Returns the digest that the token checks the signature of a permit against.
+ */
+function hashPermit(chainId, verifyingContract, tokenName, permit) {
+    return bufferToHex(Buffer.from(getMessage(createPermitTypedData(chainId, verifyingContract, tokenName, permit), true)));
+}
+
+/**
+ * Returns the digest of a drop, or of a vesting drop if it has a duration.
+ */
+function hashAnyDrop(chainId, verifyingContract, drop) {
+    return drop.duration === undefined
+        ? hashDrop(chainId, verifyingContract, drop)
+        : hashVestingDrop(chainId, verifyingContract, drop);
+}
+
+/**
+ * Returns the checksummed address that signed the digest with a 65-byte signature.
+ */
+function recoverSigner(digest, signature) {
+    if (toBuffer(signature).length !== SIGNATURE_LENGTH) {
+        throw new Error("Signer: invalid signature length");
+    }
+    const { v, r, s } = fromRpcSig(signature);
+    return toChecksumAddress(bufferToHex(pubToAddress(ecrecover(toBuffer(digest), v, r, s))));
+}
+
+/**
+ * Concatenates 65-byte signatures of the digest ordered by ascending signer address, the format a multisig
+ * wallet expects in `isValidSignature`. Signatures may already be concatenated, a signer is only kept once.
+ *
+ * @param digest Signed digest, see hashDrop and hashVestingDrop.
+ * @param signatures Array of hex signatures.
+ */
+function combineSignatures(digest, signatures) {
+    const bySigner = {};
+    for (const packed of signatures) {
+        const hex = packed.replace(/^0x/, "");
+        if (hex.length === 0 || hex.length % (SIGNATURE_LENGTH * 2) !== 0) {
+            throw new Error("Signer: invalid signature length");
+        }
+        for (let i = 0; i < hex.length; i += SIGNATURE_LENGTH * 2) {
+            const signature = "0x" + hex.substring(i, i + SIGNATURE_LENGTH * 2);
+            bySigner[recoverSigner(digest, signature).toLowerCase()] = signature;
+        }
+    }
+    return "0x" + Object.keys(bySigner).sort().map(signer => bySigner[signer].substring(2)).join("");
+}
+
+/**
+ * Checks a signature the way AirdropContract does: recovered for an externally owned signer, as strictly as
+ * the contract (see verifier.js recover), asked to the signer through EIP-1271 `isValidSignature` if it is a contract.
+ *
+ * @param web3 Web3 instance connected to the network of the signer.
+ * @param signer Address of the airdrop signer.
+ * @param digest Signed digest.
+ * @param signature Hex signature.
+ */
+async function isValidSignature(web3, signer, digest, signature) {
+    const code = await web3.eth.getCode(signer);
+    if (code === "0x") {
+        try {
+            return recover(digest, signature) === toChecksumAddress(signer);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const data = web3.eth.abi.encodeFunctionSignature("isValidSignature(bytes32,bytes)")
+        + web3.eth.abi.encodeParameters(["bytes32", "bytes"], [digest, signature]).substring(2);
+    try {
+        const result = await web3.eth.call({ to: signer, data: data });
+        return result.substring(0, 10).toLowerCase() === EIP1271_MAGIC_VALUE;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks the signature of a signed drop or vesting drop against the airdrop signer.
+ *
+ * @param web3 Web3 instance connected to the network of the airdrop contract.
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop DropStruct or VestingDropStruct with the signature.
+ * @param signer Address of the airdrop signer, an externally owned account or an EIP-1271 wallet.
+ */
+async function verifyDrop(web3, chainId, verifyingContract, drop, signer) {
+    return isValidSignature(web3, signer, hashAnyDrop(chainId, verifyingContract, drop), drop.signature);
+}
+
+/**
+ * Signs Container messages locally with a private key, without any node RPC.
+ * If the airdrop signer is a multisig wallet, every owner signs with own key and the
+ * signatures are put together with combineSignatures.
+ *
+ * @param privateKey Hex string or buffer of the signer private key, or of an owner of the signer wallet.
+ */
+function Signer(privateKey) {
+    const key = toBuffer(typeof privateKey === "string" ? addHexPrefix(privateKey) : privateKey);
+    if (key.length !== 32 || !isValidPrivate(key)) {
+        throw new Error("Signer: invalid private key");
+    }
+    this.privateKey = key;
+    this.address = toChecksumAddress(bufferToHex(privateToAddress(key)));
+}
+
+/**
+ * Decrypts a V3 keystore (JSON string or object) and returns a signer for it.
+ */
+Signer.fromKeystore = async function (keystore, password) {
+    const wallet = await Wallet.fromV3(keystore, password, true);
+    return new Signer(wallet.getPrivateKey());
+};
+
+/**
+ * Signs a digest and returns the 65-byte signature as a hex string.
+ */
+Signer.prototype.signDigest = function (digest) {
+    const { v, r, s } = ecsign(toBuffer(digest), this.privateKey);
+    return toRpcSig(v, r, s);
+};
+
+/**
+ * Signs a drop and returns a DropStruct ready to be passed to the airdrop contract.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop Object with recipient, amount, deadline, rewardType and nonce.
+ */
+Signer.prototype.signDrop = function (chainId, verifyingContract, drop) {
+    const signature = this.signDigest(hashDrop(chainId, verifyingContract, drop));
+    return {
+        recipient: drop.recipient,
+        amount: drop.amount.toString(),
+        deadline: drop.deadline.toString(),
+        rewardType: drop.rewardType,
+        nonce: drop.nonce.toString(),
+        signature: signature
+    };
+};
+
+/**
+ * Signs a vesting drop and returns a VestingDropStruct ready to be passed to AirdropContract.dropVestedTokens.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop Object with recipient, amount, deadline, rewardType, nonce, start, cliff and duration.
+ */
+Signer.prototype.signVestingDrop = function (chainId, verifyingContract, drop) {
+    const signature = this.signDigest(hashVestingDrop(chainId, verifyingContract, drop));
+    return {
+        recipient: drop.recipient,
+        amount: drop.amount.toString(),
+        deadline: drop.deadline.toString(),
+        rewardType: drop.rewardType,
+        nonce: drop.nonce.toString(),
+        start: drop.start.toString(),
+        cliff: drop.cliff.toString(),
+        duration: drop.duration.toString(),
+        signature: signature
+    };
+};
+
+/**
+ * Signs a claim request of the recipient owning this key and returns a ClaimRequestStruct ready to be passed
+ * to AirdropContract.claimFor by a relayer.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param request Object with rewardType, fee, nonce and deadline; the recipient is the address of this key.
+ */
+Signer.prototype.signClaimRequest = function (chainId, verifyingContract, request) {
+    const claimRequest = {
+        recipient: this.address,
+        rewardType: request.rewardType,
+        fee: request.fee.toString(),
+        nonce: request.nonce.toString(),
+        deadline: request.deadline.toString()
+    };
+    return { ...claimRequest, signature: this.signDigest(hashClaimRequest(chainId, verifyingContract, claimRequest)) };
+};
+
+/**
+ * Signs an ERC-2612 permit of the token owner holding this key, e.g. for AirdropContract.depositTokensWithPermit.
+ * Returns the permit together with the v, r and s parts of the signature.
+ *
+ * @param chainId Chain id of the network the token is deployed to.
+ * @param verifyingContract Token address.
+ * @param tokenName Name of the token.
+ * @param permit Object with spender, value, nonce (the `nonces` of the owner on the token) and deadline;
+ *  the owner is the address of this key.
+ */
+Signer.prototype.signPermit = function (chainId, verifyingContract, tokenName, permit) {
+    const message = {
+        owner: this.address,
+        spender: permit.spender,
+        value: permit.value.toString(),
+        nonce: permit.nonce === undefined ? undefined : permit.nonce.toString(),
+        deadline: permit.deadline.toString()
+    };
+    const { v, r, s } = ecsign(toBuffer(hashPermit(chainId, verifyingContract, tokenName, message)), this.privateKey);
+    return { ...message, v: v, r: bufferToHex(r), s: bufferToHex(s) };
+};
+
+/**
+ * Adds the signature of this key to an already signed drop or vesting drop, for a multisig airdrop signer.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop DropStruct or VestingDropStruct signed by other owners of the signer wallet.
+ */
+Signer.prototype.cosignDrop = function (chainId, verifyingContract, drop) {
+    const digest = hashAnyDrop(chainId, verifyingContract, drop);
+    return { ...drop, signature: combineSignatures(digest, [drop.signature, this.signDigest(digest)]) };
+};
+
+Signer.prototype.toString = function () {
+    return `Airdrop signer: ${this.address}`;
+};
+
+function addHexPrefix(value) {
+    return value.startsWith("0x") ? value : "0x" + value;
+}
+
+module.exports = {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    DOMAIN_TYPE,
+    CONTAINER_TYPE,
+    VESTING_CONTAINER_TYPE,
+    CLAIM_REQUEST_TYPE,
+    PERMIT_TYPE,
+    Signer,
+    createTypedData,
+    createVestingTypedData,
+    createClaimRequestTypedData,
+    createPermitTypedData,
+    hashDrop,
+    hashVestingDrop,
+    hashClaimRequest,
+    hashPermit,
+    hashAnyDrop,
+    recoverSigner,
+    combineSignatures,
+    isValidSignature,
+    verifyDrop
+};
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const { bufferToHex, keccak256 } = require("ethereumjs-util");
+const { hashVestingDrop } = require("./signer.js");
+
+const GAS_MARGIN_PERCENT = 20;
+const RECEIPT_POLL_INTERVAL = 2000;
+const RECEIPT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * On-disk record of the chunks of a signed batch sent to `AirdropContract.drop`.
+ * Chunks are stored in submission order, every chunk covers drops [start, end) of the batch:
+ *  sending   - the transaction is about to be sent with the recorded nonce, its hash is unknown yet;
+ *  pending   - the transaction was sent, its hash is recorded;
+ *  confirmed - the transaction was mined, the credited DropTokens/DropRewardTokens/DropEther events are recorded;
+ *  failed    - the transaction reverted or was dropped, its drops are sent again.
+ *
+ * @param path Journal file, created on the first save.
+ * @param batch Signed batch written by scripts/sign-batch.js.
+ */
+function Journal(path, batch) {
+    this.path = path;
+    this.batchHash = hashBatch(batch);
+
+    if (fs.existsSync(path)) {
+        const saved = JSON.parse(fs.readFileSync(path, "utf8"));
+        if (saved.batchHash !== this.batchHash) {
+            throw new Error(`Submitter: journal ${path} belongs to another batch`);
+        }
+        this.chunks = saved.chunks;
+    } else {
+        this.chunks = [];
+    }
+}
+
+/**
+ * Writes the journal through a temporary file so a crash never leaves it half written.
+ */
+Journal.prototype.save = function () {
+    const data = JSON.stringify({ batchHash: this.batchHash, chunks: this.chunks }, null, 2) + "\n";
+    fs.writeFileSync(this.path + ".tmp", data);
+    fs.renameSync(this.path + ".tmp", this.path);
+};
+
+/**
+ * Returns the index of the first drop not covered by a confirmed chunk.
+ */
+Journal.prototype.credited = function () {
+    return this.chunks.reduce((end, chunk) => chunk.status === "confirmed" ? Math.max(end, chunk.end) : end, 0);
+};
+
+Journal.prototype.last = function () {
+    return this.chunks[this.chunks.length - 1];
+};
+
+/**
+ * Sends the drops of a batch in gas-bounded chunks, in order, resuming from the journal.
+ * Drops covered by confirmed chunks are never sent again.
+ *
+ * @param airdropContract Truffle instance of the AirdropContract the batch was signed for.
+ * @param batch Signed batch written by scripts/sign-batch.js.
+ * @param journal Journal of the batch.
+ * @param options Object with from (owner account), gasLimit (ceiling per transaction) and optional log function.
+ */
+async function submitBatch(airdropContract, batch, journal, options) {
+    const web3 = airdropContract.constructor.web3;
+    const log = options.log || (() => {});
+
+    if (batch.airdrop.toLowerCase() !== airdropContract.address.toLowerCase()) {
+        throw new Error(`Submitter: batch was signed for ${batch.airdrop}, not for ${airdropContract.address}`);
+    }
+    if (Number(batch.chainId) !== await web3.eth.getChainId()) {
+        throw new Error(`Submitter: batch was signed for chain ${batch.chainId}`);
+    }
+    if (batch.signer && !(await airdropContract.isSigner(batch.signer))) {
+        throw new Error(`Submitter: batch was signed by ${batch.signer}, which is not an airdrop signer`);
+    }
+    if (await airdropContract.paused()) {
+        throw new Error("Submitter: contract is paused");
+    }
+
+    const last = journal.last();
+    if (last && (last.status === "sending" || last.status === "pending")) {
+        await reconcile(airdropContract, journal, last, options);
+    }
+
+    let start = journal.credited();
+    if (start > 0) {
+        log(`Resuming from drop #${start}, ${start} of ${batch.drops.length} drops are already credited`);
+    }
+
+    while (start < batch.drops.length) {
+        const { end, gas } = await findChunk(airdropContract, batch.drops, start, options);
+        const chunk = {
+            start: start,
+            end: end,
+            gas: gas,
+            nonce: await web3.eth.getTransactionCount(options.from, "pending"),
+            fromBlock: await web3.eth.getBlockNumber(),
+            status: "sending"
+        };
+        journal.chunks.push(chunk);
+        journal.save();
+
+        log(`Sending drops #${start}-#${end - 1} (estimated gas ${gas})`);
+        try {
+            const result = await airdropContract.drop(batch.drops.slice(start, end), {
+                from: options.from,
+                nonce: chunk.nonce,
+                gas: Math.min(options.gasLimit, Math.ceil(gas * (100 + GAS_MARGIN_PERCENT) / 100))
+            }).on("transactionHash", hash => {
+                chunk.txHash = hash;
+                chunk.status = "pending";
+                journal.save();
+            });
+            confirm(chunk, result.receipt.blockNumber, result.logs);
+        } catch (error) {
+            if (!error.receipt) {
+                throw error;
+            }
+            chunk.status = "failed";
+            chunk.error = error.reason || error.message;
+        } finally {
+            journal.save();
+        }
+
+        if (chunk.status === "failed") {
+            throw new Error(`Submitter: transaction ${chunk.txHash} for drops #${start}-#${end - 1} reverted: ${chunk.error}`);
+        }
+        log(`Confirmed ${chunk.txHash} in block ${chunk.blockNumber}`);
+        start = end;
+    }
+
+    return journal;
+}
+
+/**
+ * Sends the vesting drops of a batch one by one with `dropVestedTokens`.
+ * Vesting drops whose voucher is already used on chain are skipped, so the call can simply be repeated.
+ *
+ * @param airdropContract Truffle instance of the AirdropContract the batch was signed for.
+ * @param batch Signed batch written by scripts/sign-batch.js.
+ * @param options Object with from (owner account) and optional log function.
+ */
+async function submitVestingDrops(airdropContract, batch, options) {
+    const log = options.log || (() => {});
+    const result = { sent: 0, skipped: 0 };
+    for (const [i, vestingDrop] of (batch.vestingDrops || []).entries()) {
+        if (await airdropContract.usedVouchers(hashVestingDrop(batch.chainId, batch.airdrop, vestingDrop))) {
+            result.skipped++;
+            continue;
+        }
+        const { tx } = await airdropContract.dropVestedTokens(vestingDrop, { from: options.from });
+        log(`Sent vesting drop #${i} in ${tx}`);
+        result.sent++;
+    }
+    return result;
+}
+
+/**
+ * Finds the longest run of drops starting at `start` whose `drop` call fits under the gas ceiling.
+ * Grows the run exponentially and then narrows it with a binary search, so a chunk costs O(log n) estimates.
+ */
+async function findChunk(airdropContract, drops, start, options) {
+    const remaining = drops.length - start;
+    let fits = 0;
+    let fitsGas = 0;
+    let tooLarge = null;
+    let size = 1;
+
+    while (tooLarge === null || tooLarge - fits > 1) {
+        let gas;
+        try {
+            gas = await airdropContract.drop.estimateGas(drops.slice(start, start + size), { from: options.from });
+        } catch (error) {
+            if (size === 1) {
+                throw new Error(`Submitter: drop #${start} would revert: ${error.message}`);
+            }
+            gas = Infinity;
+        }
+
+        if (gas <= options.gasLimit) {
+            fits = size;
+            fitsGas = gas;
+            if (size === remaining) {
+                break;
+            }
+        } else {
+            tooLarge = size;
+        }
+        size = tooLarge === null ? Math.min(size * 2, remaining) : Math.floor((fits + tooLarge) / 2);
+    }
+
+    if (fits === 0) {
+        throw new Error(`Submitter: drop #${start} alone needs more than ${options.gasLimit} gas`);
+    }
+    return { end: start + fits, gas: fitsGas };
+}
+
+/**
+ * Settles the outcome of a chunk that was being sent when the previous run stopped.
+ */
+async function reconcile(airdropContract, journal, chunk, options) {
+    const web3 = airdropContract.constructor.web3;
+
+    if (!chunk.txHash) {
+        chunk.txHash = await findTransactionByNonce(web3, options.from, chunk.nonce, chunk.fromBlock);
+        if (!chunk.txHash) {
+            if (await web3.eth.getTransactionCount(options.from, "pending") > chunk.nonce) {
+                throw new Error(`Submitter: transaction with nonce ${chunk.nonce} is still pending, run again once it is mined`);
+            }
+            chunk.status = "failed";
+            chunk.error = "transaction was never sent";
+            journal.save();
+            return;
+        }
+    }
+
+    const receipt = await waitForReceipt(web3, chunk.txHash, options.receiptTimeout || RECEIPT_TIMEOUT);
+    if (receipt === null) {
+        if (await web3.eth.getTransaction(chunk.txHash) !== null) {
+            throw new Error(`Submitter: transaction ${chunk.txHash} is still pending, run again once it is mined`);
+        }
+        if (await findTransactionByNonce(web3, options.from, chunk.nonce, chunk.fromBlock)) {
+            throw new Error(`Submitter: nonce ${chunk.nonce} of ${chunk.txHash} was used by another transaction, check the journal manually`);
+        }
+        chunk.status = "failed";
+        chunk.error = "transaction was dropped";
+    } else if (receipt.status) {
+        confirm(chunk, receipt.blockNumber, airdropContract.constructor.decodeLogs(receipt.logs));
+    } else {
+        chunk.status = "failed";
+        chunk.error = "transaction reverted";
+    }
+    journal.save();
+}
+
+async function waitForReceipt(web3, txHash, timeout) {
+    const startedAt = Date.now();
+    for (;;) {
+        const receipt = await web3.eth.getTransactionReceipt(txHash);
+        if (receipt !== null || await web3.eth.getTransaction(txHash) === null || Date.now() - startedAt >= timeout) {
+            return receipt;
+        }
+        await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_INTERVAL));
+    }
+}
+
+/**
+ * Looks for a mined transaction of `from` with the given nonce since `fromBlock`.
+ */
+async function findTransactionByNonce(web3, from, nonce, fromBlock) {
+    if (await web3.eth.getTransactionCount(from, "latest") <= nonce) {
+        return null;
+    }
+    const latest = await web3.eth.getBlockNumber();
+    for (let number = fromBlock; number <= latest; number++) {
+        const block = await web3.eth.getBlock(number, true);
+        const tx = block.transactions.find(tx => tx.from.toLowerCase() === from.toLowerCase() && Number(tx.nonce) === nonce);
+        if (tx) {
+            return tx.hash;
+        }
+    }
+    return null;
+}
+
+function confirm(chunk, blockNumber, logs) {
+    chunk.status = "confirmed";
+    chunk.blockNumber = blockNumber;
+    chunk.events = logs
+        .filter(log => ["DropTokens", "DropRewardTokens", "DropEther"].includes(log.event))
+        .map(log => log.event === "DropRewardTokens"
+            ? { event: log.event, to: log.args.to, token: log.args.token, amount: log.args.amount.toString() }
+            : { event: log.event, to: log.args.to, amount: log.args.amount.toString() });
+    delete chunk.error;
+}
+
+function hashBatch(batch) {
+    return bufferToHex(keccak256(Buffer.from(JSON.stringify([batch.chainId, batch.airdrop, batch.drops]))));
+}
+
+module.exports = {
+    Journal,
+    submitBatch,
+    submitVestingDrops,
+    findChunk
+};
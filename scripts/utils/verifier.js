@@ -0,0 +1,162 @@
+const {
+    BN,
+    bufferToHex,
+    ecrecover,
+    keccak256,
+    pubToAddress,
+    setLengthLeft,
+    toBuffer,
+    toChecksumAddress
+} = require("ethereumjs-util");
+
+const DOMAIN_NAME = "Airdrop";
+const DOMAIN_VERSION = "1";
+
+// Must match the EIP712Domain of OpenZeppelin EIP712 and AirdropContract._CONTAINER_TYPE.
+const DOMAIN_TYPEHASH = keccak256(Buffer.from("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"));
+const CONTAINER_TYPEHASH = keccak256(Buffer.from("Container(address recipient,uint256 amount,uint256 deadline,address rewardType,uint256 nonce)"));
+
+// Order of secp256k1, a signature with `s` above its half is the malleable twin of a lower one.
+const SECP256K1_N = new BN("fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141", 16);
+const SECP256K1_HALF_N = SECP256K1_N.shrn(1);
+const UINT256_MAX = new BN(1).shln(256).subn(1);
+
+/**
+ * Returns the EIP-712 domain separator of an airdrop contract, the one its `_domainSeparatorV4` computes.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ */
+function domainSeparator(chainId, verifyingContract) {
+    return bufferToHex(keccak256(Buffer.concat([
+        DOMAIN_TYPEHASH,
+        keccak256(Buffer.from(DOMAIN_NAME)),
+        keccak256(Buffer.from(DOMAIN_VERSION)),
+        encodeUint(chainId, "chainId"),
+        encodeAddress(verifyingContract, "verifyingContract")
+    ])));
+}
+
+/**
+ * Returns the struct hash of a Container message, keccak256(abi.encode(_CONTAINER_TYPE, ...)).
+ *
+ * @param drop Object with recipient, amount, deadline, rewardType and nonce.
+ */
+function hashContainer(drop) {
+    return bufferToHex(keccak256(Buffer.concat([
+        CONTAINER_TYPEHASH,
+        encodeAddress(drop.recipient, "recipient"),
+        encodeUint(drop.amount, "amount"),
+        encodeUint(drop.deadline, "deadline"),
+        encodeAddress(drop.rewardType, "rewardType"),
+        encodeUint(drop.nonce, "nonce")
+    ])));
+}
+
+/**
+ * Returns the digest that AirdropContract._checkSign recovers the signer from, without the eip-712 library.
+ */
+function dropDigest(chainId, verifyingContract, drop) {
+    return bufferToHex(keccak256(Buffer.concat([
+        Buffer.from("1901", "hex"),
+        toBuffer(domainSeparator(chainId, verifyingContract)),
+        toBuffer(hashContainer(drop))
+    ])));
+}
+
+/**
+ * Recovers the signer of a digest the way OpenZeppelin ECDSA.tryRecover does and throws what it would revert with:
+ * a signature is 65 bytes (r, s, v) or 64 bytes (r, vs) as of EIP-2098, `s` must be in the lower half order,
+ * `v` must be 27 or 28 and the recovered address can't be zero.
+ *
+ * @param digest Signed digest.
+ * @param signature Hex signature.
+ * @returns Checksummed address of the signer.
+ */
+function recover(digest, signature) {
+    const bytes = toBuffer(signature);
+    let r, s, v;
+    if (bytes.length === 65) {
+        r = bytes.slice(0, 32);
+        s = bytes.slice(32, 64);
+        v = bytes[64];
+    } else if (bytes.length === 64) {
+        const vs = new BN(bytes.slice(32, 64));
+        r = bytes.slice(0, 32);
+        s = setLengthLeft(toBuffer(vs.maskn(255)), 32);
+        v = vs.testn(255) ? 28 : 27;
+    } else {
+        throw new Error("Verifier: invalid signature length");
+    }
+    if (new BN(s).gt(SECP256K1_HALF_N)) {
+        throw new Error("Verifier: invalid signature 's' value");
+    }
+    if (v !== 27 && v !== 28) {
+        throw new Error("Verifier: invalid signature 'v' value");
+    }
+
+    // the ecrecover precompile returns the zero address where secp256k1 throws, e.g. for r or s out of range
+    let recovered;
+    try {
+        recovered = bufferToHex(pubToAddress(ecrecover(toBuffer(digest), v, r, s)));
+    } catch (error) {
+        throw new Error("Verifier: invalid signature");
+    }
+    if (new BN(toBuffer(recovered)).isZero()) {
+        throw new Error("Verifier: invalid signature");
+    }
+    return toChecksumAddress(recovered);
+}
+
+/**
+ * Returns the checksummed address that signed a DropStruct for the given airdrop.
+ */
+function recoverDropSigner(chainId, verifyingContract, drop) {
+    return recover(dropDigest(chainId, verifyingContract, drop), drop.signature);
+}
+
+/**
+ * Checks a DropStruct the way AirdropContract.checkSign does for an externally owned signer, with no node needed.
+ * The signer of an airdrop is `signer()`, and also `previousSigner()` while `previousSignerExpiry()` is in the
+ * future: pass both during the grace period. A signer that is a contract, such as a multisig wallet, has to be
+ * asked through EIP-1271 on chain, see signer.js isValidSignature.
+ *
+ * @param chainId Chain id of the network the airdrop contract is deployed to.
+ * @param verifyingContract Airdrop contract address.
+ * @param drop DropStruct with recipient, amount, deadline, rewardType, nonce and signature.
+ * @param signers Address, or array of addresses, the drop may be signed by.
+ */
+function checkSign(chainId, verifyingContract, drop, signers) {
+    let recovered;
+    try {
+        recovered = recoverDropSigner(chainId, verifyingContract, drop);
+    } catch (error) {
+        return false;
+    }
+    return [].concat(signers).some(signer => signer.toLowerCase() === recovered.toLowerCase());
+}
+
+function encodeUint(value, name) {
+    const number = new BN(value.toString());
+    if (number.isNeg() || number.gt(UINT256_MAX)) {
+        throw new Error(`Verifier: ${name} is not a uint256: ${value}`);
+    }
+    return number.toArrayLike(Buffer, "be", 32);
+}
+
+function encodeAddress(value, name) {
+    if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        throw new Error(`Verifier: ${name} is not an address: ${value}`);
+    }
+    return setLengthLeft(toBuffer(value), 32);
+}
+
+module.exports = {
+    CONTAINER_TYPEHASH: bufferToHex(CONTAINER_TYPEHASH),
+    domainSeparator,
+    hashContainer,
+    dropDigest,
+    recover,
+    recoverDropSigner,
+    checkSign
+};
@@ -0,0 +1,101 @@
+const { BN } = require("ethereumjs-util");
+
+const DEFAULT_INTERVAL = 30 * 24 * 60 * 60;
+
+/**
+ * Returns the vested amount of a schedule at `timestamp`, mirroring AirdropContract._vestedAmount.
+ *
+ * @param schedule Object with amount, start, cliff and duration.
+ * @param timestamp Unix seconds.
+ */
+function vestedAmount(schedule, timestamp) {
+    const amount = new BN(schedule.amount.toString());
+    const start = Number(schedule.start);
+    if (timestamp < start + Number(schedule.cliff)) {
+        return new BN(0);
+    }
+    if (timestamp >= start + Number(schedule.duration)) {
+        return amount;
+    }
+    return amount.mul(new BN(timestamp - start)).div(new BN(schedule.duration.toString()));
+}
+
+/**
+ * Returns the timestamps the unlock table of a schedule is evaluated at:
+ * the cliff, every `interval` seconds after the start and the end of the vesting.
+ */
+function unlockTimestamps(schedule, interval) {
+    const start = Number(schedule.start);
+    const cliff = start + Number(schedule.cliff);
+    const end = start + Number(schedule.duration);
+    const timestamps = [cliff];
+    for (let timestamp = start + interval; timestamp < end; timestamp += interval) {
+        if (timestamp > cliff) {
+            timestamps.push(timestamp);
+        }
+    }
+    timestamps.push(end);
+    return timestamps;
+}
+
+/**
+ * Builds the expected unlock table of a recipient over all its schedules:
+ * [{ timestamp, date, vested, unlocked }] where `unlocked` is what became claimable since the previous row.
+ *
+ * @param schedules Array of objects with amount, start, cliff and duration.
+ * @param interval Seconds between two rows as a positive integer, 30 days if not set.
+ */
+function unlockTable(schedules, interval = DEFAULT_INTERVAL) {
+    if (!/^\d+$/.test(String(interval)) || !Number.isSafeInteger(Number(interval)) || Number(interval) === 0) {
+        throw new Error(`Vesting: interval must be a positive number of seconds: "${interval}"`);
+    }
+    interval = Number(interval);
+    const timestamps = [...new Set(schedules.flatMap(schedule => unlockTimestamps(schedule, interval)))].sort((a, b) => a - b);
+
+    let previous = new BN(0);
+    const rows = [];
+    for (const timestamp of timestamps) {
+        const vested = schedules.reduce((total, schedule) => total.add(vestedAmount(schedule, timestamp)), new BN(0));
+        if (vested.eq(previous)) {
+            continue;
+        }
+        rows.push({
+            timestamp: timestamp,
+            date: new Date(timestamp * 1000).toISOString(),
+            vested: vested.toString(),
+            unlocked: vested.sub(previous).toString()
+        });
+        previous = vested;
+    }
+    return rows;
+}
+
+/**
+ * Groups vesting drops by recipient and reward token and builds the unlock tables:
+ * { [recipient]: { [rewardType]: rows } }.
+ *
+ * @param vestingDrops Vesting drops of a batch written by scripts/sign-batch.js.
+ * @param interval Seconds between two rows.
+ */
+function unlockTables(vestingDrops, interval) {
+    const schedules = {};
+    for (const drop of vestingDrops) {
+        schedules[drop.recipient] = schedules[drop.recipient] || {};
+        schedules[drop.recipient][drop.rewardType] = schedules[drop.recipient][drop.rewardType] || [];
+        schedules[drop.recipient][drop.rewardType].push(drop);
+    }
+    const tables = {};
+    for (const recipient of Object.keys(schedules)) {
+        tables[recipient] = {};
+        for (const rewardType of Object.keys(schedules[recipient])) {
+            tables[recipient][rewardType] = unlockTable(schedules[recipient][rewardType], interval);
+        }
+    }
+    return tables;
+}
+
+module.exports = {
+    vestedAmount,
+    unlockTable,
+    unlockTables
+};
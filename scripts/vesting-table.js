@@ -0,0 +1,47 @@
+/**
+ * Prints the expected unlock tables of the vesting drops of a signed batch, per recipient and reward token.
+ *
+ * $ node scripts/vesting-table.js --batch batch.json [--recipient <address>] [--interval <seconds>] [--output unlocks.csv]
+ *
+ * --interval is the time between two rows and defaults to 30 days; the cliff and the end of every schedule
+ * are always part of the table.
+ */
+const fs = require("fs");
+const { parseArgs, requireArgs, readJson } = require("./utils/cli.js");
+const { unlockTables } = require("./utils/vesting.js");
+
+const CSV_COLUMNS = ["recipient", "rewardType", "timestamp", "date", "vested", "unlocked"];
+
+function main() {
+    const args = parseArgs(process.argv);
+    requireArgs(args, ["batch"]);
+
+    const batch = readJson(args.batch);
+    const vestingDrops = (batch.vestingDrops || [])
+        .filter(drop => !args.recipient || drop.recipient.toLowerCase() === String(args.recipient).toLowerCase());
+    if (vestingDrops.length === 0) {
+        throw new Error(`no vesting drops in ${args.batch}` + (args.recipient ? ` for ${args.recipient}` : ""));
+    }
+
+    const tables = unlockTables(vestingDrops, args.interval);
+    const rows = [];
+    for (const recipient of Object.keys(tables)) {
+        for (const rewardType of Object.keys(tables[recipient])) {
+            rows.push(...tables[recipient][rewardType].map(row => ({ recipient, rewardType, ...row })));
+        }
+    }
+
+    if (args.output) {
+        fs.writeFileSync(args.output, [CSV_COLUMNS.join(","), ...rows.map(row => CSV_COLUMNS.map(column => row[column]).join(","))].join("\n") + "\n");
+        console.log(`Wrote ${rows.length} unlocks of ${Object.keys(tables).length} recipients into ${args.output}`);
+    } else {
+        console.table(rows);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -3,7 +3,8 @@ const {
     constants,
     expectEvent, 
     expectRevert,
-    snapshot
+    snapshot,
+    time
 } = require("@openzeppelin/test-helpers");
 
 require("chai")
@@ -12,10 +13,13 @@ require("chai")
     .should();
 
 const EIP712 = require("./utils/eip712.js");
+const EIP712Signer = require("../scripts/utils/signer.js");
+const { MerkleTree } = require("../scripts/utils/merkle.js");
 
 
 const AirdropContract = artifacts.require("AirdropContract.sol");
 const TevaToken = artifacts.require("TevaToken.sol");
+const ERC1271WalletMock = artifacts.require("ERC1271WalletMock.sol");
 
 
 contract("AirdropContract", function(accounts) {
@@ -27,6 +31,7 @@ contract("AirdropContract", function(accounts) {
     before(async function () {
         tevaToken = await TevaToken.new(); 
         airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
 
         snapshotB = await snapshot();
     });
@@ -175,6 +180,86 @@ contract("AirdropContract", function(accounts) {
                 contractEtherBalance = new BN(await web3.eth.getBalance(airdropContract.address));
                 contractEtherBalance.should.be.bignumber.equal(AMOUNT);
             });
+
+            //depositTokensWithPermit
+            it("should transfer tokens to a contract with a permit of the current owner", async () => {
+                await tevaToken.mint(deployer, AMOUNT);
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await signPermit(deployer, AMOUNT, deadline);
+
+                receipt = await airdropContract.depositTokensWithPermit(AMOUNT, deadline, sign.v, sign.r, sign.s);
+                expectEvent(
+                    receipt,
+                    "DepositTokens",
+                    {
+                        from: deployer,
+                        amount: AMOUNT
+                    }
+                );
+
+                (await tevaToken.balanceOf(airdropContract.address)).should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+                (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+                (await tevaToken.allowance(deployer, airdropContract.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should transfer tokens to a contract with a permit that was front-run", async () => {
+                await tevaToken.mint(deployer, AMOUNT);
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await signPermit(deployer, AMOUNT, deadline);
+                await tevaToken.permit(deployer, airdropContract.address, AMOUNT, deadline, sign.v, sign.r, sign.s, { from: user1 });
+
+                receipt = await airdropContract.depositTokensWithPermit(AMOUNT, deadline, sign.v, sign.r, sign.s);
+                expectEvent(
+                    receipt,
+                    "DepositTokens",
+                    {
+                        from: deployer,
+                        amount: AMOUNT
+                    }
+                );
+                (await tevaToken.allowance(deployer, airdropContract.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("shouldn't transfer tokens to a contract with an expired permit", async () => {
+                await tevaToken.mint(deployer, AMOUNT);
+                deadline = Number(await time.latest()) - 1;
+                sign = await signPermit(deployer, AMOUNT, deadline);
+
+                await expectRevert(
+                    airdropContract.depositTokensWithPermit(AMOUNT, deadline, sign.v, sign.r, sign.s),
+                    "ERC20Permit: expired deadline"
+                );
+            });
+
+            it("shouldn't transfer tokens to a contract with a permit signed by another account", async () => {
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await signPermit(user1, AMOUNT, deadline);
+
+                await expectRevert(
+                    airdropContract.depositTokensWithPermit(AMOUNT, deadline, sign.v, sign.r, sign.s),
+                    "ERC20Permit: invalid signature"
+                );
+            });
+
+            it("shouldn't transfer tokens to a contract with a permit for another amount", async () => {
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await signPermit(deployer, AMOUNT, deadline);
+
+                await expectRevert(
+                    airdropContract.depositTokensWithPermit(AMOUNT.add(new BN(1)), deadline, sign.v, sign.r, sign.s),
+                    "ERC20Permit: invalid signature"
+                );
+            });
+
+            it("shouldn't transfer tokens to a contract with a permit by not the current owner", async () => {
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await signPermit(user1, AMOUNT, deadline);
+
+                await expectRevert(
+                    airdropContract.depositTokensWithPermit(AMOUNT, deadline, sign.v, sign.r, sign.s, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
         });
 
         describe("Methods With Signatures Phase Test Cases ✒️", function () {
@@ -189,7 +274,7 @@ contract("AirdropContract", function(accounts) {
                 typedData = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address);   
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
-                receipt = await airdropContract.checkSign({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v }); 
+                receipt = await airdropContract.checkSign({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig }); 
                 receipt.should.equal(true);
             });
 
@@ -202,7 +287,7 @@ contract("AirdropContract", function(accounts) {
                 balanceBefore = await airdropContract.tokenBalances(user1);
                 balanceBefore.should.be.bignumber.equal(ZERO_AMOUNT);
 
-                receipt = await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v }); 
+                receipt = await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig }); 
                 expectEvent(
                     receipt,
                     "DropTokens",
@@ -216,13 +301,38 @@ contract("AirdropContract", function(accounts) {
                 balanceAfter.should.be.bignumber.equal(AMOUNT);
             });
 
+            it("shouldn't increase tokens for the beneficiaries twice with the same message", async () => {
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                typedData = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address);   
+                sign = await EIP712.signTypedData(web3, deployer, typedData);
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
+
+                await expectRevert(
+                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig }), 
+                    "Airdrop: voucher already used"
+                );
+            });
+
+            it("should increase tokens for the beneficiaries again with a message with another nonce", async () => {
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                typedData = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address);   
+                sign = await EIP712.signTypedData(web3, deployer, typedData);
+                typedData2 = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address, 1);   
+                sign2 = await EIP712.signTypedData(web3, deployer, typedData2);
+
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 1, signature: sign2.sig });
+
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+            });
+
             it("shouldn't increase tokens for the beneficiaries from the non-current owner", async () => {
                 deadline = Math.floor(Date.now() / 1000) + 10000;
                 typedData = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address);   
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
                 await expectRevert(
-                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v },
+                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig },
                         { from: user1 }
                     ), 
                     "Ownable: caller is not the owner"
@@ -235,7 +345,7 @@ contract("AirdropContract", function(accounts) {
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
                 await expectRevert(
-                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v }), 
+                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig }), 
                     "Airdrop: deadline of this message has expired"
                 );
             });
@@ -246,19 +356,19 @@ contract("AirdropContract", function(accounts) {
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
                 await expectRevert(
-                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign.r, s: sign.s, v: sign.v }), 
+                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig }), 
                     "Airdrop: invalid reward type in the message"
                 );
             });
 
-            it("shouldn't increase tokens for the beneficiaries if message wasn't signed by owner", async () => {
+            it("shouldn't increase tokens for the beneficiaries if message wasn't signed by signer", async () => {
                 deadline = Math.floor(Date.now() / 1000) + 10000;
                 typedData = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address);   
                 sign = await EIP712.signTypedData(web3, user1, typedData);
 
                 await expectRevert(
-                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v }), 
-                    "Airdrop: this message wasn't signed by owner"
+                    airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig }), 
+                    "Airdrop: this message wasn't signed by signer"
                 );
             });
 
@@ -271,7 +381,7 @@ contract("AirdropContract", function(accounts) {
                 balanceBefore = await airdropContract.etherBalances(user1);
                 balanceBefore.should.be.bignumber.equal(ZERO_AMOUNT);
 
-                receipt = await airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign.r, s: sign.s, v: sign.v }); 
+                receipt = await airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig }); 
                 expectEvent(
                     receipt,
                     "DropEther",
@@ -285,13 +395,25 @@ contract("AirdropContract", function(accounts) {
                 balanceAfter.should.be.bignumber.equal(AMOUNT);
             });
 
+            it("shouldn't increase ether for the beneficiaries twice with the same message", async () => {
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                typedData = createTypedData(user1, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS);   
+                sign = await EIP712.signTypedData(web3, deployer, typedData);
+                await airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig });
+
+                await expectRevert(
+                    airdropContract.drop([{ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig }]), 
+                    "Airdrop: voucher already used"
+                );
+            });
+
             it("shouldn't increase ether for the beneficiaries from the non-current owner", async () => {
                 deadline = Math.floor(Date.now() / 1000) + 10000;
                 typedData = createTypedData(user1, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS);   
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
                 await expectRevert(
-                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign.r, s: sign.s, v: sign.v },
+                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig },
                         { from: user1 }
                     ), 
                     "Ownable: caller is not the owner"
@@ -304,7 +426,7 @@ contract("AirdropContract", function(accounts) {
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
                 await expectRevert(
-                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign.r, s: sign.s, v: sign.v }), 
+                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig }), 
                     "Airdrop: deadline of this message has expired"
                 );
             });
@@ -315,19 +437,19 @@ contract("AirdropContract", function(accounts) {
                 sign = await EIP712.signTypedData(web3, deployer, typedData);
 
                 await expectRevert(
-                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v }), 
+                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig }), 
                     "Airdrop: invalid reward type in the message"
                 );
             });
 
-            it("shouldn't increase ether for the beneficiaries if message wasn't signed by owner", async () => {
+            it("shouldn't increase ether for the beneficiaries if message wasn't signed by signer", async () => {
                 deadline = Math.floor(Date.now() / 1000) + 10000;
                 typedData = createTypedData(user1, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS);   
                 sign = await EIP712.signTypedData(web3, user1, typedData);
 
                 await expectRevert(
-                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign.r, s: sign.s, v: sign.v }), 
-                    "Airdrop: this message wasn't signed by owner"
+                    airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign.sig }), 
+                    "Airdrop: this message wasn't signed by signer"
                 );
             });
 
@@ -345,8 +467,8 @@ contract("AirdropContract", function(accounts) {
                 etherBalanceBefore.should.be.bignumber.equal(ZERO_AMOUNT);
 
                 receipt = await airdropContract.drop([
-                    { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v },
-                    { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign2.r, s: sign2.s, v: sign2.v }
+                    { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig },
+                    { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign2.sig }
                 ]);
 
                 expectEvent(
@@ -379,7 +501,7 @@ contract("AirdropContract", function(accounts) {
 
                 await expectRevert(
                     airdropContract.drop([
-                        { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: airdropContract.address, r: sign.r, s: sign.s, v: sign.v }
+                        { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: airdropContract.address, nonce: 0, signature: sign.sig }
                     ]),
                     "Airdrop: such reward doesn't exist"
                 );
@@ -417,10 +539,9 @@ contract("AirdropContract", function(accounts) {
                 receipt = await airdropContract.updateTokenAddress(anotherTevaToken.address);
                 expectEvent(
                     receipt,
-                    "WithdrawTokens",
+                    "AddRewardToken",
                     {
-                        to: deployer,
-                        amount: AMOUNT
+                        token: anotherTevaToken.address
                     }
                 );
                 expectEvent(
@@ -430,6 +551,10 @@ contract("AirdropContract", function(accounts) {
                         newTokenAddress: anotherTevaToken.address
                     }
                 );
+                expectEvent.notEmitted(receipt, "WithdrawTokens");
+
+                (await airdropContract.rewardTokenSupplies(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.rewardTokens(tevaToken.address)).should.equal(true);
             });
 
             //withdrawTokens
@@ -470,7 +595,7 @@ contract("AirdropContract", function(accounts) {
 
             //claimToken
             it("should transfer tokens to recipients", async () => {
-                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v });
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
 
                 receipt = await airdropContract.claimTokens({from: user1});
                 expectEvent(
@@ -494,8 +619,9 @@ contract("AirdropContract", function(accounts) {
             });
 
             it("shouldn't transfer tokens to beneficiary if contract doesn't own enough tokens", async () => {
-                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, r: sign.r, s: sign.s, v: sign.v });
-                await airdropContract.withdrawTokens();
+                sign3 = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address, 1));
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 1, signature: sign3.sig });
                 
                 await expectRevert(
                     airdropContract.claimTokens({ from: user1 }),
@@ -505,7 +631,7 @@ contract("AirdropContract", function(accounts) {
 
             //claimEther
             it("should transfer ether to recipients", async () => {
-                await airdropContract.dropEther({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign2.r, s: sign2.s, v: sign2.v });
+                await airdropContract.dropEther({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign2.sig });
                 balanceBefore = new BN(await web3.eth.getBalance(user2));
                 receipt = await airdropContract.claimEther({from: user2});
                 expectEvent(
@@ -532,8 +658,9 @@ contract("AirdropContract", function(accounts) {
             });
 
             it("shouldn't transfer ether to beneficiary if contract doesn't own enough ether", async () => {
-                await airdropContract.dropEther({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, r: sign2.r, s: sign2.s, v: sign2.v });
-                await airdropContract.withdrawEther();
+                sign3 = await EIP712.signTypedData(web3, deployer, createTypedData(user2, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS, 1));
+                await airdropContract.dropEther({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign2.sig });
+                await airdropContract.dropEther({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 1, signature: sign3.sig });
                 
                 await expectRevert(
                     airdropContract.claimEther({ from: user2 }),
@@ -543,37 +670,1923 @@ contract("AirdropContract", function(accounts) {
 
         });
 
-        function createTypedData(receipt, amount, deadline, rewardType){
-            return {
-                "types": {
-                    "EIP712Domain": [
-                        { "name": "name", "type": "string" },
-                        { "name": "version", "type": "string" },
-                        { "name": "chainId", "type": "uint256" },
-                        { "name": "verifyingContract", "type": "address" }
-                    ],
-                    "Container": [
-                        { "name": "recipient", "type": "address" },
-                        { "name" : "amount", "type": "uint256"},
-                        { "name" : "deadline", "type": "uint256"},
-                        { "name": "rewardType", "type": "address"}
-                    ]
-                },
-                "primaryType": "Container",
-                "domain": {
-                    "name": "Airdrop",
-                    "version": "1",
-                    "chainId": 1, //await web3.eth.getChainId() <- THIS 🤬
-                    "verifyingContract": airdropContract.address
-                },
-                "message": 
-                {
-                    "recipient": receipt,
-                    "amount": amount,
-                    "deadline": deadline,
-                    "rewardType": rewardType
-                }
-            };
+        describe("Solvency Test Cases ⚖️", function () {
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT.mul(new BN(2)) });
+
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                tokenDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig };
+                sign2 = await EIP712.signTypedData(web3, deployer, createTypedData(user2, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS));
+                etherDrop = { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign2.sig };
+                sign3 = await EIP712.signTypedData(web3, deployer, createTypedData(user3, AMOUNT.mul(new BN(2)).toString(), deadline, tevaToken.address));
+                bigVoucher = { recipient: user3, amount: AMOUNT.mul(new BN(2)).toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign3.sig };
+
+                snapshotG = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotG.restore();
+            });
+
+            //solvency
+            it("should track liabilities of drops until they are claimed", async () => {
+                await airdropContract.drop([tokenDrop, etherDrop]);
+
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.etherLiability()).should.be.bignumber.equal(AMOUNT);
+
+                await airdropContract.claimTokens({ from: user1 });
+                await airdropContract.claimEther({ from: user2 });
+
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.etherLiability()).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should return the surplus per asset", async () => {
+                await airdropContract.drop([tokenDrop, etherDrop]);
+
+                result = await airdropContract.solvency(tevaToken.address);
+                result.balance.should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+                result.liability.should.be.bignumber.equal(AMOUNT);
+                result.surplus.should.be.bignumber.equal(AMOUNT);
+
+                result = await airdropContract.solvency(constants.ZERO_ADDRESS);
+                result.surplus.should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("should return the deficit per asset", async () => {
+                sign4 = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.mul(new BN(2)).toString(), deadline, tevaToken.address, 1));
+                await airdropContract.drop([tokenDrop, { ...tokenDrop, amount: AMOUNT.mul(new BN(2)).toString(), nonce: 1, signature: sign4.sig }]);
+
+                result = await airdropContract.solvency(tevaToken.address);
+                result.surplus.should.be.bignumber.equal(AMOUNT.neg());
+            });
+
+            //withdrawTokens
+            it("should withdraw only the token surplus", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+
+                receipt = await airdropContract.withdrawTokens();
+                expectEvent(
+                    receipt,
+                    "WithdrawTokens",
+                    {
+                        to: deployer,
+                        amount: AMOUNT
+                    }
+                );
+
+                (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(AMOUNT);
+                await airdropContract.claimTokens({ from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't withdraw tokens if there is no surplus", async () => {
+                sign4 = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address, 1));
+                await airdropContract.drop([tokenDrop, { ...tokenDrop, nonce: 1, signature: sign4.sig }]);
+
+                await expectRevert(
+                    airdropContract.withdrawTokens(),
+                    "Airdrop: no surplus to withdraw"
+                );
+            });
+
+            //withdrawEther
+            it("should withdraw only the ether surplus", async () => {
+                await airdropContract.dropEther(etherDrop);
+
+                receipt = await airdropContract.withdrawEther();
+                expectEvent(
+                    receipt,
+                    "WithdrawEther",
+                    {
+                        to: deployer,
+                        amount: AMOUNT
+                    }
+                );
+
+                (new BN(await web3.eth.getBalance(airdropContract.address))).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't withdraw ether if there is no surplus", async () => {
+                sign4 = await EIP712.signTypedData(web3, deployer, createTypedData(user2, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS, 1));
+                await airdropContract.drop([etherDrop, { ...etherDrop, nonce: 1, signature: sign4.sig }]);
+
+                await expectRevert(
+                    airdropContract.withdrawEther(),
+                    "Airdrop: no surplus to withdraw"
+                );
+            });
+
+            //claimWithVoucher
+            it("shouldn't pay a voucher out of tokens owed to recipients of drops", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher(bigVoucher, { from: user3 }),
+                    "Airdrop: contract doesn't own enough tokens"
+                );
+            });
+
+            it("should pay a voucher out of the surplus without a liability", async () => {
+                receipt = await airdropContract.claimWithVoucher(bigVoucher, { from: user3 });
+                expectEvent(
+                    receipt,
+                    "ClaimWithVoucher",
+                    {
+                        to: user3
+                    }
+                );
+
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+        });
+
+        describe("Claim Window Test Cases ⏳", function () {
+
+            const CLAIM_WINDOW = 1000;
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+                await airdropContract.setClaimWindow(CLAIM_WINDOW);
+
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                tokenDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig };
+                sign2 = await EIP712.signTypedData(web3, deployer, createTypedData(user2, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS));
+                etherDrop = { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign2.sig };
+                sign3 = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address, 1));
+                secondTokenDrop = { ...tokenDrop, nonce: 1, signature: sign3.sig };
+
+                snapshotH = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotH.restore();
+            });
+
+            //setClaimWindow
+            it("should update the claim window", async () => {
+                receipt = await airdropContract.setClaimWindow(CLAIM_WINDOW * 2);
+                expectEvent(
+                    receipt,
+                    "UpdateClaimWindow",
+                    {
+                        claimWindow: new BN(CLAIM_WINDOW * 2)
+                    }
+                );
+            });
+
+            it("shouldn't update the claim window from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.setClaimWindow(0, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            //claimTokens
+            it("should open the claim window of a drop", async () => {
+                receipt = await airdropContract.dropTokens(tokenDrop);
+                timestamp = (await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp;
+
+                (await airdropContract.claimDeadlines(tevaToken.address, user1)).should.be.bignumber.equal(new BN(timestamp + CLAIM_WINDOW));
+                await airdropContract.claimTokens({ from: user1 });
+            });
+
+            it("shouldn't transfer tokens after the claim window has expired", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+                await time.increase(CLAIM_WINDOW + 1);
+
+                await expectRevert(
+                    airdropContract.claimTokens({ from: user1 }),
+                    "Airdrop: claim window has expired"
+                );
+            });
+
+            it("shouldn't transfer ether after the claim window has expired", async () => {
+                await airdropContract.dropEther(etherDrop);
+                await time.increase(CLAIM_WINDOW + 1);
+
+                await expectRevert(
+                    airdropContract.claimEther({ from: user2 }),
+                    "Airdrop: claim window has expired"
+                );
+            });
+
+            it("should extend the claim window of a balance with a later drop", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+                await time.increase(CLAIM_WINDOW / 2);
+                await airdropContract.dropTokens(secondTokenDrop);
+                await time.increase(CLAIM_WINDOW / 2 + 1);
+
+                await airdropContract.claimTokens({ from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+            });
+
+            it("shouldn't reopen an expired balance that wasn't swept with a later drop", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+                await time.increase(CLAIM_WINDOW + 1);
+
+                receipt = await airdropContract.dropTokens(secondTokenDrop);
+                expectEvent(
+                    receipt,
+                    "SweepExpired",
+                    {
+                        rewardType: tevaToken.address,
+                        recipients: [user1]
+                    }
+                );
+                receipt.logs[0].args.amounts.map(amount => amount.toString()).should.deep.equal([AMOUNT.toString()]);
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+
+                await airdropContract.claimTokens({ from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't expire drops made without a claim window", async () => {
+                await airdropContract.setClaimWindow(0);
+                await airdropContract.dropTokens(tokenDrop);
+                await time.increase(CLAIM_WINDOW + 1);
+
+                (await airdropContract.claimDeadlines(tevaToken.address, user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+                await airdropContract.claimTokens({ from: user1 });
+            });
+
+            //sweepExpired
+            it("should sweep expired balances", async () => {
+                await airdropContract.drop([tokenDrop, etherDrop]);
+                await time.increase(CLAIM_WINDOW + 1);
+
+                receipt = await airdropContract.sweepExpired(tevaToken.address, [user1, user2]);
+                expectEvent(
+                    receipt,
+                    "SweepExpired",
+                    {
+                        rewardType: tevaToken.address,
+                        recipients: [user1, user2]
+                    }
+                );
+                receipt.logs[0].args.amounts.map(amount => amount.toString()).should.deep.equal([AMOUNT.toString(), "0"]);
+                await airdropContract.sweepExpired(constants.ZERO_ADDRESS, [user2]);
+
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.etherLiability()).should.be.bignumber.equal(ZERO_AMOUNT);
+
+                receipt = await airdropContract.withdrawTokens();
+                expectEvent(
+                    receipt,
+                    "WithdrawTokens",
+                    {
+                        amount: AMOUNT.mul(new BN(2))
+                    }
+                );
+            });
+
+            it("shouldn't sweep balances that haven't expired", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+
+                await expectRevert(
+                    airdropContract.sweepExpired(tevaToken.address, [user1]),
+                    "Airdrop: nothing to sweep"
+                );
+            });
+
+            it("shouldn't sweep expired balances from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.sweepExpired(tevaToken.address, [user1], { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            //claimWithProof
+            it("shouldn't transfer reward of a merkle campaign after its claim window has expired", async () => {
+                tree = new MerkleTree([{ recipient: user1, amount: AMOUNT, rewardType: tevaToken.address }]);
+                await airdropContract.createMerkleCampaign(tree.getRoot());
+                await time.increase(CLAIM_WINDOW + 1);
+
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 }),
+                    "Airdrop: claim window has expired"
+                );
+            });
+        });
+
+        describe("Vesting Test Cases 📅", function () {
+
+            const CLIFF = 1000;
+            const DURATION = 4000;
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                start = (await web3.eth.getBlock("latest")).timestamp;
+                vestingDrop = await signVestingDrop({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, start: start, cliff: CLIFF, duration: DURATION });
+
+                snapshotI = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotI.restore();
+            });
+
+            //dropVestedTokens
+            it("should add a vesting schedule", async () => {
+                receipt = await airdropContract.dropVestedTokens(vestingDrop);
+                expectEvent(
+                    receipt,
+                    "DropTokens",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+                expectEvent(
+                    receipt,
+                    "VestTokens",
+                    {
+                        to: user1,
+                        token: tevaToken.address,
+                        start: new BN(start),
+                        cliff: new BN(CLIFF),
+                        duration: new BN(DURATION)
+                    }
+                );
+
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.getVestingSchedules(tevaToken.address, user1)).length.should.equal(1);
+            });
+
+            it("shouldn't add a vesting schedule twice", async () => {
+                await airdropContract.dropVestedTokens(vestingDrop);
+
+                await expectRevert(
+                    airdropContract.dropVestedTokens(vestingDrop),
+                    "Airdrop: voucher already used"
+                );
+            });
+
+            it("shouldn't add a vesting schedule if the vesting terms were changed", async () => {
+                await expectRevert(
+                    airdropContract.dropVestedTokens({ ...vestingDrop, cliff: 0 }),
+                    "Airdrop: this message wasn't signed by signer"
+                );
+            });
+
+            it("shouldn't add a vesting schedule with a cliff longer than the duration", async () => {
+                invalidDrop = await signVestingDrop({ ...vestingDrop, cliff: DURATION + 1 });
+
+                await expectRevert(
+                    airdropContract.dropVestedTokens(invalidDrop),
+                    "Airdrop: invalid vesting schedule"
+                );
+            });
+
+            it("shouldn't add a vesting schedule whose vested amount could overflow", async () => {
+                const MAX_UINT64 = new BN(2).pow(new BN(64)).subn(1);
+                for (const terms of [
+                    { start: MAX_UINT64.addn(1).toString(), cliff: 0, duration: 1 },
+                    { start: MAX_UINT64.subn(DURATION - 1).toString() },
+                    { start: constants.MAX_UINT256.toString() },
+                    { amount: new BN(2).pow(new BN(128)).toString() }
+                ]) {
+                    invalidDrop = await signVestingDrop({ ...vestingDrop, ...terms });
+                    await expectRevert(
+                        airdropContract.dropVestedTokens(invalidDrop),
+                        "Airdrop: invalid vesting schedule"
+                    );
+                }
+                await airdropContract.dropVestedTokens(await signVestingDrop({ ...vestingDrop, start: MAX_UINT64.subn(DURATION).toString() }));
+            });
+
+            it("shouldn't add a vesting schedule of ether", async () => {
+                invalidDrop = await signVestingDrop({ ...vestingDrop, rewardType: constants.ZERO_ADDRESS });
+
+                await expectRevert(
+                    airdropContract.dropVestedTokens(invalidDrop),
+                    "Airdrop: invalid reward type in the message"
+                );
+            });
+
+            it("shouldn't add a vesting schedule from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.dropVestedTokens(vestingDrop, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            //claimTokens
+            it("shouldn't release vested tokens before the cliff", async () => {
+                await airdropContract.dropVestedTokens(vestingDrop);
+
+                await expectRevert(
+                    airdropContract.claimTokens({ from: user1 }),
+                    "Airdrop: no tokens available"
+                );
+            });
+
+            it("should release only the vested part", async () => {
+                await airdropContract.dropVestedTokens(vestingDrop);
+                await time.increaseTo(start + DURATION / 2);
+
+                receipt = await airdropContract.claimTokens({ from: user1 });
+                timestamp = (await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp;
+                vested = AMOUNT.mul(new BN(timestamp - start)).div(new BN(DURATION));
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(vested);
+                result = await airdropContract.vestingOf(tevaToken.address, user1);
+                result.vested.should.be.bignumber.equal(vested);
+                result.claimed.should.be.bignumber.equal(vested);
+                result.locked.should.be.bignumber.equal(AMOUNT.sub(vested));
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(AMOUNT.sub(vested));
+            });
+
+            it("should release everything after the vesting has ended together with the dropped balance", async () => {
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
+                await airdropContract.dropVestedTokens(vestingDrop);
+                await time.increaseTo(start + DURATION);
+
+                receipt = await airdropContract.claimTokens({ from: user1 });
+                expectEvent(
+                    receipt,
+                    "ClaimTokens",
+                    {
+                        to: user1,
+                        amount: AMOUNT.mul(new BN(2))
+                    }
+                );
+
+                result = await airdropContract.vestingOf(tevaToken.address, user1);
+                result.locked.should.be.bignumber.equal(ZERO_AMOUNT);
+                await expectRevert(
+                    airdropContract.claimTokens({ from: user1 }),
+                    "Airdrop: no tokens available"
+                );
+            });
+
+            async function signVestingDrop(drop) {
+                sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createVestingTypedData(chainId, airdropContract.address, drop));
+                return { ...drop, signature: sign.sig };
+            }
+        });
+
+        describe("Merkle Claim Phase Test Cases 🌳", function () {
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT);
+                await tevaToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositTokens(AMOUNT);
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+
+                tree = new MerkleTree([
+                    { recipient: user1, amount: AMOUNT, rewardType: tevaToken.address },
+                    { recipient: user2, amount: AMOUNT, rewardType: constants.ZERO_ADDRESS },
+                    { recipient: user3, amount: AMOUNT, rewardType: airdropContract.address }
+                ]);
+                merkleRoot = tree.getRoot();
+
+                snapshotD = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotD.restore();
+            });
+
+            //createMerkleCampaign
+            it("should create a merkle campaign", async () => {
+                receipt = await airdropContract.createMerkleCampaign(merkleRoot);
+                expectEvent(
+                    receipt,
+                    "CreateMerkleCampaign",
+                    {
+                        campaignId: ZERO_AMOUNT,
+                        merkleRoot: merkleRoot
+                    }
+                );
+
+                (await airdropContract.merkleRoots(0)).should.equal(merkleRoot);
+                (await airdropContract.merkleCampaignsCount()).should.be.bignumber.equal(new BN(1));
+            });
+
+            it("shouldn't create a merkle campaign from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.createMerkleCampaign(merkleRoot, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            it("shouldn't create a merkle campaign if the merkle root is zero", async () => {
+                await expectRevert(
+                    airdropContract.createMerkleCampaign(constants.ZERO_BYTES32),
+                    "Airdrop: merkle root is zero"
+                );
+            });
+
+            //claimWithProof
+            it("should transfer tokens to recipients with a merkle proof", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+
+                receipt = await airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 });
+                expectEvent(
+                    receipt,
+                    "ClaimTokens",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+                expectEvent(
+                    receipt,
+                    "ClaimWithProof",
+                    {
+                        campaignId: ZERO_AMOUNT,
+                        index: ZERO_AMOUNT,
+                        to: user1
+                    }
+                );
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.isClaimed(0, 0)).should.equal(true);
+                (await airdropContract.isClaimed(0, 1)).should.equal(false);
+            });
+
+            it("should transfer ether to recipients with a merkle proof", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+                contractBalanceBefore = new BN(await web3.eth.getBalance(airdropContract.address));
+
+                receipt = await airdropContract.claimWithProof(0, 1, AMOUNT, constants.ZERO_ADDRESS, tree.getProof(1), { from: user2 });
+                expectEvent(
+                    receipt,
+                    "ClaimEther",
+                    {
+                        to: user2,
+                        amount: AMOUNT
+                    }
+                );
+
+                (new BN(await web3.eth.getBalance(airdropContract.address))).should.be.bignumber.equal(contractBalanceBefore.sub(AMOUNT));
+            });
+
+            it("shouldn't transfer reward with a merkle proof twice", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+                await airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 });
+
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 }),
+                    "Airdrop: drop already claimed"
+                );
+            });
+
+            it("shouldn't transfer reward if the campaign doesn't exist", async () => {
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 }),
+                    "Airdrop: campaign doesn't exist"
+                );
+            });
+
+            it("shouldn't transfer reward to not the recipient of the leaf", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user2 }),
+                    "Airdrop: invalid merkle proof"
+                );
+            });
+
+            it("shouldn't transfer reward if the amount differs from the leaf", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 0, AMOUNT.add(new BN(1)), tevaToken.address, tree.getProof(0), { from: user1 }),
+                    "Airdrop: invalid merkle proof"
+                );
+            });
+
+            it("shouldn't transfer reward if such reward doesn't exist", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 2, AMOUNT, airdropContract.address, tree.getProof(2), { from: user3 }),
+                    "Airdrop: such reward doesn't exist"
+                );
+            });
+
+            it("shouldn't transfer tokens with a merkle proof if contract doesn't own enough tokens", async () => {
+                await airdropContract.createMerkleCampaign(merkleRoot);
+                await airdropContract.withdrawTokens();
+
+                await expectRevert(
+                    airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 }),
+                    "Airdrop: contract doesn't own enough tokens"
+                );
+            });
+        });
+
+        describe("Voucher Claim Phase Test Cases 🎟️", function () {
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT);
+                await tevaToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositTokens(AMOUNT);
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                typedData = createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address);
+                sign = await EIP712.signTypedData(web3, deployer, typedData);
+                tokenVoucher = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig };
+                typedData2 = createTypedData(user2, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS);
+                sign2 = await EIP712.signTypedData(web3, deployer, typedData2);
+                etherVoucher = { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 0, signature: sign2.sig };
+
+                snapshotE = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotE.restore();
+            });
+
+            //claimWithVoucher
+            it("should transfer tokens to the recipient of a voucher", async () => {
+                receipt = await airdropContract.claimWithVoucher(tokenVoucher, { from: user1 });
+                expectEvent(
+                    receipt,
+                    "ClaimTokens",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should transfer ether to the recipient of a voucher", async () => {
+                contractBalanceBefore = new BN(await web3.eth.getBalance(airdropContract.address));
+
+                receipt = await airdropContract.claimWithVoucher(etherVoucher, { from: user2 });
+                expectEvent(
+                    receipt,
+                    "ClaimEther",
+                    {
+                        to: user2,
+                        amount: AMOUNT
+                    }
+                );
+
+                (new BN(await web3.eth.getBalance(airdropContract.address))).should.be.bignumber.equal(contractBalanceBefore.sub(AMOUNT));
+            });
+
+            it("shouldn't transfer reward of a voucher twice", async () => {
+                await airdropContract.claimWithVoucher(tokenVoucher, { from: user1 });
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher(tokenVoucher, { from: user1 }),
+                    "Airdrop: voucher already used"
+                );
+            });
+
+            it("shouldn't transfer reward of a voucher that was already dropped", async () => {
+                await airdropContract.dropTokens(tokenVoucher);
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher(tokenVoucher, { from: user1 }),
+                    "Airdrop: voucher already used"
+                );
+            });
+
+            it("shouldn't transfer reward of a voucher to not the recipient", async () => {
+                await expectRevert(
+                    airdropContract.claimWithVoucher(tokenVoucher, { from: user2 }),
+                    "Airdrop: caller is not the recipient"
+                );
+            });
+
+            it("shouldn't transfer reward of a voucher if deadline of this message has expired", async () => {
+                expiredDeadline = Math.floor(Date.now() / 1000) - 1;
+                typedData = createTypedData(user1, AMOUNT.toString(), expiredDeadline, tevaToken.address);
+                sign = await EIP712.signTypedData(web3, deployer, typedData);
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher({ ...tokenVoucher, deadline: expiredDeadline, signature: sign.sig }, { from: user1 }),
+                    "Airdrop: deadline of this message has expired"
+                );
+            });
+
+            it("shouldn't transfer reward of a voucher if reward type in the message is invalid", async () => {
+                typedData = createTypedData(user1, AMOUNT.toString(), deadline, airdropContract.address);
+                sign = await EIP712.signTypedData(web3, deployer, typedData);
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher({ ...tokenVoucher, rewardType: airdropContract.address, nonce: 0, signature: sign.sig }, { from: user1 }),
+                    "Airdrop: invalid reward type in the message"
+                );
+            });
+
+            it("shouldn't transfer reward of a voucher if message wasn't signed by signer", async () => {
+                sign = await EIP712.signTypedData(web3, user1, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher({ ...tokenVoucher, signature: sign.sig }, { from: user1 }),
+                    "Airdrop: this message wasn't signed by signer"
+                );
+            });
+
+            it("shouldn't transfer tokens of a voucher if contract doesn't own enough tokens", async () => {
+                await airdropContract.withdrawTokens();
+
+                await expectRevert(
+                    airdropContract.claimWithVoucher(tokenVoucher, { from: user1 }),
+                    "Airdrop: contract doesn't own enough tokens"
+                );
+            });
+        });
+
+        describe("Reward Token Registry Test Cases 🪙", function () {
+
+            before(async function () {
+                secondToken = await TevaToken.new();
+                thirdToken = await TevaToken.new();
+                await airdropContract.addRewardToken(secondToken.address);
+
+                await tevaToken.mint(deployer, AMOUNT);
+                await tevaToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositTokens(AMOUNT);
+                await secondToken.mint(deployer, AMOUNT);
+                await secondToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositRewardTokens(secondToken.address, AMOUNT);
+
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, secondToken.address));
+                secondTokenDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: secondToken.address, nonce: 0, signature: sign.sig };
+                sign2 = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address, 1));
+                defaultTokenDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 1, signature: sign2.sig };
+
+                snapshotF = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotF.restore();
+            });
+
+            //addRewardToken
+            it("should register the default token on deploy", async () => {
+                (await airdropContract.getRewardTokens()).should.deep.equal([tevaToken.address, secondToken.address]);
+            });
+
+            it("should add a reward token", async () => {
+                receipt = await airdropContract.addRewardToken(thirdToken.address);
+                expectEvent(
+                    receipt,
+                    "AddRewardToken",
+                    {
+                        token: thirdToken.address
+                    }
+                );
+
+                (await airdropContract.rewardTokens(thirdToken.address)).should.equal(true);
+                (await airdropContract.getRewardTokens()).should.deep.equal([tevaToken.address, secondToken.address, thirdToken.address]);
+            });
+
+            it("shouldn't add a reward token from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.addRewardToken(thirdToken.address, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            it("shouldn't add a reward token twice", async () => {
+                await expectRevert(
+                    airdropContract.addRewardToken(secondToken.address),
+                    "Airdrop: token is already a reward token"
+                );
+            });
+
+            it("shouldn't add the zero address as a reward token", async () => {
+                await expectRevert(
+                    airdropContract.addRewardToken(constants.ZERO_ADDRESS),
+                    "Airdrop: token address is zero"
+                );
+            });
+
+            //removeRewardToken
+            it("should remove a reward token", async () => {
+                receipt = await airdropContract.removeRewardToken(secondToken.address);
+                expectEvent(
+                    receipt,
+                    "RemoveRewardToken",
+                    {
+                        token: secondToken.address
+                    }
+                );
+
+                (await airdropContract.rewardTokens(secondToken.address)).should.equal(false);
+                (await airdropContract.getRewardTokens()).should.deep.equal([tevaToken.address]);
+            });
+
+            it("shouldn't remove the default token", async () => {
+                await expectRevert(
+                    airdropContract.removeRewardToken(tevaToken.address),
+                    "Airdrop: can't remove the default token"
+                );
+            });
+
+            it("shouldn't remove a token that isn't a reward token", async () => {
+                await expectRevert(
+                    airdropContract.removeRewardToken(thirdToken.address),
+                    "Airdrop: token isn't a reward token"
+                );
+            });
+
+            //depositRewardTokens
+            it("should account deposits per token", async () => {
+                (await airdropContract.rewardTokenSupplies(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.rewardTokenSupplies(secondToken.address)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't deposit a token that isn't a reward token", async () => {
+                await thirdToken.mint(deployer, AMOUNT);
+                await thirdToken.approve(airdropContract.address, AMOUNT);
+
+                await expectRevert(
+                    airdropContract.depositRewardTokens(thirdToken.address, AMOUNT),
+                    "Airdrop: token isn't a reward token"
+                );
+            });
+
+            //drop
+            it("should drop and claim several tokens in one batch", async () => {
+                receipt = await airdropContract.drop([secondTokenDrop, defaultTokenDrop]);
+                expectEvent(
+                    receipt,
+                    "DropRewardTokens",
+                    {
+                        to: user1,
+                        token: secondToken.address,
+                        amount: AMOUNT
+                    }
+                );
+
+                (await airdropContract.rewardTokenBalances(secondToken.address, user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+
+                receipt = await airdropContract.claimRewardTokens(secondToken.address, { from: user1 });
+                expectEvent(
+                    receipt,
+                    "ClaimRewardTokens",
+                    {
+                        to: user1,
+                        token: secondToken.address,
+                        amount: AMOUNT
+                    }
+                );
+                await airdropContract.claimTokens({ from: user1 });
+
+                (await secondToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.rewardTokenSupplies(secondToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should keep the original events of the default token", async () => {
+                receipt = await airdropContract.drop([secondTokenDrop, defaultTokenDrop]);
+                expectEvent(receipt, "DropTokens", { to: user1, amount: AMOUNT });
+                topics(receipt).should.include(web3.utils.keccak256("DropTokens(address,uint256)"));
+                topics(receipt).should.include(web3.utils.keccak256("DropRewardTokens(address,address,uint256)"));
+
+                receipt = await airdropContract.claimTokens({ from: user1 });
+                expectEvent(receipt, "ClaimTokens", { to: user1, amount: AMOUNT });
+                topics(receipt).should.deep.equal([web3.utils.keccak256("Transfer(address,address,uint256)"), web3.utils.keccak256("ClaimTokens(address,uint256)")]);
+            });
+
+            it("shouldn't drop a removed reward token", async () => {
+                await airdropContract.removeRewardToken(secondToken.address);
+
+                await expectRevert(
+                    airdropContract.dropTokens(secondTokenDrop),
+                    "Airdrop: invalid reward type in the message"
+                );
+            });
+
+            it("should claim dropped tokens and withdraw the deposit of a removed reward token", async () => {
+                await airdropContract.dropTokens(secondTokenDrop);
+                await airdropContract.removeRewardToken(secondToken.address);
+
+                await airdropContract.claimRewardTokens(secondToken.address, { from: user1 });
+                (await secondToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+
+                await secondToken.mint(airdropContract.address, AMOUNT);
+                receipt = await airdropContract.withdrawRewardTokens(secondToken.address);
+                expectEvent(
+                    receipt,
+                    "WithdrawRewardTokens",
+                    {
+                        to: deployer,
+                        token: secondToken.address,
+                        amount: AMOUNT
+                    }
+                );
+            });
+
+            //claimWithVoucher
+            it("should transfer a registered token of a voucher", async () => {
+                await airdropContract.claimWithVoucher(secondTokenDrop, { from: user1 });
+
+                (await secondToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.rewardTokenSupplies(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            //claimWithProof
+            it("should transfer a registered token of a merkle claim", async () => {
+                tree = new MerkleTree([{ recipient: user2, amount: AMOUNT, rewardType: secondToken.address }]);
+                await airdropContract.createMerkleCampaign(tree.getRoot());
+
+                await airdropContract.claimWithProof(0, 0, AMOUNT, secondToken.address, tree.getProof(0), { from: user2 });
+                (await secondToken.balanceOf(user2)).should.be.bignumber.equal(AMOUNT);
+            });
+        });
+
+        describe("Pause Test Cases ⏸️", function () {
+
+            const CLAIM_WINDOW = 100;
+
+            // entry points stopped by pause, `setUp` runs before the contract is paused
+            const PAUSABLE = [
+                { name: "drop", call: () => airdropContract.drop([tokenDrop, etherDrop]) },
+                { name: "dropTokens", call: () => airdropContract.dropTokens(tokenDrop) },
+                { name: "dropEther", call: () => airdropContract.dropEther(etherDrop) },
+                { name: "dropVestedTokens", call: () => airdropContract.dropVestedTokens(vestingDrop) },
+                { name: "createMerkleCampaign", call: () => airdropContract.createMerkleCampaign(tree.getRoot()) },
+                { name: "claimTokens", setUp: () => airdropContract.dropTokens(tokenDrop), call: () => airdropContract.claimTokens({ from: user1 }) },
+                { name: "claimRewardTokens", setUp: () => airdropContract.dropTokens(tokenDrop), call: () => airdropContract.claimRewardTokens(tevaToken.address, { from: user1 }) },
+                { name: "claimEther", setUp: () => airdropContract.dropEther(etherDrop), call: () => airdropContract.claimEther({ from: user1 }) },
+                { name: "claimTo", setUp: () => airdropContract.dropTokens(tokenDrop), call: () => airdropContract.claimTo(user2, { from: user1 }) },
+                { name: "claimAll", setUp: () => airdropContract.dropTokens(tokenDrop), call: () => airdropContract.claimAll({ from: user1 }) },
+                { name: "claimWithProof", setUp: () => airdropContract.createMerkleCampaign(tree.getRoot()), call: () => airdropContract.claimWithProof(0, 0, AMOUNT, tevaToken.address, tree.getProof(0), { from: user1 }) },
+                { name: "claimWithVoucher", call: () => airdropContract.claimWithVoucher(tokenDrop, { from: user1 }) },
+                { name: "claimFor", setUp: () => airdropContract.dropTokens(tokenDrop), call: async () => airdropContract.claimFor(await signClaimRequest(user1, { rewardType: tevaToken.address, fee: 0, nonce: 0, deadline: deadline }), { from: user2 }) }
+            ];
+
+            // owner recovery, administration and views keep working while paused, new entry points join one of the tables
+            const UNPAUSABLE = [
+                { name: "depositTokens", call: () => airdropContract.depositTokens(AMOUNT) },
+                { name: "depositTokensWithPermit", call: async () => {
+                    sign = await signPermit(deployer, AMOUNT, deadline);
+                    await airdropContract.depositTokensWithPermit(AMOUNT, deadline, sign.v, sign.r, sign.s);
+                } },
+                { name: "depositRewardTokens", setUp: () => airdropContract.addRewardToken(secondToken.address), call: () => airdropContract.depositRewardTokens(secondToken.address, AMOUNT) },
+                { name: "depositEther", call: () => airdropContract.depositEther({ from: deployer, value: AMOUNT }) },
+                { name: "withdrawTokens", call: () => airdropContract.withdrawTokens() },
+                { name: "withdrawRewardTokens", call: () => airdropContract.withdrawRewardTokens(tevaToken.address) },
+                { name: "withdrawEther", call: () => airdropContract.withdrawEther() },
+                { name: "addRewardToken", call: () => airdropContract.addRewardToken(secondToken.address) },
+                { name: "removeRewardToken", setUp: () => airdropContract.addRewardToken(secondToken.address), call: () => airdropContract.removeRewardToken(secondToken.address) },
+                { name: "updateTokenAddress", call: () => airdropContract.updateTokenAddress(secondToken.address) },
+                { name: "setClaimWindow", call: () => airdropContract.setClaimWindow(CLAIM_WINDOW) },
+                { name: "setMintOnClaim", call: () => airdropContract.setMintOnClaim(true) },
+                { name: "sweepExpired", setUp: expireTokenDrop, call: () => airdropContract.sweepExpired(tevaToken.address, [user1]) },
+                { name: "setGuardian", call: () => airdropContract.setGuardian(user2) },
+                { name: "setSigner", call: () => airdropContract.setSigner(user2, 0) },
+                { name: "transferOwnership", call: () => airdropContract.transferOwnership(user2) },
+                { name: "renounceOwnership", call: () => airdropContract.renounceOwnership() },
+                { name: "isSigner", call: async () => (await airdropContract.isSigner(deployer)).should.equal(true) },
+                { name: "checkSign", call: async () => (await airdropContract.checkSign(tokenDrop)).should.equal(true) },
+                { name: "solvency", call: () => airdropContract.solvency(tevaToken.address) },
+                { name: "vestingOf", call: () => airdropContract.vestingOf(tevaToken.address, user1) },
+                { name: "getVestingSchedules", call: () => airdropContract.getVestingSchedules(tevaToken.address, user1) },
+                { name: "isClaimed", setUp: () => airdropContract.createMerkleCampaign(tree.getRoot()), call: () => airdropContract.isClaimed(0, 0) },
+                { name: "getRewardTokens", call: () => airdropContract.getRewardTokens() },
+                { name: "totalTokenSupply", call: () => airdropContract.totalTokenSupply() },
+                { name: "tokenBalances", call: () => airdropContract.tokenBalances(user1) }
+            ];
+
+            before(async function () {
+                secondToken = await TevaToken.new();
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(4)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(4)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+                await secondToken.mint(deployer, AMOUNT);
+                await secondToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT.mul(new BN(2)) });
+                await airdropContract.setGuardian(user3);
+
+                deadline = Number(await time.latest()) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                tokenDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig };
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS, 1));
+                etherDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 1, signature: sign.sig };
+                vesting = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 2, start: deadline, cliff: 0, duration: 1000 };
+                sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createVestingTypedData(chainId, airdropContract.address, vesting));
+                vestingDrop = { ...vesting, signature: sign.sig };
+                tree = new MerkleTree([{ recipient: user1, amount: AMOUNT, rewardType: tevaToken.address }]);
+
+                snapshotJ = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotJ.restore();
+            });
+
+            //setGuardian
+            it("should set the guardian", async () => {
+                receipt = await airdropContract.setGuardian(user2);
+                expectEvent(
+                    receipt,
+                    "UpdateGuardian",
+                    {
+                        guardian: user2
+                    }
+                );
+                (await airdropContract.guardian()).should.equal(user2);
+            });
+
+            it("should make the deployer the first guardian", async () => {
+                anotherAirdropContract = await AirdropContract.new(tevaToken.address, { from: user2 });
+                (await anotherAirdropContract.guardian()).should.equal(user2);
+            });
+
+            it("shouldn't set the guardian from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.setGuardian(user3, { from: user3 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            //pause
+            it("should pause by the guardian", async () => {
+                receipt = await airdropContract.pause({ from: user3 });
+                expectEvent(
+                    receipt,
+                    "Paused",
+                    {
+                        account: user3
+                    }
+                );
+                (await airdropContract.paused()).should.equal(true);
+            });
+
+            it("shouldn't pause by the owner", async () => {
+                await expectRevert(
+                    airdropContract.pause({ from: deployer }),
+                    "Airdrop: caller is not the guardian"
+                );
+            });
+
+            it("shouldn't pause twice", async () => {
+                await airdropContract.pause({ from: user3 });
+                await expectRevert(
+                    airdropContract.pause({ from: user3 }),
+                    "Pausable: paused"
+                );
+            });
+
+            //unpause
+            it("should unpause by the guardian and accept claims again", async () => {
+                await airdropContract.dropTokens(tokenDrop);
+                await airdropContract.pause({ from: user3 });
+
+                receipt = await airdropContract.unpause({ from: user3 });
+                expectEvent(
+                    receipt,
+                    "Unpaused",
+                    {
+                        account: user3
+                    }
+                );
+                await airdropContract.claimTokens({ from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't unpause by the owner", async () => {
+                await airdropContract.pause({ from: user3 });
+                await expectRevert(
+                    airdropContract.unpause({ from: deployer }),
+                    "Airdrop: caller is not the guardian"
+                );
+            });
+
+            it("shouldn't unpause if not paused", async () => {
+                await expectRevert(
+                    airdropContract.unpause({ from: user3 }),
+                    "Pausable: not paused"
+                );
+            });
+
+            it("should keep a voucher usable after a paused claim", async () => {
+                await airdropContract.pause({ from: user3 });
+                await expectRevert(
+                    airdropContract.claimWithVoucher(tokenDrop, { from: user1 }),
+                    "Pausable: paused"
+                );
+                await airdropContract.unpause({ from: user3 });
+
+                await airdropContract.claimWithVoucher(tokenDrop, { from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("should list every state-changing entry point in the pause tables", async () => {
+                const listed = [...PAUSABLE, ...UNPAUSABLE].map(entryPoint => entryPoint.name).concat(["pause", "unpause"]);
+                AirdropContract.abi
+                    .filter(item => item.type === "function" && !["view", "pure"].includes(item.stateMutability))
+                    .map(item => item.name)
+                    .filter(name => !listed.includes(name))
+                    .should.deep.equal([]);
+            });
+
+            for (const entryPoint of PAUSABLE) {
+                it(`should call ${entryPoint.name} while unpaused`, async () => {
+                    await setUp(entryPoint);
+                    await entryPoint.call();
+                });
+
+                it(`shouldn't call ${entryPoint.name} while paused`, async () => {
+                    await setUp(entryPoint);
+                    await airdropContract.pause({ from: user3 });
+                    await expectRevert(
+                        entryPoint.call(),
+                        "Pausable: paused"
+                    );
+                });
+            }
+
+            for (const entryPoint of UNPAUSABLE) {
+                it(`should call ${entryPoint.name} while unpaused`, async () => {
+                    await setUp(entryPoint);
+                    await entryPoint.call();
+                });
+
+                it(`should call ${entryPoint.name} while paused`, async () => {
+                    await setUp(entryPoint);
+                    await airdropContract.pause({ from: user3 });
+                    await entryPoint.call();
+                });
+            }
+
+            async function setUp(entryPoint) {
+                if (entryPoint.setUp) {
+                    await entryPoint.setUp();
+                }
+            }
+
+            async function expireTokenDrop() {
+                await airdropContract.setClaimWindow(CLAIM_WINDOW);
+                await airdropContract.dropTokens(tokenDrop);
+                await time.increase(CLAIM_WINDOW + 1);
+            }
+        });
+
+        describe("Signer Rotation Test Cases 🔑", function () {
+
+            const GRACE_PERIOD = 1000;
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+
+                deadline = Number(await time.latest()) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                oldSignerDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig };
+                sign = await EIP712.signTypedData(web3, user3, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address, 1));
+                newSignerDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 1, signature: sign.sig };
+
+                snapshotK = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotK.restore();
+            });
+
+            //setSigner
+            it("should make the deployer the first signer", async () => {
+                (await airdropContract.signer()).should.equal(deployer);
+                (await airdropContract.isSigner(deployer)).should.equal(true);
+            });
+
+            it("should set the signer", async () => {
+                receipt = await airdropContract.setSigner(user3, GRACE_PERIOD);
+                timestamp = (await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp;
+                expectEvent(
+                    receipt,
+                    "SignerUpdated",
+                    {
+                        previousSigner: deployer,
+                        newSigner: user3,
+                        previousSignerExpiry: new BN(timestamp + GRACE_PERIOD)
+                    }
+                );
+
+                (await airdropContract.signer()).should.equal(user3);
+                (await airdropContract.previousSigner()).should.equal(deployer);
+            });
+
+            it("shouldn't set the signer from the non-current owner", async () => {
+                await expectRevert(
+                    airdropContract.setSigner(user3, 0, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            it("shouldn't set the zero address as signer", async () => {
+                await expectRevert(
+                    airdropContract.setSigner(constants.ZERO_ADDRESS, 0),
+                    "Airdrop: signer is the zero address"
+                );
+            });
+
+            it("should accept vouchers of the new signer", async () => {
+                await airdropContract.setSigner(user3, 0);
+
+                (await airdropContract.checkSign(newSignerDrop)).should.equal(true);
+                await airdropContract.dropTokens(newSignerDrop);
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't accept vouchers of the previous signer without a grace period", async () => {
+                await airdropContract.setSigner(user3, 0);
+
+                (await airdropContract.checkSign(oldSignerDrop)).should.equal(false);
+                await expectRevert(
+                    airdropContract.claimWithVoucher(oldSignerDrop, { from: user1 }),
+                    "Airdrop: this message wasn't signed by signer"
+                );
+            });
+
+            it("should accept vouchers of the previous signer until the grace period ends", async () => {
+                await airdropContract.setSigner(user3, GRACE_PERIOD);
+                (await airdropContract.checkSign(oldSignerDrop)).should.equal(true);
+                (await airdropContract.checkSign(newSignerDrop)).should.equal(true);
+
+                await time.increase(GRACE_PERIOD);
+                (await airdropContract.checkSign(oldSignerDrop)).should.equal(false);
+                (await airdropContract.checkSign(newSignerDrop)).should.equal(true);
+            });
+
+            it("should end the grace period of an earlier signer on the next rotation", async () => {
+                await airdropContract.setSigner(user3, GRACE_PERIOD);
+                await airdropContract.setSigner(user2, GRACE_PERIOD);
+
+                (await airdropContract.isSigner(deployer)).should.equal(false);
+                (await airdropContract.isSigner(user3)).should.equal(true);
+                (await airdropContract.isSigner(user2)).should.equal(true);
+            });
+
+            it("should keep vouchers valid when the ownership is transferred", async () => {
+                await airdropContract.setSigner(user3, 0);
+                await airdropContract.transferOwnership(user2);
+
+                (await airdropContract.checkSign(newSignerDrop)).should.equal(true);
+                await airdropContract.claimWithVoucher(newSignerDrop, { from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+        });
+
+        describe("Contract Signer Test Cases 🔏", function () {
+
+            before(async function () {
+                owners = [web3.eth.accounts.create(), web3.eth.accounts.create(), web3.eth.accounts.create()]
+                    .map(account => new EIP712Signer.Signer(account.privateKey));
+                wallet = await ERC1271WalletMock.new(owners.map(owner => owner.address), 2);
+
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+                await airdropContract.setSigner(wallet.address, 0);
+
+                deadline = Number(await time.latest()) + 10000;
+                drop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0 };
+                digest = EIP712Signer.hashDrop(chainId, airdropContract.address, drop);
+
+                snapshotL = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotL.restore();
+            });
+
+            //dropTokens
+            it("should accept a drop signed by enough owners of the signer wallet", async () => {
+                signature = EIP712Signer.combineSignatures(digest, [owners[2].signDigest(digest), owners[0].signDigest(digest)]);
+
+                (await airdropContract.checkSign({ ...drop, signature: signature })).should.equal(true);
+                await airdropContract.dropTokens({ ...drop, signature: signature });
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't accept a drop signed by too few owners of the signer wallet", async () => {
+                await expectRevert(
+                    airdropContract.dropTokens({ ...drop, signature: owners[0].signDigest(digest) }),
+                    "Airdrop: this message wasn't signed by signer"
+                );
+            });
+
+            it("shouldn't accept a drop signed by an account that doesn't own the signer wallet", async () => {
+                stranger = new EIP712Signer.Signer(web3.eth.accounts.create().privateKey);
+                signature = EIP712Signer.combineSignatures(digest, [owners[0].signDigest(digest), stranger.signDigest(digest)]);
+
+                (await airdropContract.checkSign({ ...drop, signature: signature })).should.equal(false);
+            });
+
+            it("shouldn't accept a drop signed by the deployer after the signer was rotated", async () => {
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+
+                (await airdropContract.checkSign({ ...drop, signature: sign.sig })).should.equal(false);
+            });
+
+            //claimWithVoucher
+            it("should transfer tokens of a voucher signed by the signer wallet", async () => {
+                voucher = owners[1].cosignDrop(chainId, airdropContract.address, owners[0].signDrop(chainId, airdropContract.address, drop));
+
+                await airdropContract.claimWithVoucher(voucher, { from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            //dropVestedTokens
+            it("should add a vesting schedule signed by the signer wallet", async () => {
+                vesting = { ...drop, start: deadline, cliff: 0, duration: 1000 };
+                vestingDrop = owners[2].cosignDrop(chainId, airdropContract.address, owners[1].signVestingDrop(chainId, airdropContract.address, vesting));
+
+                await airdropContract.dropVestedTokens(vestingDrop);
+                (await airdropContract.getVestingSchedules(tevaToken.address, user1)).length.should.equal(1);
+            });
+
+            //setSigner
+            it("should accept drops of the previous wallet signer during the grace period", async () => {
+                signature = EIP712Signer.combineSignatures(digest, [owners[0].signDigest(digest), owners[1].signDigest(digest)]);
+                await airdropContract.setSigner(user3, 1000);
+
+                (await airdropContract.checkSign({ ...drop, signature: signature })).should.equal(true);
+            });
+        });
+
+        describe("Relayed Claim Test Cases 🛰️", function () {
+
+            const FEE = new BN("1000");
+
+            before(async function () {
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+
+                deadline = Number(await time.latest()) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS, 1));
+                await airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 1, signature: sign.sig });
+
+                tokenRequest = await signClaimRequest(user1, { rewardType: tevaToken.address, fee: FEE, nonce: 0, deadline: deadline });
+                etherRequest = await signClaimRequest(user1, { rewardType: constants.ZERO_ADDRESS, fee: FEE, nonce: 0, deadline: deadline });
+
+                snapshotM = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotM.restore();
+            });
+
+            //claimFor
+            it("should claim tokens for the recipient and pay the fee to the relayer", async () => {
+                receipt = await airdropContract.claimFor(tokenRequest, { from: user3 });
+                expectEvent(
+                    receipt,
+                    "ClaimTokens",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+                expectEvent(
+                    receipt,
+                    "RelayClaim",
+                    {
+                        to: user1,
+                        rewardType: tevaToken.address,
+                        relayer: user3,
+                        fee: FEE,
+                        nonce: ZERO_AMOUNT
+                    }
+                );
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT.sub(FEE));
+                (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(FEE);
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.claimNonces(user1)).should.be.bignumber.equal(new BN(1));
+            });
+
+            it("should claim ether for the recipient and pay the fee to the relayer", async () => {
+                recipientBalance = new BN(await web3.eth.getBalance(user1));
+
+                receipt = await airdropContract.claimFor(etherRequest, { from: user3 });
+                expectEvent(
+                    receipt,
+                    "ClaimEther",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+
+                (new BN(await web3.eth.getBalance(user1))).should.be.bignumber.equal(recipientBalance.add(AMOUNT).sub(FEE));
+                (await airdropContract.etherBalances(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should claim without a fee", async () => {
+                request = await signClaimRequest(user1, { rewardType: tevaToken.address, fee: 0, nonce: 0, deadline: deadline });
+                await airdropContract.claimFor(request, { from: user3 });
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("shouldn't use a request twice", async () => {
+                await airdropContract.claimFor(tokenRequest, { from: user3 });
+
+                await expectRevert(
+                    airdropContract.claimFor(tokenRequest, { from: user3 }),
+                    "Airdrop: invalid nonce of the request"
+                );
+            });
+
+            it("should take the next nonce for the next request", async () => {
+                await airdropContract.claimFor(tokenRequest, { from: user3 });
+                etherRequest = await signClaimRequest(user1, { rewardType: constants.ZERO_ADDRESS, fee: FEE, nonce: 1, deadline: deadline });
+
+                await airdropContract.claimFor(etherRequest, { from: user2 });
+                (await airdropContract.claimNonces(user1)).should.be.bignumber.equal(new BN(2));
+            });
+
+            it("shouldn't claim if the deadline of the request has expired", async () => {
+                request = await signClaimRequest(user1, { rewardType: tevaToken.address, fee: FEE, nonce: 0, deadline: Number(await time.latest()) - 1 });
+
+                await expectRevert(
+                    airdropContract.claimFor(request, { from: user3 }),
+                    "Airdrop: deadline of this request has expired"
+                );
+            });
+
+            it("shouldn't claim if the request wasn't signed by the recipient", async () => {
+                request = await signClaimRequest(user2, { rewardType: tevaToken.address, fee: FEE, nonce: 0, deadline: deadline });
+
+                await expectRevert(
+                    airdropContract.claimFor({ ...request, recipient: user1 }, { from: user3 }),
+                    "Airdrop: this request wasn't signed by recipient"
+                );
+            });
+
+            it("shouldn't claim if the relayer raised the fee", async () => {
+                await expectRevert(
+                    airdropContract.claimFor({ ...tokenRequest, fee: FEE.mul(new BN(2)).toString() }, { from: user3 }),
+                    "Airdrop: this request wasn't signed by recipient"
+                );
+            });
+
+            it("shouldn't claim if the fee exceeds the claimed amount", async () => {
+                request = await signClaimRequest(user1, { rewardType: tevaToken.address, fee: AMOUNT.add(new BN(1)), nonce: 0, deadline: deadline });
+
+                await expectRevert(
+                    airdropContract.claimFor(request, { from: user3 }),
+                    "Airdrop: fee exceeds the claimed amount"
+                );
+            });
+
+            it("shouldn't claim if the recipient has nothing to claim", async () => {
+                request = await signClaimRequest(user2, { rewardType: tevaToken.address, fee: 0, nonce: 0, deadline: deadline });
+
+                await expectRevert(
+                    airdropContract.claimFor(request, { from: user3 }),
+                    "Airdrop: no tokens available"
+                );
+            });
+
+            it("should claim vested tokens for the recipient", async () => {
+                vesting = { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 2, start: 0, cliff: 0, duration: 1 };
+                sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createVestingTypedData(chainId, airdropContract.address, vesting));
+                await airdropContract.dropVestedTokens({ ...vesting, signature: sign.sig });
+                request = await signClaimRequest(user2, { rewardType: tevaToken.address, fee: FEE, nonce: 0, deadline: deadline });
+
+                await airdropContract.claimFor(request, { from: user3 });
+                (await tevaToken.balanceOf(user2)).should.be.bignumber.equal(AMOUNT.sub(FEE));
+            });
+        });
+
+        describe("Claim To Beneficiary Test Cases 📬", function () {
+
+            before(async function () {
+                secondToken = await TevaToken.new();
+                await airdropContract.addRewardToken(secondToken.address);
+                await tevaToken.mint(deployer, AMOUNT);
+                await tevaToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositTokens(AMOUNT);
+                await secondToken.mint(deployer, AMOUNT);
+                await secondToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositRewardTokens(secondToken.address, AMOUNT);
+                await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+
+                deadline = Number(await time.latest()) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig });
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, secondToken.address, 1));
+                await airdropContract.dropTokens({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: secondToken.address, nonce: 1, signature: sign.sig });
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS, 2));
+                await airdropContract.dropEther({ recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 2, signature: sign.sig });
+
+                snapshotN = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotN.restore();
+            });
+
+            //claimTo
+            it("should transfer every balance of the holder to the beneficiary", async () => {
+                beneficiaryBalance = new BN(await web3.eth.getBalance(user3));
+
+                receipt = await airdropContract.claimTo(user3, { from: user1 });
+                expectEvent(
+                    receipt,
+                    "ClaimRewardTokens",
+                    {
+                        to: user1,
+                        token: secondToken.address,
+                        amount: AMOUNT
+                    }
+                );
+                expectEvent(
+                    receipt,
+                    "ClaimEther",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+                for (const rewardType of [tevaToken.address, secondToken.address, constants.ZERO_ADDRESS]) {
+                    expectEvent(
+                        receipt,
+                        "ClaimToBeneficiary",
+                        {
+                            holder: user1,
+                            beneficiary: user3,
+                            rewardType: rewardType,
+                            amount: AMOUNT
+                        }
+                    );
+                }
+
+                (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(AMOUNT);
+                (await secondToken.balanceOf(user3)).should.be.bignumber.equal(AMOUNT);
+                (new BN(await web3.eth.getBalance(user3))).should.be.bignumber.equal(beneficiaryBalance.add(AMOUNT));
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.rewardTokenBalances(secondToken.address, user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.etherBalances(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.etherLiability()).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("shouldn't claim to the zero address", async () => {
+                await expectRevert(
+                    airdropContract.claimTo(constants.ZERO_ADDRESS, { from: user1 }),
+                    "Airdrop: beneficiary is the zero address"
+                );
+            });
+
+            it("shouldn't claim if the holder has nothing to claim", async () => {
+                await expectRevert(
+                    airdropContract.claimTo(user3, { from: user2 }),
+                    "Airdrop: nothing to claim"
+                );
+            });
+
+            it("should skip expired balances", async () => {
+                await airdropContract.setClaimWindow(100);
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user2, AMOUNT.toString(), deadline, constants.ZERO_ADDRESS, 3));
+                await airdropContract.dropEther({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: constants.ZERO_ADDRESS, nonce: 3, signature: sign.sig });
+                await time.increase(200);
+                await airdropContract.setClaimWindow(0);
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user2, AMOUNT.toString(), deadline, tevaToken.address, 4));
+                await airdropContract.dropTokens({ recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 4, signature: sign.sig });
+
+                receipt = await airdropContract.claimTo(user3, { from: user2 });
+                expectEvent.notEmitted(receipt, "ClaimEther");
+                (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.etherBalances(user2)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("should transfer vested tokens to the beneficiary", async () => {
+                vesting = { recipient: user2, amount: AMOUNT.toString(), deadline: deadline, rewardType: secondToken.address, nonce: 3, start: 0, cliff: 0, duration: 1 };
+                sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createVestingTypedData(chainId, airdropContract.address, vesting));
+                await airdropContract.dropVestedTokens({ ...vesting, signature: sign.sig });
+
+                receipt = await airdropContract.claimTo(user3, { from: user2 });
+                expectEvent(
+                    receipt,
+                    "ClaimToBeneficiary",
+                    {
+                        holder: user2,
+                        beneficiary: user3,
+                        rewardType: secondToken.address,
+                        amount: AMOUNT
+                    }
+                );
+                (await secondToken.balanceOf(user3)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            //claimAll
+            it("should transfer every balance of the holder to the holder", async () => {
+                receipt = await airdropContract.claimAll({ from: user1 });
+                expectEvent(
+                    receipt,
+                    "ClaimToBeneficiary",
+                    {
+                        holder: user1,
+                        beneficiary: user1,
+                        rewardType: constants.ZERO_ADDRESS,
+                        amount: AMOUNT
+                    }
+                );
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await secondToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.etherBalances(user1)).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should claim the remaining balances after a single claim", async () => {
+                await airdropContract.claimEther({ from: user1 });
+
+                receipt = await airdropContract.claimAll({ from: user1 });
+                expectEvent.notEmitted(receipt, "ClaimEther");
+                (await secondToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                await expectRevert(
+                    airdropContract.claimAll({ from: user1 }),
+                    "Airdrop: nothing to claim"
+                );
+            });
+        });
+
+        describe("Mint On Claim Test Cases 🏭", function () {
+
+            before(async function () {
+                minterRole = await tevaToken.MINTER_ROLE();
+                await tevaToken.grantRole(minterRole, airdropContract.address);
+
+                deadline = Number(await time.latest()) + 10000;
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, tevaToken.address));
+                tokenDrop = { recipient: user1, amount: AMOUNT.toString(), deadline: deadline, rewardType: tevaToken.address, nonce: 0, signature: sign.sig };
+
+                snapshotO = await snapshot();
+            });
+
+            after(async function () {
+                await snapshotB.restore();
+            });
+
+            afterEach(async function () {
+                await snapshotO.restore();
+            });
+
+            //setMintOnClaim
+            it("should enable minting on claim", async () => {
+                receipt = await airdropContract.setMintOnClaim(true);
+                expectEvent(
+                    receipt,
+                    "UpdateMintOnClaim",
+                    {
+                        enabled: true
+                    }
+                );
+
+                (await airdropContract.mintOnClaim()).should.equal(true);
+            });
+
+            it("shouldn't enable minting on claim by not the current owner", async () => {
+                await expectRevert(
+                    airdropContract.setMintOnClaim(true, { from: user1 }),
+                    "Ownable: caller is not the owner"
+                );
+            });
+
+            //claimTokens
+            it("should mint claimed tokens without a deposit", async () => {
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+                totalSupply = await tevaToken.totalSupply();
+
+                receipt = await airdropContract.claimTokens({ from: user1 });
+                expectEvent(
+                    receipt,
+                    "MintTokens",
+                    {
+                        token: tevaToken.address,
+                        amount: AMOUNT
+                    }
+                );
+                expectEvent(
+                    receipt,
+                    "ClaimTokens",
+                    {
+                        to: user1,
+                        amount: AMOUNT
+                    }
+                );
+
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+                (await tevaToken.totalSupply()).should.be.bignumber.equal(totalSupply.add(AMOUNT));
+                (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(ZERO_AMOUNT);
+                (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(ZERO_AMOUNT);
+            });
+
+            it("should keep deposits while minting claimed tokens", async () => {
+                await tevaToken.mint(deployer, AMOUNT);
+                await tevaToken.approve(airdropContract.address, AMOUNT);
+                await airdropContract.depositTokens(AMOUNT);
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+
+                await airdropContract.claimTokens({ from: user1 });
+                (await tevaToken.balanceOf(airdropContract.address)).should.be.bignumber.equal(AMOUNT);
+                (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("should keep the liability of a token minted on claim in the solvency and withdrawals", async () => {
+                await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+                await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+                await airdropContract.depositTokens(AMOUNT);
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+
+                result = await airdropContract.solvency(tevaToken.address);
+                result.liability.should.be.bignumber.equal(AMOUNT);
+                result.surplus.should.be.bignumber.equal(ZERO_AMOUNT);
+                await expectRevert(
+                    airdropContract.withdrawTokens(),
+                    "Airdrop: no surplus to withdraw"
+                );
+
+                await airdropContract.depositTokens(AMOUNT);
+                receipt = await airdropContract.withdrawTokens();
+                expectEvent(
+                    receipt,
+                    "WithdrawTokens",
+                    {
+                        amount: AMOUNT
+                    }
+                );
+                (await tevaToken.balanceOf(airdropContract.address)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("should transfer claimed tokens from deposits after minting was disabled", async () => {
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+                await airdropContract.setMintOnClaim(false);
+
+                await expectRevert(
+                    airdropContract.claimTokens({ from: user1 }),
+                    "Airdrop: contract doesn't own enough tokens"
+                );
+            });
+
+            it("should mint the fee of a relayed claim to the relayer", async () => {
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+                request = await signClaimRequest(user1, { rewardType: tevaToken.address, fee: 1000, nonce: 0, deadline: deadline });
+
+                await airdropContract.claimFor(request, { from: user3 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT.sub(new BN(1000)));
+                (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(new BN(1000));
+            });
+
+            it("should mint the tokens of a voucher", async () => {
+                await airdropContract.setMintOnClaim(true);
+
+                await airdropContract.claimWithVoucher(tokenDrop, { from: user1 });
+                (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("should claim up to the cap of the token", async () => {
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+                await tevaToken.mint(deployer, (await tevaToken.cap()).sub(await tevaToken.totalSupply()).sub(AMOUNT));
+
+                await airdropContract.claimTokens({ from: user1 });
+                (await tevaToken.totalSupply()).should.be.bignumber.equal(await tevaToken.cap());
+            });
+
+            it("shouldn't claim above the cap of the token", async () => {
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+                await tevaToken.mint(deployer, (await tevaToken.cap()).sub(await tevaToken.totalSupply()).sub(AMOUNT).add(new BN(1)));
+
+                await expectRevert(
+                    airdropContract.claimTokens({ from: user1 }),
+                    "ERC20Capped: cap exceeded"
+                );
+                (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+            });
+
+            it("shouldn't claim if the airdrop isn't a minter", async () => {
+                await tevaToken.revokeRole(minterRole, airdropContract.address);
+                await airdropContract.setMintOnClaim(true);
+                await airdropContract.dropTokens(tokenDrop);
+
+                await expectRevert(
+                    airdropContract.claimTokens({ from: user1 }),
+                    `AccessControl: account ${airdropContract.address.toLowerCase()} is missing role ${minterRole}`
+                );
+            });
+
+            it("shouldn't mint other reward tokens", async () => {
+                secondToken = await TevaToken.new();
+                await secondToken.grantRole(minterRole, airdropContract.address);
+                await airdropContract.addRewardToken(secondToken.address);
+                await airdropContract.setMintOnClaim(true);
+                sign = await EIP712.signTypedData(web3, deployer, createTypedData(user1, AMOUNT.toString(), deadline, secondToken.address, 1));
+                await airdropContract.dropTokens({ ...tokenDrop, rewardType: secondToken.address, nonce: 1, signature: sign.sig });
+
+                await expectRevert(
+                    airdropContract.claimRewardTokens(secondToken.address, { from: user1 }),
+                    "Airdrop: contract doesn't own enough tokens"
+                );
+            });
+        });
+
+        function createTypedData(recipient, amount, deadline, rewardType, nonce = 0){
+            return EIP712Signer.createTypedData(chainId, airdropContract.address, { recipient, amount, deadline, rewardType, nonce });
+        }
+
+        // Permit of the owner for the airdrop contract, signed by `from` over RPC
+        async function signPermit(from, value, deadline) {
+            const permit = { owner: deployer, spender: airdropContract.address, value: value.toString(), nonce: (await tevaToken.nonces(deployer)).toString(), deadline: deadline };
+            return EIP712.signTypedData(web3, from, EIP712Signer.createPermitTypedData(chainId, tevaToken.address, await tevaToken.name(), permit));
+        }
+
+        // topic0 of every log of the transaction, the hash of the event signature
+        function topics(receipt) {
+            return receipt.receipt.rawLogs.map(log => log.topics[0]);
+        }
+
+        async function signClaimRequest(recipient, request) {
+            const claimRequest = { recipient: recipient, rewardType: request.rewardType, fee: request.fee.toString(), nonce: request.nonce.toString(), deadline: request.deadline.toString() };
+            const sign = await EIP712.signTypedData(web3, recipient, EIP712Signer.createClaimRequestTypedData(chainId, airdropContract.address, claimRequest));
+            return { ...claimRequest, signature: sign.sig };
         }
     });
 });
\ No newline at end of file
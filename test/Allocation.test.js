@@ -0,0 +1,208 @@
+const {
+    BN,
+    constants
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const { Signer } = require("../scripts/utils/signer.js");
+const Allocation = require("../scripts/utils/allocation.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Allocation", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const NOW = 1700000000;
+    const DEADLINE = String(NOW + 1000);
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        options = { tokenAddress: tevaToken.address, units: "decimal", deadline: DEADLINE, now: NOW };
+    });
+
+    describe("Allocation Test Cases 📋", function () {
+
+        describe("Allocation Parsing Test Cases", function () {
+
+            it("should parse a csv allocation file", async () => {
+                rows = Allocation.parseAllocations(
+                    `# comment\nrecipient,amount,reward,deadline\n${user1},1.5,TEVA,\n\n"${user2}", 2 ,ether,${NOW + 5}\n`,
+                    "csv"
+                );
+
+                rows.should.deep.equal([
+                    { line: 3, recipient: user1, amount: "1.5", reward: "TEVA" },
+                    { line: 5, recipient: user2, amount: "2", reward: "ether", deadline: String(NOW + 5) }
+                ]);
+            });
+
+            it("should parse quoted csv values with commas and quotes", async () => {
+                rows = Allocation.parseAllocations(`recipient,amount,reward,note\n${user1},"1,5",TEVA,"say ""hi"", then go"\n`, "csv");
+                rows.should.deep.equal([{ line: 2, recipient: user1, amount: "1,5", reward: "TEVA", note: "say \"hi\", then go" }]);
+
+                (() => Allocation.parseAllocations(`recipient,amount,reward\n${user1},"1,5,TEVA\n`, "csv"))
+                    .should.throw("line 2: unterminated quoted value");
+            });
+
+            it("should parse a json allocation file", async () => {
+                rows = Allocation.parseAllocations(JSON.stringify([{ recipient: user1, amount: "1", reward: "ether" }]), "json");
+                rows.should.deep.equal([{ line: 1, recipient: user1, amount: "1", reward: "ether" }]);
+            });
+
+            it("shouldn't parse a json allocation file without an array", async () => {
+                (() => Allocation.parseAllocations("{}", "json")).should.throw("allocation file must contain a JSON array");
+            });
+
+            it("should parse decimal amounts", async () => {
+                Allocation.parseAmount("1.5").should.be.bignumber.equal(new BN("1500000000000000000"));
+                Allocation.parseAmount("0.000000000000000001").should.be.bignumber.equal(new BN(1));
+            });
+
+            it("should parse wei amounts", async () => {
+                Allocation.parseAmount("15", "wei").should.be.bignumber.equal(new BN(15));
+            });
+
+            it("shouldn't parse amounts with too many decimals", async () => {
+                (() => Allocation.parseAmount("0.0000000000000000001")).should.throw("amount has more than 18 decimals");
+            });
+
+            it("shouldn't parse numeric amounts rounded by JSON", async () => {
+                rows = Allocation.parseAllocations(`[{ "recipient": "${user1}", "amount": 12345678901234567890, "reward": "TEVA" }]`, "json");
+                (() => Allocation.parseAmount(rows[0].amount, "wei")).should.throw("amount is not a safe integer, write it as a string: 12345678901234567000");
+                (() => Allocation.parseAmount(1.5)).should.throw("amount is not a safe integer");
+                Allocation.parseAmount(15, "wei").should.be.bignumber.equal(new BN(15));
+                Allocation.toAllocations(rows, { ...options, units: "wei" }).rejected[0].reason.should.include("not a safe integer");
+            });
+
+            it("shouldn't parse fractional wei amounts", async () => {
+                (() => Allocation.parseAmount("1.5", "wei")).should.throw("invalid wei amount");
+            });
+
+            it("shouldn't parse zero or negative amounts", async () => {
+                (() => Allocation.parseAmount("0")).should.throw("amount is zero");
+                (() => Allocation.parseAmount("-1")).should.throw("invalid decimal amount");
+            });
+
+            it("shouldn't parse amounts above uint256", async () => {
+                (() => Allocation.parseAmount(constants.MAX_UINT256.add(new BN(1)).toString(), "wei")).should.throw("amount doesn't fit into uint256");
+            });
+        });
+
+        describe("Allocation Validation Test Cases", function () {
+
+            it("should turn rows into drops", async () => {
+                result = Allocation.toDrops([
+                    { line: 1, recipient: user1, amount: "1", reward: "TEVA" },
+                    { line: 2, recipient: user2, amount: "2", reward: "ether", deadline: String(NOW + 5) }
+                ], options);
+
+                result.rejected.should.deep.equal([]);
+                result.drops.should.deep.equal([
+                    {
+                        recipient: user1, amount: "1000000000000000000", deadline: DEADLINE, rewardType: tevaToken.address,
+                        nonce: Allocation.allocationNonce({ recipient: user1, amount: "1000000000000000000", rewardType: tevaToken.address })
+                    },
+                    {
+                        recipient: user2, amount: "2000000000000000000", deadline: String(NOW + 5), rewardType: constants.ZERO_ADDRESS,
+                        nonce: Allocation.allocationNonce({ recipient: user2, amount: "2000000000000000000", rewardType: constants.ZERO_ADDRESS })
+                    }
+                ]);
+            });
+
+            it("should take the nonce from the row or from the nonce base", async () => {
+                result = Allocation.toDrops([
+                    { line: 1, recipient: user1, amount: "1", reward: "TEVA", nonce: "77" },
+                    { line: 2, recipient: user1, amount: "1", reward: "TEVA" }
+                ], { ...options, nonceBase: "1000" });
+
+                result.drops[0].nonce.should.equal("77");
+                result.drops[1].nonce.should.not.equal(Allocation.toDrops([{ line: 2, recipient: user1, amount: "1", reward: "TEVA" }], options).drops[0].nonce);
+            });
+
+            it("should keep the nonce of a row that moved to another line", async () => {
+                rows = [
+                    { line: 1, recipient: user1, amount: "1", reward: "TEVA" },
+                    { line: 2, recipient: user2, amount: "2", reward: "TEVA" },
+                    { line: 3, recipient: user2, amount: "2", reward: "ether" }
+                ];
+                nonces = Allocation.toDrops(rows, options).drops.map(drop => drop.nonce);
+                new Set(nonces).size.should.equal(3);
+
+                moved = [{ ...rows[2], line: 1 }, { line: 2, recipient: user3, amount: "3", reward: "TEVA" }, { ...rows[0], line: 3 }];
+                Allocation.toDrops(moved, options).drops.map(drop => drop.nonce).should.deep.include.members([nonces[2], nonces[0]]);
+                Allocation.toDrops([{ ...rows[0], amount: "1.5" }], options).drops[0].nonce.should.not.equal(nonces[0]);
+
+                result = Allocation.toDrops([rows[0], { ...rows[0], line: 2 }, { ...rows[0], line: 3, nonce: "5" }], options);
+                result.drops.length.should.equal(2);
+                result.rejected.map(({ line, reason }) => [line, reason]).should.deep.equal([[2, "same voucher as line 1, set a nonce to pay both"]]);
+            });
+
+            it("should reject rows with the reason", async () => {
+                result = Allocation.toDrops([
+                    { line: 1, recipient: user1.toLowerCase(), amount: "1", reward: "TEVA" },
+                    { line: 2, recipient: "0x1234", amount: "1", reward: "TEVA" },
+                    { line: 3, recipient: constants.ZERO_ADDRESS, amount: "1", reward: "TEVA" },
+                    { line: 4, recipient: user1, amount: "1", reward: "DAI" },
+                    { line: 5, recipient: user1, amount: "abc", reward: "TEVA" },
+                    { line: 6, recipient: user1, amount: "1", reward: "TEVA", deadline: String(NOW) },
+                    { line: 7, recipient: user1, amount: "1", reward: "TEVA", nonce: "-1" }
+                ], options);
+
+                result.drops.should.deep.equal([]);
+                result.rejected.map(rejection => rejection.line).should.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+                result.rejected.map(rejection => rejection.reason).should.deep.equal([
+                    `recipient address is not checksummed: "${user1.toLowerCase()}"`,
+                    "invalid recipient address: \"0x1234\"",
+                    "recipient is the zero address",
+                    "unknown reward type: \"DAI\"",
+                    "invalid decimal amount: \"abc\"",
+                    `deadline has already passed: ${NOW}`,
+                    "invalid nonce: \"-1\""
+                ]);
+            });
+
+            it("should resolve reward tokens of the registry by symbol or address", async () => {
+                rewardTokens = [
+                    { address: tevaToken.address, symbol: "TEVA", decimals: 18 },
+                    { address: user2, symbol: "USDC", decimals: 6 },
+                    { address: user3, symbol: "usdc", decimals: 6 }
+                ];
+                result = Allocation.toAllocations([
+                    { line: 1, recipient: user1, amount: "1.5", reward: user2.toLowerCase() },
+                    { line: 2, recipient: user1, amount: "1", reward: "teva" },
+                    { line: 3, recipient: user1, amount: "1", reward: "USDC" },
+                    { line: 4, recipient: user1, amount: "0.0000001", reward: user3 }
+                ], { ...options, rewardTokens: rewardTokens });
+
+                result.allocations.should.deep.equal([
+                    { recipient: user1, amount: "1500000", rewardType: user2 },
+                    { recipient: user1, amount: "1000000000000000000", rewardType: tevaToken.address }
+                ]);
+                result.rejected.map(rejection => rejection.reason).should.deep.equal([
+                    "ambiguous reward symbol: \"USDC\", use the token address",
+                    "amount has more than 6 decimals: \"0.0000001\""
+                ]);
+            });
+
+            it("should sign drops accepted by the contract", async () => {
+                signerAccount = web3.eth.accounts.create();
+                airdropContract = await AirdropContract.new(tevaToken.address);
+                await airdropContract.setSigner(signerAccount.address, 0);
+                chainId = await web3.eth.getChainId();
+
+                deadline = String(Math.floor(Date.now() / 1000) + 10000);
+                drops = Allocation.toDrops([{ line: 1, recipient: user1, amount: "1", reward: "TEVA" }], { ...options, deadline: deadline }).drops;
+                dropStruct = new Signer(signerAccount.privateKey).signDrop(chainId, airdropContract.address, drops[0]);
+
+                (await airdropContract.checkSign(dropStruct)).should.equal(true);
+            });
+        });
+    });
+});
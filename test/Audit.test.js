@@ -0,0 +1,120 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const EIP712 = require("./utils/eip712.js");
+const EIP712Signer = require("../scripts/utils/signer.js");
+const { MerkleTree } = require("../scripts/utils/merkle.js");
+const { fetchEvents, rebuildLedger, auditSolvency } = require("../scripts/utils/audit.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Audit", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        secondToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        await airdropContract.addRewardToken(secondToken.address);
+        chainId = await web3.eth.getChainId();
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+
+        for (const token of [tevaToken, secondToken]) {
+            await token.mint(deployer, AMOUNT.mul(new BN(4)));
+            await token.approve(airdropContract.address, AMOUNT.mul(new BN(4)));
+            await airdropContract.depositRewardTokens(token.address, AMOUNT.mul(new BN(4)));
+        }
+        await airdropContract.depositEther({ from: deployer, value: AMOUNT.mul(new BN(4)) });
+
+        await airdropContract.drop([
+            await signDrop(user1, AMOUNT, tevaToken.address, 0),
+            await signDrop(user2, AMOUNT, secondToken.address, 1),
+            await signDrop(user3, AMOUNT, constants.ZERO_ADDRESS, 2),
+            await signDrop(user1, AMOUNT, secondToken.address, 3)
+        ]);
+        await airdropContract.claimTokens({ from: user1 });
+        await airdropContract.claimEther({ from: user3 });
+        await airdropContract.claimWithVoucher(await signDrop(user2, AMOUNT, tevaToken.address, 4), { from: user2 });
+
+        tree = new MerkleTree([{ recipient: user3, amount: AMOUNT, rewardType: secondToken.address }]);
+        await airdropContract.createMerkleCampaign(tree.getRoot());
+        await airdropContract.claimWithProof(0, 0, AMOUNT, secondToken.address, tree.getProof(0), { from: user3 });
+
+        await airdropContract.withdrawRewardTokens(secondToken.address);
+        await airdropContract.withdrawEther();
+    });
+
+    describe("Audit Test Cases 🧾", function () {
+
+        it("should rebuild the on-chain accounting from events", async () => {
+            ledger = rebuildLedger(await fetchEvents(airdropContract, { step: 3 }));
+
+            ledger[tevaToken.address].supply.should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+            ledger[tevaToken.address].liability.should.be.bignumber.equal(new BN(0));
+            ledger[secondToken.address].supply.should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+            ledger[secondToken.address].liability.should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+            ledger[constants.ZERO_ADDRESS].supply.should.be.bignumber.equal(new BN(0));
+        });
+
+        it("should match the rebuilt ledger with the solvency of every asset", async () => {
+            rows = await auditSolvency(airdropContract, rebuildLedger(await fetchEvents(airdropContract)));
+
+            rows.map(row => row.asset).should.deep.equal(["ether", tevaToken.address, secondToken.address]);
+            rows.every(row => row.ok && row.solvent).should.equal(true);
+            rows[2].surplus.should.equal("0");
+        });
+
+        it("should take the default token of events without a token from UpdateTokenAddress", async () => {
+            events = (await fetchEvents(airdropContract)).filter(event => event.event !== "UpdateTokenAddress");
+
+            (() => rebuildLedger(events)).should.throw("Audit: DepositTokens before UpdateTokenAddress, the default token is unknown");
+            rebuildLedger(events, tevaToken.address)[tevaToken.address].supply.should.be.bignumber.equal(AMOUNT.mul(new BN(2)));
+        });
+
+        it("should report a mismatch if events are missing", async () => {
+            events = await fetchEvents(airdropContract);
+            rows = await auditSolvency(airdropContract, rebuildLedger(events.filter(event => event.event !== "DropEther")));
+
+            rows.find(row => row.asset === "ether").ok.should.equal(false);
+        });
+
+        it("should count tokens minted on claim and what can still be minted", async () => {
+            snapshotA = await snapshot();
+            await tevaToken.grantRole(await tevaToken.MINTER_ROLE(), airdropContract.address);
+            await airdropContract.setMintOnClaim(true);
+            await airdropContract.dropTokens(await signDrop(user3, AMOUNT.mul(new BN(5)), tevaToken.address, 5));
+
+            rows = await auditSolvency(airdropContract, rebuildLedger(await fetchEvents(airdropContract)));
+            row = rows.find(row => row.asset === tevaToken.address);
+            row.surplus.should.equal(AMOUNT.mul(new BN(-3)).toString());
+            row.mintable.should.equal((await tevaToken.cap()).sub(await tevaToken.totalSupply()).toString());
+            [row.ok, row.solvent].should.deep.equal([true, true]);
+
+            await airdropContract.claimTokens({ from: user3 });
+            rows = await auditSolvency(airdropContract, rebuildLedger(await fetchEvents(airdropContract)));
+            row = rows.find(row => row.asset === tevaToken.address);
+            [row.supply, row.liability, row.ok].should.deep.equal([AMOUNT.mul(new BN(2)).toString(), "0", true]);
+            rows.find(row => row.asset === secondToken.address).mintable.should.equal("0");
+            await snapshotA.restore();
+        });
+    });
+
+    async function signDrop(recipient, amount, rewardType, nonce) {
+        const drop = { recipient, amount, deadline, rewardType, nonce };
+        const sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createTypedData(chainId, airdropContract.address, drop));
+        return { recipient: recipient, amount: amount.toString(), deadline: deadline.toString(), rewardType: rewardType, nonce: nonce.toString(), signature: sign.sig };
+    }
+});
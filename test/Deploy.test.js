@@ -0,0 +1,162 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploymentBlock, loadDeployParams, setupAirdrop } = require("../scripts/utils/deploy.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Deploy", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const TEVA = new BN("1000000000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        fromBlock = await web3.eth.getBlockNumber();
+        paramsDir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+
+        params = {
+            initialMint: new BN(1000).mul(TEVA),
+            depositTokens: new BN(600).mul(TEVA),
+            depositEther: new BN(2).mul(TEVA),
+            signer: user1,
+            guardian: user3,
+            mintOnClaim: true
+        };
+        options = { from: deployer, tokenFromBlock: fromBlock - 1, airdropFromBlock: fromBlock, ownsToken: true };
+
+        snapshotA = await snapshot();
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Deployment Parameters Test Cases 📋", function () {
+
+        //loadDeployParams
+        it("should read the parameters of a network", async () => {
+            file = writeParams("ropsten.json", { token: tevaToken.address.toLowerCase(), initialMint: "1.5", depositEther: 2, guardian: user3, owner: user2, mintOnClaim: false });
+
+            loaded = loadDeployParams("ropsten-fork", file);
+            loaded.token.should.equal(tevaToken.address);
+            loaded.initialMint.should.be.bignumber.equal(TEVA.mul(new BN(3)).div(new BN(2)));
+            loaded.depositTokens.should.be.bignumber.equal(new BN(0));
+            loaded.depositEther.should.be.bignumber.equal(TEVA.mul(new BN(2)));
+            loaded.guardian.should.equal(user3);
+            loaded.owner.should.equal(user2);
+            loaded.mintOnClaim.should.equal(false);
+            (loaded.signer === undefined).should.equal(true);
+        });
+
+        it("should fall back to the environment without a parameter file", async () => {
+            loaded = loadDeployParams("network-without-parameters");
+
+            loaded.initialMint.should.be.bignumber.equal(new BN(0));
+            (loaded.owner === undefined).should.equal(true);
+        });
+
+        it("shouldn't read invalid parameters", async () => {
+            (() => loadDeployParams("x", writeParams("unknown.json", { depositToken: "1" })))
+                .should.throw("Deploy: unknown parameters in");
+            (() => loadDeployParams("x", writeParams("owner.json", { owner: constants.ZERO_ADDRESS })))
+                .should.throw(`Deploy: owner is not a valid address: "${constants.ZERO_ADDRESS}"`);
+            (() => loadDeployParams("x", writeParams("guardian.json", { guardian: "0x1234" })))
+                .should.throw("Deploy: guardian is not a valid address: \"0x1234\"");
+            (() => loadDeployParams("x", writeParams("amount.json", { depositEther: "-1" })))
+                .should.throw("invalid decimal amount: \"-1\"");
+            (() => loadDeployParams("x", writeParams("mint.json", { mintOnClaim: "yes" })))
+                .should.throw("Deploy: mintOnClaim must be true or false: \"yes\"");
+            (() => loadDeployParams("x", path.join(paramsDir, "missing.json")))
+                .should.throw("Deploy: parameter file");
+        });
+
+        //setupAirdrop
+        it("should run every step once", async () => {
+            await setupAirdrop(airdropContract, tevaToken, params, options);
+            block = await web3.eth.getBlockNumber();
+
+            (await tevaToken.balanceOf(deployer)).should.be.bignumber.equal(new BN(400).mul(TEVA));
+            (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(new BN(600).mul(TEVA));
+            (await web3.eth.getBalance(airdropContract.address)).should.equal(TEVA.mul(new BN(2)).toString());
+            (await airdropContract.signer()).should.equal(user1);
+            (await airdropContract.guardian()).should.equal(user3);
+            (await airdropContract.mintOnClaim()).should.equal(true);
+            (await tevaToken.hasRole(await tevaToken.MINTER_ROLE(), airdropContract.address)).should.equal(true);
+
+            logs = [];
+            await setupAirdrop(airdropContract, tevaToken, params, { ...options, log: message => logs.push(message) });
+            (await web3.eth.getBlockNumber()).should.equal(block);
+            logs.should.deep.equal(["mint: up to date", "deposit tokens: up to date", "deposit ether: up to date", "signer: up to date", "guardian: up to date", "mint on claim: up to date"]);
+        });
+
+        it("should only do what is left after a change of parameters", async () => {
+            await setupAirdrop(airdropContract, tevaToken, params, options);
+            await tevaToken.transfer(user3, new BN(400).mul(TEVA));
+
+            await setupAirdrop(airdropContract, tevaToken, { ...params, initialMint: new BN(1100).mul(TEVA), depositTokens: new BN(700).mul(TEVA) }, options);
+            (await tevaToken.balanceOf(deployer)).should.be.bignumber.equal(new BN(0));
+            (await airdropContract.totalTokenSupply()).should.be.bignumber.equal(new BN(700).mul(TEVA));
+        });
+
+        it("should hand the airdrop and the token roles over to the owner", async () => {
+            await setupAirdrop(airdropContract, tevaToken, { ...params, owner: user2 }, options);
+
+            (await airdropContract.owner()).should.equal(user2);
+            (await tevaToken.hasRole(await tevaToken.DEFAULT_ADMIN_ROLE(), user2)).should.equal(true);
+            (await tevaToken.hasRole(await tevaToken.DEFAULT_ADMIN_ROLE(), deployer)).should.equal(false);
+            (await tevaToken.hasRole(await tevaToken.MINTER_ROLE(), deployer)).should.equal(false);
+            block = await web3.eth.getBlockNumber();
+
+            await setupAirdrop(airdropContract, tevaToken, { ...params, owner: user2 }, options);
+            (await web3.eth.getBlockNumber()).should.equal(block);
+        });
+
+        it("shouldn't change the airdrop once it was handed over", async () => {
+            await setupAirdrop(airdropContract, tevaToken, { ...params, owner: user2 }, options);
+
+            await setupAirdrop(airdropContract, tevaToken, { ...params, owner: user2, signer: user3 }, options)
+                .should.be.rejectedWith(`Deploy: a new signer needs the deployer to own the airdrop, it is owned by ${user2}`);
+        });
+
+        it("shouldn't mint a token the deployer isn't a minter of", async () => {
+            await tevaToken.renounceRole(await tevaToken.MINTER_ROLE(), deployer);
+
+            await setupAirdrop(airdropContract, tevaToken, params, options)
+                .should.be.rejectedWith(`Deploy: deployer ${deployer} can't mint ${tevaToken.address}`);
+        });
+
+        //deploymentBlock
+        it("shouldn't count events without the block the contracts were deployed at", async () => {
+            await setupAirdrop(airdropContract, tevaToken, params, { ...options, airdropFromBlock: null })
+                .should.be.rejectedWith(`Deploy: the block ${airdropContract.address} was deployed at is unknown, can't count its DepositTokens events`);
+
+            reused = { contractName: "TevaToken", address: tevaToken.address, isDeployed: () => true };
+            manifest = { contracts: { TevaToken: { address: tevaToken.address, blockNumber: fromBlock - 1 } } };
+            (await deploymentBlock(web3, reused, manifest)).should.equal(fromBlock - 1);
+            (await deploymentBlock(web3, { ...reused, address: user1 }, manifest) === null).should.equal(true);
+            (await deploymentBlock(web3, reused) === null).should.equal(true);
+        });
+    });
+
+    function writeParams(name, content) {
+        const file = path.join(paramsDir, name);
+        fs.writeFileSync(file, JSON.stringify(content));
+        return file;
+    }
+});
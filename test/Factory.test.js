@@ -0,0 +1,137 @@
+const {
+    BN,
+    constants,
+    expectEvent,
+    expectRevert,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const { Signer } = require("../scripts/utils/signer.js");
+const { createCampaign, listCampaigns, campaignSigner } = require("../scripts/utils/factory.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const AirdropContractUpgradeable = artifacts.require("AirdropContractUpgradeable.sol");
+const AirdropFactory = artifacts.require("AirdropFactory.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("AirdropFactory", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+    const SIGNER_KEY = "0x" + "11".repeat(32);
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        otherToken = await TevaToken.new();
+        implementation = await AirdropContractUpgradeable.new();
+        factory = await AirdropFactory.new(implementation.address);
+        signer = new Signer(SIGNER_KEY);
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+
+        ({ campaign: firstAddress } = await createCampaign(factory, tevaToken.address, user1));
+        ({ campaign: secondAddress } = await createCampaign(factory, tevaToken.address, user2));
+        first = await AirdropContract.at(firstAddress);
+        second = await AirdropContract.at(secondAddress);
+
+        await tevaToken.mint(user1, AMOUNT);
+        await tevaToken.approve(first.address, AMOUNT, { from: user1 });
+        await first.depositTokens(AMOUNT, { from: user1 });
+        await first.setSigner(signer.address, 0, { from: user1 });
+
+        snapshotA = await snapshot();
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Airdrop Factory Test Cases 🏗️", function () {
+
+        //createCampaign
+        it("should create an initialized campaign for the owner", async () => {
+            receipt = await factory.createCampaign(otherToken.address, user3);
+            campaign = await AirdropContract.at(await factory.campaigns(2));
+
+            expectEvent(receipt, "CampaignCreated", { campaign: campaign.address, owner: user3, token: otherToken.address, index: new BN(2) });
+            (await campaign.owner()).should.equal(user3);
+            (await campaign.guardian()).should.equal(user3);
+            (await campaign.signer()).should.equal(user3);
+            (await campaign.token()).should.equal(otherToken.address);
+            (await factory.isCampaign(campaign.address)).should.equal(true);
+            (await factory.campaignsCount()).should.be.bignumber.equal(new BN(3));
+        });
+
+        it("shouldn't create a campaign by not the owner of the factory", async () => {
+            await expectRevert(
+                factory.createCampaign(tevaToken.address, user3, { from: user3 }),
+                "Ownable: caller is not the owner"
+            );
+        });
+
+        it("shouldn't create a campaign without a token or an owner", async () => {
+            await expectRevert(
+                factory.createCampaign(constants.ZERO_ADDRESS, user3),
+                "Airdrop: token address is zero"
+            );
+            await expectRevert(
+                factory.createCampaign(tevaToken.address, constants.ZERO_ADDRESS),
+                "Airdrop: owner is the zero address"
+            );
+        });
+
+        it("shouldn't initialize a campaign twice", async () => {
+            await expectRevert(
+                (await AirdropContractUpgradeable.at(first.address)).initialize(otherToken.address, user3, { from: user3 }),
+                "Initializable: contract is already initialized"
+            );
+        });
+
+        it("should keep the funds and settings of campaigns apart", async () => {
+            await first.setClaimWindow(1000, { from: user1 });
+
+            (await first.totalTokenSupply()).should.be.bignumber.equal(AMOUNT);
+            (await second.totalTokenSupply()).should.be.bignumber.equal(new BN(0));
+            (await second.claimWindow()).should.be.bignumber.equal(new BN(0));
+            (await second.signer()).should.equal(user2);
+            await expectRevert(
+                second.setClaimWindow(1000, { from: user1 }),
+                "Ownable: caller is not the owner"
+            );
+        });
+
+        //campaignSigner
+        it("should accept a voucher signed for the domain of the campaign only", async () => {
+            await second.setSigner(signer.address, 0, { from: user2 });
+            drop = (await campaignSigner(factory, signer, first.address)).signDrop({ recipient: user3, amount: AMOUNT, deadline, rewardType: tevaToken.address, nonce: 0 });
+
+            (await first.checkSign(drop)).should.equal(true);
+            (await second.checkSign(drop)).should.equal(false);
+            await first.claimWithVoucher(drop, { from: user3 });
+            (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(AMOUNT);
+        });
+
+        it("shouldn't bind the signer to a contract that isn't a campaign", async () => {
+            await campaignSigner(factory, signer, implementation.address)
+                .should.be.rejectedWith(`Factory: ${implementation.address} is not a campaign of ${factory.address}`);
+        });
+
+        //listCampaigns
+        it("should list campaigns by current owner and token", async () => {
+            await createCampaign(factory, otherToken.address, user1);
+            await second.transferOwnership(user1, { from: user2 });
+
+            (await factory.getCampaigns(1, 5)).should.deep.equal([second.address, await factory.campaigns(2)]);
+            (await factory.getCampaigns(3, 5)).should.deep.equal([]);
+            (await listCampaigns(factory, { owner: user1 }, { pageSize: 2 })).map(campaign => campaign.index).should.deep.equal([0, 1, 2]);
+            (await listCampaigns(factory, { owner: user1, token: tevaToken.address })).map(campaign => campaign.campaign).should.deep.equal([first.address, second.address]);
+            (await listCampaigns(factory, { owner: user2 })).should.deep.equal([]);
+        });
+    });
+});
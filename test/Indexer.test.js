@@ -0,0 +1,155 @@
+const {
+    BN,
+    constants,
+    snapshot,
+    time
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const EIP712 = require("./utils/eip712.js");
+const EIP712Signer = require("../scripts/utils/signer.js");
+const { Ledger, indexEvents, checkLedger, findExpiring, toCsv } = require("../scripts/utils/indexer.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Indexer", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+        fromBlock = await web3.eth.getBlockNumber();
+
+        await tevaToken.mint(deployer, AMOUNT.mul(new BN(3)));
+        await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(3)));
+        await airdropContract.depositTokens(AMOUNT.mul(new BN(3)));
+        await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+        await airdropContract.drop([
+            await signDrop(user1, AMOUNT, tevaToken.address, 0),
+            await signDrop(user2, AMOUNT, tevaToken.address, 1),
+            await signDrop(user2, AMOUNT, constants.ZERO_ADDRESS, 2)
+        ]);
+        await airdropContract.claimTokens({ from: user1 });
+        middleBlock = await web3.eth.getBlockNumber();
+
+        await airdropContract.claimWithVoucher(await signDrop(user3, AMOUNT, tevaToken.address, 3), { from: user3 });
+        await airdropContract.claimEther({ from: user2 });
+    });
+
+    beforeEach(async function () {
+        ledgerPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-")), "ledger.json");
+    });
+
+    describe("Indexer Test Cases 🗂️", function () {
+
+        it("should build the ledger of every recipient", async () => {
+            ledger = new Ledger(ledgerPath, chainId, airdropContract.address, fromBlock);
+            await indexEvents(airdropContract, ledger, { step: 4 });
+
+            ledger.rows().should.deep.equal([
+                { recipient: user1, asset: tevaToken.address, dropped: AMOUNT.toString(), claimed: AMOUNT.toString(), swept: "0", paid: "0", outstanding: "0" },
+                { recipient: user2, asset: tevaToken.address, dropped: AMOUNT.toString(), claimed: "0", swept: "0", paid: "0", outstanding: AMOUNT.toString() },
+                { recipient: user2, asset: "ether", dropped: AMOUNT.toString(), claimed: AMOUNT.toString(), swept: "0", paid: "0", outstanding: "0" },
+                { recipient: user3, asset: tevaToken.address, dropped: "0", claimed: "0", swept: "0", paid: AMOUNT.toString(), outstanding: "0" }
+            ]);
+            ledger.assets[tevaToken.address].should.deep.equal({ deposited: AMOUNT.mul(new BN(3)).toString(), withdrawn: "0" });
+            ledger.token.should.equal(tevaToken.address);
+            (await checkLedger(airdropContract, ledger)).should.deep.equal([]);
+        });
+
+        it("should continue from the last indexed block", async () => {
+            ledger = new Ledger(ledgerPath, chainId, airdropContract.address, fromBlock);
+            await indexEvents(airdropContract, ledger, { toBlock: middleBlock });
+            (await checkLedger(airdropContract, ledger)).should.deep.equal([]);
+
+            ledger = new Ledger(ledgerPath, chainId, airdropContract.address, fromBlock);
+            ledger.lastBlock.should.equal(middleBlock);
+            count = await indexEvents(airdropContract, ledger);
+
+            count.should.equal(3);
+            ledger.recipients[user2][constants.ZERO_ADDRESS].claimed.should.equal(AMOUNT.toString());
+            (await checkLedger(airdropContract, ledger)).should.deep.equal([]);
+        });
+
+        it("should report rows that don't match the on-chain balances", async () => {
+            ledger = new Ledger(ledgerPath, chainId, airdropContract.address, fromBlock);
+            await indexEvents(airdropContract, ledger);
+            ledger.recipients[user2][tevaToken.address].claimed = AMOUNT.toString();
+
+            mismatches = await checkLedger(airdropContract, ledger);
+            mismatches.map(mismatch => [mismatch.recipient, mismatch.onChain]).should.deep.equal([[user2, AMOUNT.toString()]]);
+        });
+
+        it("should export the ledger as csv", async () => {
+            ledger = new Ledger(ledgerPath, chainId, airdropContract.address, fromBlock);
+            await indexEvents(airdropContract, ledger);
+
+            toCsv(ledger.rows()).split("\n")[2].should.equal(`${user2},${tevaToken.address},${AMOUNT},0,0,0,${AMOUNT}`);
+        });
+
+        it("should list balances about to expire and account swept ones", async () => {
+            snapshotA = await snapshot();
+            await airdropContract.setClaimWindow(1000);
+            await airdropContract.drop([
+                await signDrop(user1, AMOUNT, tevaToken.address, 10),
+                await signDrop(user3, AMOUNT, constants.ZERO_ADDRESS, 11)
+            ]);
+            // vesting schedules never expire, user1 has half of them and user3 only them
+            await airdropContract.dropVestedTokens(await signVestingDrop(user1, AMOUNT.divn(2), 12));
+            await airdropContract.dropVestedTokens(await signVestingDrop(user3, AMOUNT.divn(2), 13));
+            await time.increase(500);
+
+            ledger = new Ledger(ledgerPath, chainId, airdropContract.address, fromBlock);
+            await indexEvents(airdropContract, ledger);
+            now = Number((await web3.eth.getBlock("latest")).timestamp);
+
+            (await findExpiring(airdropContract, ledger, { now: now, within: 100 })).should.deep.equal([]);
+            expiring = await findExpiring(airdropContract, ledger, { now: now, within: 600 });
+            expiring.map(row => [row.recipient, row.asset, row.expiring, row.expired]).should.deep.equal([
+                [user1, tevaToken.address, AMOUNT.toString(), false], [user3, "ether", AMOUNT.toString(), false]
+            ]);
+            expiring[0].outstanding.should.equal(AMOUNT.muln(3).divn(2).toString());
+
+            await time.increase(600);
+            await airdropContract.sweepExpired(tevaToken.address, [user1]);
+            await indexEvents(airdropContract, ledger);
+
+            ledger.recipients[user1][tevaToken.address].swept.should.equal(AMOUNT.toString());
+            (await checkLedger(airdropContract, ledger)).should.deep.equal([]);
+            await snapshotA.restore();
+        });
+
+        it("shouldn't use a ledger of another contract", async () => {
+            new Ledger(ledgerPath, chainId, airdropContract.address).save();
+
+            (() => new Ledger(ledgerPath, chainId, tevaToken.address)).should.throw("Indexer: ledger " + ledgerPath + " belongs to another contract");
+        });
+    });
+
+    async function signVestingDrop(recipient, amount, nonce) {
+        const now = (await web3.eth.getBlock("latest")).timestamp;
+        const drop = { recipient, amount, deadline, rewardType: tevaToken.address, nonce, start: now, cliff: 0, duration: 10000 };
+        const sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createVestingTypedData(chainId, airdropContract.address, drop));
+        return { ...drop, amount: amount.toString(), signature: sign.sig };
+    }
+
+    async function signDrop(recipient, amount, rewardType, nonce) {
+        const drop = { recipient, amount, deadline, rewardType, nonce };
+        const sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createTypedData(chainId, airdropContract.address, drop));
+        return { recipient: recipient, amount: amount.toString(), deadline: deadline.toString(), rewardType: rewardType, nonce: nonce.toString(), signature: sign.sig };
+    }
+});
@@ -0,0 +1,185 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const { Signer } = require("../scripts/utils/signer.js");
+const { formatAllocations, formatAmount, parseAllocations } = require("../scripts/utils/allocation.js");
+const { checkFunding, lintAllocations, parseCaps } = require("../scripts/utils/lint.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Lint", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const TEVA = new BN("1000000000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+        signer = new Signer("0x" + "22".repeat(32));
+        options = { tokenAddress: tevaToken.address, units: "decimal", airdropAddress: airdropContract.address };
+
+        await airdropContract.setSigner(signer.address, 0);
+        await tevaToken.mint(deployer, new BN(100).mul(TEVA));
+        await tevaToken.approve(airdropContract.address, new BN(100).mul(TEVA));
+
+        snapshotA = await snapshot();
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Allocation Linting Test Cases 🧹", function () {
+
+        //lintAllocations
+        it("should merge duplicate recipients of the same reward", async () => {
+            lint = lintAllocations(csv([
+                `${user1},1.5,TEVA,,`,
+                `${user2},2,TEVA,,`,
+                `${user1},0.25,teva,,`,
+                `${user1},1,ether,,`
+            ]), { ...options, merge: true });
+
+            lint.rows.map(row => [row.line, row.recipient, row.amount, row.reward]).should.deep.equal([
+                [2, user1, "1.75", "TEVA"], [3, user2, "2", "TEVA"], [5, user1, "1", "ether"]
+            ]);
+            lint.merged.should.deep.equal([{ lines: [2, 4], recipient: user1, rewardType: tevaToken.address, amount: new BN(175).mul(TEVA).divn(100).toString() }]);
+            lint.rejected.should.deep.equal([]);
+        });
+
+        it("should flag duplicate recipients without merging them", async () => {
+            rows = csv([`${user1},1,TEVA,,`, `${user1},2,TEVA,,`, `${user2},1,TEVA,,7`, `${user2},1,TEVA,,7`]);
+
+            lintAllocations(rows, options).rejected.map(({ line, reason }) => [line, reason]).should.deep.equal([
+                [3, "duplicate of line 2"], [5, "duplicate of line 4"]
+            ]);
+            // rows with the same nonce are the same voucher and are flagged even with merge
+            lintAllocations(rows, { ...options, merge: true }).rejected.map(({ line, reason }) => [line, reason]).should.deep.equal([
+                [5, "duplicate of line 4"]
+            ]);
+        });
+
+        it("should keep rows of another nonce or vesting schedule apart", async () => {
+            rows = parseAllocations([
+                "recipient,amount,reward,nonce,start,cliff,duration",
+                `${user1},1,TEVA,7,,,`,
+                `${user1},1,TEVA,8,,,`,
+                `${user2},1,TEVA,,1000,0,3600`,
+                `${user2},2,TEVA,,1000,600,3600`,
+                `${user2},2,TEVA,,1000,600,3600`
+            ].join("\n"), "csv");
+
+            lint = lintAllocations(rows, { ...options, merge: true });
+            lint.rejected.map(({ line, reason }) => [line, reason]).should.deep.equal([[6, "duplicate of line 5"]]);
+            lint.rows.map(row => row.line).should.deep.equal([2, 3, 4, 5]);
+            lint.merged.should.deep.equal([]);
+        });
+
+        it("should reject recipients that could never claim", async () => {
+            lint = lintAllocations(csv([
+                `${constants.ZERO_ADDRESS},1,TEVA,,`,
+                `${airdropContract.address},1,TEVA,,`,
+                `${tevaToken.address},1,ether,,`,
+                `${user1.toLowerCase()},1,TEVA,,`,
+                `${user2},1,TEVA,,`
+            ]), options);
+
+            lint.rejected.map(({ line, reason }) => [line, reason]).should.deep.equal([
+                [2, "recipient is the zero address"],
+                [3, "recipient is the airdrop contract"],
+                [4, "recipient is a reward token contract"],
+                [5, `recipient address is not checksummed: "${user1.toLowerCase()}"`]
+            ]);
+            lint.rows.map(row => row.recipient).should.deep.equal([user2]);
+        });
+
+        it("should reject amounts above the cap of a recipient", async () => {
+            caps = parseCaps("TEVA=2, ether=0.5", options);
+            caps[tevaToken.address].should.be.bignumber.equal(TEVA.muln(2));
+
+            lint = lintAllocations(csv([`${user1},1.5,TEVA,,`, `${user1},1,TEVA,,`, `${user2},2,TEVA,,`, `${user3},0.6,ether,,`]), { ...options, merge: true, caps });
+            lint.rejected.map(({ line, reason }) => [line, reason]).should.deep.equal([
+                [2, "amount 2.5 (lines 2, 3 merged) is above the cap of 2"],
+                [5, "amount 0.6 is above the cap of 0.5"]
+            ]);
+            lint.rows.map(row => row.recipient).should.deep.equal([user2]);
+            (() => parseCaps("TEVA:2", options)).should.throw("Lint: invalid cap \"TEVA:2\", expected reward=amount");
+        });
+
+        it("should total tokens and ether apart", async () => {
+            lint = lintAllocations(csv([`${user1},1.5,TEVA,,`, `${user2},1,ether,,`, `${user3},2,TEVA,,`, `${user3},0.5,eth,,`]), options);
+
+            lint.totals.should.deep.equal([
+                { rewardType: constants.ZERO_ADDRESS, recipients: 2, amount: TEVA.muln(3).divn(2).toString() },
+                { rewardType: tevaToken.address, recipients: 2, amount: TEVA.muln(7).divn(2).toString() }
+            ]);
+        });
+
+        it("should write a cleaned file that reads back the same", async () => {
+            lint = lintAllocations(csv([`${user1},1.5,TEVA,,`, `${user2},2,TEVA,,`, `${user1},0.5,TEVA,,`]), { ...options, merge: true });
+
+            written = formatAllocations(lint.rows, "csv");
+            written.split("\n")[0].should.equal("recipient,amount,reward");
+            lintAllocations(parseAllocations(written, "csv"), options).allocations.should.deep.equal(lint.allocations);
+            JSON.parse(formatAllocations(lint.rows, "json"))[0].should.deep.equal({ recipient: user1, amount: "2", reward: "TEVA" });
+            formatAmount("1500000000000000000").should.equal("1.5");
+            formatAmount("1500", "wei").should.equal("1500");
+        });
+
+        //checkFunding
+        it("should compare the totals with what the airdrop can pay", async () => {
+            await airdropContract.depositTokens(new BN(10).mul(TEVA));
+            await airdropContract.depositEther({ from: deployer, value: TEVA });
+            await airdropContract.dropTokens(signDrop(user1, new BN(4).mul(TEVA), tevaToken.address));
+            await tevaToken.transfer(airdropContract.address, new BN(5).mul(TEVA));
+
+            lint = lintAllocations(csv([`${user1},5,TEVA,,`, `${user2},1,TEVA,,`, `${user3},2,ether,,`]), options);
+            ({ funding, existing } = await checkFunding(airdropContract, lint.allocations));
+            funding.should.deep.equal([
+                {
+                    asset: "ether", required: TEVA.muln(2).toString(), balance: TEVA.toString(), supply: TEVA.toString(), liability: "0",
+                    mintable: "0", existing: "0", available: TEVA.toString(), shortfall: TEVA.toString(), ok: false
+                },
+                {
+                    asset: tevaToken.address, required: TEVA.muln(6).toString(), balance: TEVA.muln(15).toString(), supply: TEVA.muln(10).toString(),
+                    liability: TEVA.muln(4).toString(), mintable: "0", existing: TEVA.muln(4).toString(), available: TEVA.muln(6).toString(), shortfall: "0", ok: true
+                }
+            ]);
+            existing.should.deep.equal([{ recipient: user1, rewardType: tevaToken.address, amount: TEVA.muln(4).toString() }]);
+        });
+
+        it("should count what can be minted of a token minted on claim", async () => {
+            await tevaToken.grantRole(await tevaToken.MINTER_ROLE(), airdropContract.address);
+            await airdropContract.setMintOnClaim(true);
+            cap = await tevaToken.cap();
+
+            lint = lintAllocations(csv([`${user1},5,TEVA,,`]), options);
+            [row] = (await checkFunding(airdropContract, lint.allocations)).funding;
+            row.mintable.should.equal(cap.sub(await tevaToken.totalSupply()).toString());
+            row.available.should.equal(row.mintable);
+            row.ok.should.equal(true);
+        });
+    });
+
+    // allocation file with a recipient,amount,reward,deadline,nonce header, the first row is line 2
+    function csv(lines) {
+        return parseAllocations(["recipient,amount,reward,deadline,nonce", ...lines].join("\n"), "csv");
+    }
+
+    function signDrop(recipient, amount, rewardType) {
+        const deadline = Math.floor(Date.now() / 1000) + 10000;
+        return signer.signDrop(chainId, airdropContract.address, { recipient, amount, deadline, rewardType, nonce: 0 });
+    }
+});
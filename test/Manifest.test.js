@@ -0,0 +1,149 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Manifest, hashRuntimeCode, verifyManifest } = require("../scripts/utils/manifest.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const AirdropContractUpgradeable = artifacts.require("AirdropContractUpgradeable.sol");
+const AirdropProxy = artifacts.require("AirdropProxy.sol");
+const ProxyAdmin = artifacts.require("ProxyAdmin");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Manifest", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        implementation = await AirdropContractUpgradeable.new();
+        proxyAdmin = await ProxyAdmin.new();
+        data = implementation.contract.methods.initialize(tevaToken.address, deployer).encodeABI();
+        proxy = await AirdropProxy.new(implementation.address, proxyAdmin.address, data);
+        chainId = await web3.eth.getChainId();
+        genesisHash = (await web3.eth.getBlock(0)).hash;
+
+        snapshotA = await snapshot();
+    });
+
+    beforeEach(async function () {
+        manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-")), "development.json");
+        manifest = new Manifest(manifestPath, chainId, genesisHash);
+        await manifest.record(web3, "TevaToken", await deployedAs(TevaToken, tevaToken), []);
+        await manifest.record(web3, "AirdropContract", await deployedAs(AirdropContract, airdropContract), [tevaToken.address]);
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Deployment Manifest Test Cases 🧾", function () {
+
+        //record
+        it("should record how a contract was deployed and its state", async () => {
+            receipt = await web3.eth.getTransactionReceipt(airdropContract.transactionHash);
+            entry = manifest.contracts.AirdropContract;
+
+            entry.should.deep.equal({
+                artifact: "AirdropContract",
+                address: airdropContract.address,
+                transactionHash: airdropContract.transactionHash,
+                blockNumber: receipt.blockNumber,
+                constructorArgs: [tevaToken.address],
+                compiler: AirdropContract.compiler.version,
+                bytecodeHash: hashRuntimeCode(await web3.eth.getCode(airdropContract.address), AirdropContract.immutableReferences),
+                owner: deployer,
+                token: tevaToken.address
+            });
+            manifest.contracts.TevaToken.should.not.have.property("owner");
+        });
+
+        it("should record the implementation and the admin of a proxy", async () => {
+            entry = await manifest.record(web3, "AirdropProxy", await deployedAs(AirdropProxy, proxy), null);
+
+            entry.implementation.should.equal(implementation.address);
+            entry.admin.should.equal(proxyAdmin.address);
+            entry.owner.should.equal(deployer);
+            (entry.constructorArgs === null).should.equal(true);
+        });
+
+        it("should keep the deployment of a contract recorded again", async () => {
+            await airdropContract.transferOwnership(user1);
+
+            unchanged = await manifest.record(web3, "AirdropContract", await deployedAs(AirdropContract, airdropContract, null), null);
+            unchanged.constructorArgs.should.deep.equal([tevaToken.address]);
+            unchanged.transactionHash.should.equal(airdropContract.transactionHash);
+            unchanged.owner.should.equal(user1);
+        });
+
+        //hashRuntimeCode
+        it("should hash the runtime bytecode without the immutable variables", async () => {
+            other = await AirdropContract.new(tevaToken.address);
+            code = await web3.eth.getCode(airdropContract.address);
+
+            code.should.not.equal(await web3.eth.getCode(other.address));
+            hashRuntimeCode(code, AirdropContract.immutableReferences).should.equal(hashRuntimeCode(await web3.eth.getCode(other.address), AirdropContract.immutableReferences));
+            hashRuntimeCode(code, AirdropContract.immutableReferences).should.equal(hashRuntimeCode(AirdropContract.deployedBytecode, AirdropContract.immutableReferences));
+        });
+
+        //verifyManifest
+        it("should verify a saved manifest against the chain", async () => {
+            manifest.recordExternal("RewardToken", tevaToken.address);
+            manifest.save();
+
+            rows = await verifyManifest(web3, Manifest.load(manifestPath), name => artifacts.require(name));
+            rows.filter(row => !row.ok).should.deep.equal([]);
+            rows.map(row => `${row.contract} ${row.check}`).should.deep.equal([
+                "network chainId", "network genesis",
+                "TevaToken bytecode", "TevaToken deployment",
+                "AirdropContract bytecode", "AirdropContract deployment", "AirdropContract owner", "AirdropContract token",
+                "RewardToken code"
+            ]);
+        });
+
+        it("should report what doesn't match the chain", async () => {
+            await airdropContract.transferOwnership(user1);
+            manifest.contracts.TevaToken.artifact = "AirdropContract";
+            manifest.recordExternal("Missing", user2);
+
+            failed = (await verifyManifest(web3, manifest, name => artifacts.require(name))).filter(row => !row.ok);
+            failed.map(row => `${row.contract} ${row.check}`).should.deep.equal(["TevaToken bytecode", "AirdropContract owner", "Missing code"]);
+            failed[1].should.include({ expected: deployer, actual: user1 });
+        });
+
+        it("shouldn't verify a manifest of another chain", async () => {
+            manifest.genesisHash = constants.ZERO_BYTES32;
+
+            rows = await verifyManifest(web3, manifest, name => artifacts.require(name));
+            rows.map(row => `${row.contract} ${row.check} ${row.ok}`).should.deep.equal(["network chainId true", "network genesis false"]);
+        });
+
+        it("should start over the manifest of another chain", async () => {
+            manifest.save();
+
+            new Manifest(manifestPath, chainId, genesisHash).contracts.should.have.keys("TevaToken", "AirdropContract");
+            new Manifest(manifestPath, chainId, constants.ZERO_BYTES32).contracts.should.deep.equal({});
+            (() => Manifest.load(manifestPath + ".missing")).should.throw("Manifest: ");
+        });
+    });
+
+    // the abstraction of an artifact as a migration leaves it after deploying the instance
+    async function deployedAs(Contract, instance, transactionHash = instance.transactionHash) {
+        const Deployed = Contract.clone(await web3.eth.net.getId());
+        Deployed.address = instance.address;
+        Deployed.transactionHash = transactionHash;
+        return Deployed;
+    }
+});
@@ -0,0 +1,72 @@
+const {
+    BN,
+    constants
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const { MerkleTree, hashLeaf, verifyProof } = require("../scripts/utils/merkle.js");
+
+
+contract("Merkle", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+
+    before(async function () {
+        allocations = [user1, user2, user3, user1, user2].map((recipient, i) => ({
+            recipient: recipient,
+            amount: AMOUNT.add(new BN(i)),
+            rewardType: i % 2 === 0 ? deployer : constants.ZERO_ADDRESS
+        }));
+        tree = new MerkleTree(allocations);
+    });
+
+    describe("Merkle Tree Test Cases 🌳", function () {
+
+        it("should hash a leaf as abi.encodePacked does", async () => {
+            leaf = { index: 3, recipient: user1, amount: AMOUNT, rewardType: constants.ZERO_ADDRESS };
+            expected = web3.utils.soliditySha3(
+                { t: "uint256", v: 3 },
+                { t: "address", v: user1 },
+                { t: "uint256", v: AMOUNT },
+                { t: "address", v: constants.ZERO_ADDRESS }
+            );
+
+            web3.utils.bytesToHex(hashLeaf(leaf)).should.equal(expected);
+        });
+
+        it("should verify the proof of every leaf", async () => {
+            for (const leaf of tree.leaves) {
+                verifyProof(tree.getRoot(), leaf, tree.getProof(leaf.index)).should.equal(true);
+            }
+        });
+
+        it("shouldn't verify a proof of a changed leaf", async () => {
+            leaf = { ...tree.leaves[2], amount: AMOUNT.toString() };
+            verifyProof(tree.getRoot(), leaf, tree.getProof(2)).should.equal(false);
+        });
+
+        it("should use the leaf hash as the root of a single leaf tree", async () => {
+            singleTree = new MerkleTree(allocations.slice(0, 1));
+            singleTree.getRoot().should.equal(web3.utils.bytesToHex(hashLeaf(singleTree.leaves[0])));
+            singleTree.getProof(0).should.deep.equal([]);
+        });
+
+        it("should group the claims by recipient", async () => {
+            claims = tree.getClaims();
+
+            Object.keys(claims).should.deep.equal([user1, user2, user3]);
+            claims[user1].map(claim => claim.index).should.deep.equal([0, 3]);
+            claims[user1][1].amount.should.equal(AMOUNT.add(new BN(3)).toString());
+            claims[user1][1].proof.should.deep.equal(tree.getProof(3));
+        });
+
+        it("shouldn't build a tree without allocations", async () => {
+            (() => new MerkleTree([])).should.throw("Merkle: no allocations");
+        });
+    });
+});
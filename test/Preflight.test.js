@@ -0,0 +1,163 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const { Signer } = require("../scripts/utils/signer.js");
+const { preflightBatch } = require("../scripts/utils/preflight.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Preflight", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        otherToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+        signer = new Signer("0x" + "22".repeat(32));
+        stranger = new Signer("0x" + "33".repeat(32));
+
+        await airdropContract.setSigner(signer.address, 0);
+        await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+        await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+        await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+        await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+
+        snapshotA = await snapshot();
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Preflight Test Cases 🛫", function () {
+
+        it("should pass a valid batch", async () => {
+            report = await preflightBatch(airdropContract, batchOf([
+                signDrop(user1, tevaToken.address, 0),
+                signDrop(user2, constants.ZERO_ADDRESS, 1)
+            ], [signVestingDrop(user3, 2)]), { from: deployer });
+
+            report.issues.should.deep.equal([]);
+            report.rows.map(row => [row.kind, row.index, row.ok]).should.deep.equal([["drop", 0, true], ["drop", 1, true], ["vesting", 0, true]]);
+            report.chunks.should.deep.equal([]);
+        });
+
+        it("should explain every reason of a failing drop", async () => {
+            latest = (await web3.eth.getBlock("latest")).timestamp;
+            drop = signDrop(user1, otherToken.address, 0, stranger, latest);
+
+            [row] = (await preflightBatch(airdropContract, batchOf([drop]), { from: deployer })).rows;
+            row.ok.should.equal(false);
+            row.reasons.should.deep.equal([
+                `Airdrop: deadline of this message has expired (${latest} <= ${latest})`,
+                "Airdrop: such reward doesn't exist",
+                `Airdrop: this message wasn't signed by signer (recovered ${stranger.address})`
+            ]);
+        });
+
+        it("should keep a margin before the deadline", async () => {
+            latest = (await web3.eth.getBlock("latest")).timestamp;
+            batch = batchOf([signDrop(user1, tevaToken.address, 0, signer, latest + 100)]);
+
+            (await preflightBatch(airdropContract, batch, { from: deployer, margin: 50 })).rows[0].ok.should.equal(true);
+            (await preflightBatch(airdropContract, batch, { from: deployer, margin: 100 })).rows[0].reasons[0]
+                .should.equal(`Airdrop: deadline of this message has expired (${latest + 100} <= ${latest + 100})`);
+        });
+
+        it("should report vouchers used on chain and earlier in the batch", async () => {
+            used = signDrop(user1, tevaToken.address, 0);
+            repeated = signDrop(user2, tevaToken.address, 1);
+            await airdropContract.drop([used]);
+
+            rows = (await preflightBatch(airdropContract, batchOf([used, repeated, repeated]), { from: deployer })).rows;
+            rows.map(row => row.reasons).should.deep.equal([
+                ["Airdrop: voucher already used"],
+                [],
+                ["Airdrop: voucher already used (same as drop #1)"]
+            ]);
+        });
+
+        it("should report drops beyond the funding", async () => {
+            batch = batchOf([0, 1, 2].map(nonce => signDrop(user1, tevaToken.address, nonce)), [signVestingDrop(user2, 3)]);
+
+            rows = (await preflightBatch(airdropContract, batch, { from: deployer })).rows;
+            rows.map(row => row.ok).should.deep.equal([true, true, false, false]);
+            rows[2].reasons.should.deep.equal([`Preflight: not enough funding, the batch is ${AMOUNT} short up to this drop`]);
+            rows[3].reasons.should.deep.equal([`Preflight: not enough funding, the batch is ${AMOUNT.mul(new BN(2))} short up to this drop`]);
+
+            await tevaToken.grantRole(await tevaToken.MINTER_ROLE(), airdropContract.address);
+            await airdropContract.setMintOnClaim(true);
+            rows = (await preflightBatch(airdropContract, batch, { from: deployer })).rows;
+            rows.map(row => row.ok).should.deep.equal([true, true, true, true]);
+        });
+
+        it("should share the funding of a reward type written in another case", async () => {
+            const lowerCase = tevaToken.address.toLowerCase();
+            batch = batchOf([signDrop(user1, tevaToken.address, 0), signDrop(user1, lowerCase, 1), signDrop(user1, lowerCase, 2)]);
+
+            rows = (await preflightBatch(airdropContract, batch, { from: deployer })).rows;
+            rows.map(row => row.ok).should.deep.equal([true, true, false]);
+            rows[2].reasons.should.deep.equal([`Preflight: not enough funding, the batch is ${AMOUNT} short up to this drop`]);
+        });
+
+        it("should report issues of the whole batch", async () => {
+            await airdropContract.pause();
+
+            report = await preflightBatch(airdropContract, batchOf([signDrop(user1, tevaToken.address, 0)]), { from: user1 });
+            report.issues.should.deep.equal(["Pausable: paused", `Ownable: ${user1} is not the owner ${deployer}`]);
+            report.rows[0].ok.should.equal(true);
+        });
+
+        it("should dry-run the chunks with eth_call", async () => {
+            batch = batchOf([
+                signDrop(user1, tevaToken.address, 0),
+                signDrop(user2, tevaToken.address, 1),
+                signDrop(user3, constants.ZERO_ADDRESS, 2, stranger)
+            ], [{ ...signVestingDrop(user3, 3), cliff: "20000" }]);
+
+            report = await preflightBatch(airdropContract, batch, { from: deployer, dryRun: true, chunk: 2 });
+            report.chunks.should.deep.equal([
+                { kind: "drop", start: 0, end: 2, ok: true, reason: "" },
+                { kind: "drop", start: 2, end: 3, ok: false, reason: "Airdrop: this message wasn't signed by signer" },
+                { kind: "vesting", start: 0, end: 1, ok: false, reason: "Airdrop: invalid vesting schedule" }
+            ]);
+            report.rows[3].reasons.should.include("Airdrop: invalid vesting schedule");
+        });
+
+        it("shouldn't check a batch of another airdrop", async () => {
+            await preflightBatch(airdropContract, { ...batchOf([]), airdrop: user1 }, { from: deployer })
+                .should.be.rejectedWith(`Preflight: batch was signed for ${user1}, not for ${airdropContract.address}`);
+            await preflightBatch(airdropContract, { ...batchOf([]), chainId: chainId + 1 }, { from: deployer })
+                .should.be.rejectedWith(`Preflight: batch was signed for chain ${chainId + 1}`);
+        });
+    });
+
+    function batchOf(drops, vestingDrops = []) {
+        return { chainId: chainId, airdrop: airdropContract.address, drops: drops, vestingDrops: vestingDrops };
+    }
+
+    function signDrop(recipient, rewardType, nonce, key = signer, dropDeadline = deadline) {
+        return key.signDrop(chainId, airdropContract.address, { recipient, amount: AMOUNT, deadline: dropDeadline, rewardType, nonce });
+    }
+
+    function signVestingDrop(recipient, nonce) {
+        return signer.signVestingDrop(chainId, airdropContract.address, {
+            recipient, amount: AMOUNT, deadline, rewardType: tevaToken.address, nonce, start: deadline, cliff: 0, duration: 10000
+        });
+    }
+});
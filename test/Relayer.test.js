@@ -0,0 +1,252 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const http = require("http");
+const EIP712 = require("./utils/eip712.js");
+const EIP712Signer = require("../scripts/utils/signer.js");
+const { Relayer, createServer, parseMinFees } = require("../scripts/utils/relayer.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Relayer", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+    const FEE = new BN("1000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+
+        await tevaToken.mint(deployer, AMOUNT.mul(new BN(2)));
+        await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(2)));
+        await airdropContract.depositTokens(AMOUNT.mul(new BN(2)));
+        await airdropContract.depositEther({ from: deployer, value: AMOUNT });
+        await airdropContract.drop([
+            await signDrop(user1, AMOUNT, tevaToken.address, 0),
+            await signDrop(user2, AMOUNT, tevaToken.address, 1),
+            await signDrop(user1, AMOUNT, constants.ZERO_ADDRESS, 2)
+        ]);
+
+        snapshotA = await snapshot();
+    });
+
+    beforeEach(async function () {
+        relayer = new Relayer(airdropContract, { from: user3, minFees: { [tevaToken.address]: FEE }, retryDelay: 100 });
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Relayer Test Cases 🛰️", function () {
+
+        it("should relay queued claims in order", async () => {
+            first = await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+            second = await relayer.submit(await signClaimRequest(user2, tevaToken.address, FEE, 0));
+            await relayer.drain();
+
+            [first.status, second.status].should.deep.equal(["confirmed", "confirmed"]);
+            (await web3.eth.getTransactionReceipt(first.txHash)).blockNumber.should.be.below((await web3.eth.getTransactionReceipt(second.txHash)).blockNumber);
+            (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT.sub(FEE));
+            (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(FEE.mul(new BN(2)));
+        });
+
+        it("should return the same entry for a request submitted twice", async () => {
+            request = await signClaimRequest(user1, tevaToken.address, FEE, 0);
+            first = await relayer.submit(request);
+            second = await relayer.submit(request);
+            await relayer.drain();
+
+            second.should.equal(first);
+            relayer.status(first.id).attempts.should.equal(1);
+        });
+
+        it("should relay an ether claim without a minimum fee", async () => {
+            entry = await relayer.submit(await signClaimRequest(user1, constants.ZERO_ADDRESS, 0, 0));
+            await relayer.drain();
+
+            entry.status.should.equal("confirmed");
+            (await airdropContract.etherBalances(user1)).should.be.bignumber.equal(new BN(0));
+        });
+
+        it("shouldn't queue a request with a fee below the minimum", async () => {
+            await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE.sub(new BN(1)), 0))
+                .should.be.rejectedWith(`Relayer: fee is lower than ${FEE}`);
+        });
+
+        it("shouldn't queue a request that wasn't signed by the recipient", async () => {
+            request = await signClaimRequest(user2, tevaToken.address, FEE, 0);
+
+            await relayer.submit({ ...request, recipient: user1 }).should.be.rejectedWith("Relayer: request wasn't signed by recipient");
+        });
+
+        it("shouldn't queue an expired request", async () => {
+            request = await signClaimRequest(user1, tevaToken.address, FEE, 0, Math.floor(Date.now() / 1000) - 1);
+
+            await relayer.submit(request).should.be.rejectedWith("Relayer: deadline of this request has expired");
+        });
+
+        it("shouldn't queue a request that would revert", async () => {
+            await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 1))
+                .should.be.rejectedWith("Relayer: request would revert: Airdrop: invalid nonce of the request");
+        });
+
+        it("shouldn't queue a second request while the first one of the recipient is pending", async () => {
+            first = await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+
+            await relayer.submit(await signClaimRequest(user1, constants.ZERO_ADDRESS, FEE, 0))
+                .should.be.rejectedWith(`Relayer: request ${first.id} of this recipient is still pending`);
+            await relayer.drain();
+        });
+
+        it("should retry a claim the relayer account couldn't pay the gas for", async () => {
+            balance = await web3.eth.getBalance(user3);
+            await setBalance(user3, "0x0");
+
+            entry = await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+            while (entry.attempts === 0 || entry.status === "sending") {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            entry.status.should.equal("queued");
+            await setBalance(user3, web3.utils.toHex(balance));
+            await relayer.drain();
+
+            entry.status.should.equal("confirmed");
+            entry.attempts.should.equal(2);
+            (await tevaToken.balanceOf(user3)).should.be.bignumber.equal(FEE);
+        });
+
+        it("should give up a claim after the last attempt", async () => {
+            relayer = new Relayer(airdropContract, { from: user3, maxAttempts: 2, retryDelay: 10 });
+            balance = await web3.eth.getBalance(user3);
+            await setBalance(user3, "0x0");
+
+            entry = await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+            await relayer.drain();
+            await setBalance(user3, web3.utils.toHex(balance));
+
+            entry.status.should.equal("failed");
+            entry.attempts.should.equal(2);
+        });
+
+        it("shouldn't retry a claim that reverted", async () => {
+            entry = await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+            await airdropContract.claimTokens({ from: user1 });
+            await relayer.drain();
+
+            entry.status.should.equal("failed");
+            entry.attempts.should.equal(1);
+        });
+
+        it("should confirm a claim that was mined before its attempt failed", async () => {
+            timedOut = Object.create(airdropContract);
+            timedOut.claimFor = async (request, options) => {
+                await airdropContract.claimFor(request, options);
+                throw new Error("Transaction was not mined within 750 seconds");
+            };
+            timedOut.claimFor.call = airdropContract.claimFor.call;
+            relayer = new Relayer(timedOut, { from: user3, retryDelay: 10 });
+
+            entry = await relayer.submit(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+            await relayer.drain();
+
+            entry.status.should.equal("confirmed");
+            entry.attempts.should.equal(1);
+            (await airdropContract.claimNonces(user1)).should.be.bignumber.equal(new BN(1));
+        });
+
+        it("shouldn't queue a malformed request", async () => {
+            request = await signClaimRequest(user1, tevaToken.address, FEE, 0);
+
+            await relayer.submit(null).should.be.rejectedWith("Relayer: request is not an object");
+            await relayer.submit({ ...request, recipient: "0x1234" }).should.be.rejectedWith("Relayer: request recipient is not an address");
+            await relayer.submit({ ...request, rewardType: {} }).should.be.rejectedWith("Relayer: request rewardType is not an address");
+            await relayer.submit({ ...request, fee: -1 }).should.be.rejectedWith("Relayer: request fee is not a uint256");
+            await relayer.submit({ ...request, nonce: "0x1" }).should.be.rejectedWith("Relayer: request nonce is not a uint256");
+            await relayer.submit({ ...request, deadline: 1e20 }).should.be.rejectedWith("Relayer: request deadline is not a uint256");
+            await relayer.submit({ ...request, signature: "abc" }).should.be.rejectedWith("Relayer: request signature is not a hex string");
+            entry = await relayer.submit({ ...request, nonce: 0 });
+            await relayer.drain();
+            entry.status.should.equal("confirmed");
+        });
+
+        it("should take claim requests over http", async () => {
+            server = createServer(relayer);
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            try {
+                body = JSON.stringify(await signClaimRequest(user1, tevaToken.address, FEE, 0));
+                response = await httpRequest("POST", "/claims", body);
+                response.status.should.equal(202);
+                await relayer.drain();
+
+                response = await httpRequest("GET", `/claims/${response.body.id}`);
+                response.status.should.equal(200);
+                response.body.status.should.equal("confirmed");
+
+                response = await httpRequest("POST", "/claims", "{");
+                response.status.should.equal(400);
+                response.body.error.should.equal("Relayer: request is not valid JSON");
+
+                response = await httpRequest("POST", "/claims", JSON.stringify({ ...JSON.parse(body), recipient: "0x1234" }));
+                response.status.should.equal(400);
+                response.body.error.should.equal("Relayer: request recipient is not an address");
+
+                response = await httpRequest("GET", `/claims/0x${"0".repeat(64)}`);
+                response.status.should.equal(404);
+            } finally {
+                server.close();
+            }
+        });
+
+        it("should parse minimum fees", async () => {
+            parseMinFees(`ether=5,${tevaToken.address}=7`).should.deep.equal({ [constants.ZERO_ADDRESS]: "5", [tevaToken.address]: "7" });
+            (() => parseMinFees("ether=abc")).should.throw("invalid minimum fee: \"ether=abc\"");
+        });
+    });
+
+    async function signDrop(recipient, amount, rewardType, nonce) {
+        const drop = { recipient, amount, deadline, rewardType, nonce };
+        const sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createTypedData(chainId, airdropContract.address, drop));
+        return { recipient: recipient, amount: amount.toString(), deadline: deadline.toString(), rewardType: rewardType, nonce: nonce.toString(), signature: sign.sig };
+    }
+
+    async function signClaimRequest(recipient, rewardType, fee, nonce, requestDeadline = deadline) {
+        const claimRequest = { recipient: recipient, rewardType: rewardType, fee: fee.toString(), nonce: nonce.toString(), deadline: requestDeadline.toString() };
+        const sign = await EIP712.signTypedData(web3, recipient, EIP712Signer.createClaimRequestTypedData(chainId, airdropContract.address, claimRequest));
+        return { ...claimRequest, signature: sign.sig };
+    }
+
+    function setBalance(account, balance) {
+        return new Promise((resolve, reject) => {
+            web3.currentProvider.send({ jsonrpc: "2.0", method: "evm_setAccountBalance", params: [account, balance], id: Date.now() },
+                (error, result) => error ? reject(error) : resolve(result));
+        });
+    }
+
+    function httpRequest(method, path, body) {
+        const { port } = server.address();
+        return new Promise((resolve, reject) => {
+            const req = http.request({ host: "127.0.0.1", port: port, path: path, method: method }, res => {
+                let data = "";
+                res.on("data", chunk => data += chunk);
+                res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+            });
+            req.on("error", reject);
+            req.end(body);
+        });
+    }
+});
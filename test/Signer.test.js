@@ -0,0 +1,208 @@
+const {
+    BN,
+    constants
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const {
+    Signer,
+    hashDrop,
+    hashVestingDrop,
+    recoverSigner,
+    combineSignatures,
+    isValidSignature,
+    verifyDrop
+} = require("../scripts/utils/signer.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+const ERC1271WalletMock = artifacts.require("ERC1271WalletMock.sol");
+
+
+contract("Signer", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+    const PASSWORD = "airdrop";
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+
+        signerAccount = web3.eth.accounts.create();
+        await airdropContract.setSigner(signerAccount.address, 0);
+
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+        drop = { recipient: user1, amount: AMOUNT, deadline: deadline, rewardType: tevaToken.address, nonce: 1 };
+    });
+
+    describe("Signer Test Cases ✒️", function () {
+
+        it("should derive the address from the private key", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            signer.address.should.equal(signerAccount.address);
+        });
+
+        it("should accept a private key without the hex prefix", async () => {
+            signer = new Signer(signerAccount.privateKey.substring(2));
+            signer.address.should.equal(signerAccount.address);
+        });
+
+        it("shouldn't create a signer from an invalid private key", async () => {
+            (() => new Signer("0x1234")).should.throw("Signer: invalid private key");
+        });
+
+        it("should load the private key from a keystore", async () => {
+            keystore = web3.eth.accounts.encrypt(signerAccount.privateKey, PASSWORD);
+            signer = await Signer.fromKeystore(JSON.stringify(keystore), PASSWORD);
+            signer.address.should.equal(signerAccount.address);
+        });
+
+        it("shouldn't load the private key from a keystore with a wrong password", async () => {
+            keystore = web3.eth.accounts.encrypt(signerAccount.privateKey, PASSWORD);
+            await Signer.fromKeystore(keystore, "wrong").should.be.rejected;
+        });
+
+        it("should build the same digest as the contract", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, airdropContract.address, drop);
+
+            recovered = web3.eth.accounts.recover(hashDrop(chainId, airdropContract.address, drop), dropStruct.signature, true);
+            recovered.should.equal(signerAccount.address);
+            recoverSigner(hashDrop(chainId, airdropContract.address, drop), dropStruct.signature).should.equal(signerAccount.address);
+        });
+
+        it("shouldn't recover the signer of a signature with a wrong length", async () => {
+            (() => recoverSigner(hashDrop(chainId, airdropContract.address, drop), "0x1234")).should.throw("Signer: invalid signature length");
+        });
+
+        it("should return a drop struct accepted by the contract", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, airdropContract.address, drop);
+
+            dropStruct.recipient.should.equal(user1);
+            dropStruct.amount.should.equal(AMOUNT.toString());
+            dropStruct.deadline.should.equal(deadline.toString());
+            dropStruct.rewardType.should.equal(tevaToken.address);
+            dropStruct.nonce.should.equal("1");
+            (await airdropContract.checkSign(dropStruct)).should.equal(true);
+        });
+
+        it("should sign ether drops", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, airdropContract.address, { ...drop, rewardType: constants.ZERO_ADDRESS });
+
+            (await airdropContract.checkSign(dropStruct)).should.equal(true);
+        });
+
+        it("shouldn't pass the contract check if signed by not the current signer", async () => {
+            signer = new Signer(web3.eth.accounts.create().privateKey);
+            dropStruct = signer.signDrop(chainId, airdropContract.address, drop);
+
+            (await airdropContract.checkSign(dropStruct)).should.equal(false);
+        });
+
+        it("should pass the contract check after the ownership was transferred", async () => {
+            anotherAirdropContract = await AirdropContract.new(tevaToken.address);
+            await anotherAirdropContract.setSigner(signerAccount.address, 0);
+            await anotherAirdropContract.transferOwnership(user2);
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, anotherAirdropContract.address, drop);
+
+            (await anotherAirdropContract.checkSign(dropStruct)).should.equal(true);
+        });
+
+        it("shouldn't pass the contract check if signed for another chain", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId + 1, airdropContract.address, drop);
+
+            (await airdropContract.checkSign(dropStruct)).should.equal(false);
+        });
+
+        it("shouldn't pass the contract check if signed for another contract", async () => {
+            anotherAirdropContract = await AirdropContract.new(tevaToken.address);
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, anotherAirdropContract.address, drop);
+
+            (await airdropContract.checkSign(dropStruct)).should.equal(false);
+        });
+
+        it("shouldn't sign a drop without a nonce", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            (() => signer.signDrop(chainId, airdropContract.address, { ...drop, nonce: undefined })).should.throw("Signer: drop has no nonce");
+        });
+
+        //combineSignatures
+        it("should combine signatures ordered by signer address", async () => {
+            owners = [web3.eth.accounts.create(), web3.eth.accounts.create(), web3.eth.accounts.create()];
+            signers = owners.map(owner => new Signer(owner.privateKey));
+            digest = hashDrop(chainId, airdropContract.address, drop);
+            signatures = signers.map(signer => signer.signDigest(digest));
+
+            combined = combineSignatures(digest, [signatures[2], signatures[0] + signatures[1].substring(2), signatures[0]]);
+
+            combined.length.should.equal(2 + 3 * 130);
+            chunks = combined.substring(2).match(/.{130}/g).map(chunk => recoverSigner(digest, "0x" + chunk).toLowerCase());
+            chunks.should.deep.equal(owners.map(owner => owner.address.toLowerCase()).sort());
+        });
+
+        it("shouldn't combine signatures with a wrong length", async () => {
+            (() => combineSignatures(hashDrop(chainId, airdropContract.address, drop), ["0x1234"])).should.throw("Signer: invalid signature length");
+        });
+
+        //isValidSignature
+        it("should check signatures of an externally owned signer", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, airdropContract.address, drop);
+
+            (await verifyDrop(web3, chainId, airdropContract.address, dropStruct, signerAccount.address)).should.equal(true);
+            (await verifyDrop(web3, chainId, airdropContract.address, dropStruct, user1)).should.equal(false);
+            (await isValidSignature(web3, signerAccount.address, hashDrop(chainId, airdropContract.address, drop), "0x1234")).should.equal(false);
+        });
+
+        it("should check signatures of a wallet signer like the contract does", async () => {
+            owners = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+            signers = owners.map(owner => new Signer(owner.privateKey));
+            wallet = await ERC1271WalletMock.new(owners.map(owner => owner.address), 2);
+            walletAirdropContract = await AirdropContract.new(tevaToken.address);
+            await walletAirdropContract.setSigner(wallet.address, 0);
+
+            dropStruct = signers[0].signDrop(chainId, walletAirdropContract.address, drop);
+            (await verifyDrop(web3, chainId, walletAirdropContract.address, dropStruct, wallet.address)).should.equal(false);
+            (await walletAirdropContract.checkSign(dropStruct)).should.equal(false);
+
+            dropStruct = signers[1].cosignDrop(chainId, walletAirdropContract.address, dropStruct);
+            (await verifyDrop(web3, chainId, walletAirdropContract.address, dropStruct, wallet.address)).should.equal(true);
+            (await walletAirdropContract.checkSign(dropStruct)).should.equal(true);
+        });
+
+        it("should check vesting drops signed by a wallet signer", async () => {
+            owners = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+            signers = owners.map(owner => new Signer(owner.privateKey));
+            wallet = await ERC1271WalletMock.new(owners.map(owner => owner.address), 2);
+            vesting = { ...drop, start: deadline, cliff: 0, duration: 1000 };
+
+            vestingDrop = signers[1].cosignDrop(chainId, airdropContract.address, signers[0].signVestingDrop(chainId, airdropContract.address, vesting));
+            (await verifyDrop(web3, chainId, airdropContract.address, vestingDrop, wallet.address)).should.equal(true);
+            (await isValidSignature(web3, wallet.address, hashVestingDrop(chainId, airdropContract.address, vesting), vestingDrop.signature)).should.equal(true);
+            (await isValidSignature(web3, wallet.address, hashDrop(chainId, airdropContract.address, drop), vestingDrop.signature)).should.equal(false);
+        });
+
+        it("shouldn't pass the contract check if the signed message was changed", async () => {
+            signer = new Signer(signerAccount.privateKey);
+            dropStruct = signer.signDrop(chainId, airdropContract.address, drop);
+            dropStruct.amount = AMOUNT.add(new BN(1)).toString();
+            (await airdropContract.checkSign(dropStruct)).should.equal(false);
+
+            dropStruct = signer.signDrop(chainId, airdropContract.address, drop);
+            dropStruct.nonce = "2";
+            (await airdropContract.checkSign(dropStruct)).should.equal(false);
+        });
+    });
+});
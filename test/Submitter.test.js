@@ -0,0 +1,176 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const EIP712 = require("./utils/eip712.js");
+const EIP712Signer = require("../scripts/utils/signer.js");
+const { Journal, submitBatch, findChunk } = require("../scripts/utils/submitter.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Submitter", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+        recipients = [user1, user2, user3, user1, user2, user3];
+        drops = [];
+        for (let i = 0; i < recipients.length; i++) {
+            drops.push(await signDrop(recipients[i], AMOUNT, i % 2 === 0 ? tevaToken.address : constants.ZERO_ADDRESS, i));
+        }
+        batch = { chainId: chainId, airdrop: airdropContract.address, drops: drops };
+
+        // the first drop of every asset also opens its liability slot, credit one upfront so that all drops cost alike
+        await airdropContract.drop([
+            await signDrop(deployer, AMOUNT, tevaToken.address, 100),
+            await signDrop(deployer, AMOUNT, constants.ZERO_ADDRESS, 101)
+        ]);
+
+        oneDropGas = await airdropContract.drop.estimateGas(drops.slice(0, 1));
+        twoDropsGas = await airdropContract.drop.estimateGas(drops.slice(0, 2));
+        threeDropsGas = await airdropContract.drop.estimateGas(drops.slice(0, 3));
+        twoDropsGasLimit = Math.floor((twoDropsGas + threeDropsGas) / 2);
+
+        snapshotA = await snapshot();
+    });
+
+    beforeEach(async function () {
+        journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-")), "journal.json");
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Submitter Test Cases 📦", function () {
+
+        it("should split the batch into chunks under the gas limit", async () => {
+            chunk = await findChunk(airdropContract, drops, 0, { from: deployer, gasLimit: twoDropsGasLimit });
+            chunk.end.should.equal(2);
+            chunk.gas.should.equal(twoDropsGas);
+
+            chunk = await findChunk(airdropContract, drops, 4, { from: deployer, gasLimit: 30000000 });
+            chunk.end.should.equal(drops.length);
+        });
+
+        it("shouldn't build a chunk if a single drop exceeds the gas limit", async () => {
+            await findChunk(airdropContract, drops, 0, { from: deployer, gasLimit: oneDropGas - 1 })
+                .should.be.rejectedWith("Submitter: drop #0 alone needs more than");
+        });
+
+        it("shouldn't build a chunk starting with a drop that reverts", async () => {
+            invalidDrops = [{ ...drops[0], amount: AMOUNT.add(new BN(1)).toString() }];
+            await findChunk(airdropContract, invalidDrops, 0, { from: deployer, gasLimit: 30000000 })
+                .should.be.rejectedWith("Submitter: drop #0 would revert");
+        });
+
+        it("should submit all drops and record the events in the journal", async () => {
+            journal = await submitBatch(airdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: twoDropsGasLimit });
+
+            journal.chunks.map(chunk => [chunk.start, chunk.end, chunk.status]).should.deep.equal([
+                [0, 2, "confirmed"],
+                [2, 4, "confirmed"],
+                [4, 6, "confirmed"]
+            ]);
+            journal.chunks[0].events.should.deep.equal([
+                { event: "DropTokens", to: user1, amount: AMOUNT.toString() },
+                { event: "DropEther", to: user2, amount: AMOUNT.toString() }
+            ]);
+            (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+            (await airdropContract.tokenBalances(user2)).should.be.bignumber.equal(AMOUNT);
+            (await airdropContract.etherBalances(user2)).should.be.bignumber.equal(AMOUNT);
+
+            new Journal(journalPath, batch).credited().should.equal(drops.length);
+        });
+
+        it("shouldn't submit credited drops again on resume", async () => {
+            await submitBatch(airdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: twoDropsGasLimit });
+            journal = await submitBatch(airdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: twoDropsGasLimit });
+
+            journal.chunks.length.should.equal(3);
+            (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+            (await airdropContract.etherBalances(user2)).should.be.bignumber.equal(AMOUNT);
+        });
+
+        it("should confirm a chunk that was sent before the crash instead of sending it again", async () => {
+            nonce = await web3.eth.getTransactionCount(deployer);
+            fromBlock = await web3.eth.getBlockNumber();
+            receipt = await airdropContract.drop(drops.slice(0, 2));
+
+            journal = new Journal(journalPath, batch);
+            journal.chunks.push({ start: 0, end: 2, gas: twoDropsGas, nonce: nonce, fromBlock: fromBlock, status: "sending" });
+            journal.save();
+
+            journal = await submitBatch(airdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: 30000000 });
+
+            journal.chunks[0].status.should.equal("confirmed");
+            journal.chunks[0].txHash.should.equal(receipt.tx);
+            journal.chunks[1].start.should.equal(2);
+            (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+        });
+
+        it("should send a chunk again if its transaction was never sent", async () => {
+            journal = new Journal(journalPath, batch);
+            journal.chunks.push({ start: 0, end: 2, gas: twoDropsGas, nonce: await web3.eth.getTransactionCount(deployer), fromBlock: await web3.eth.getBlockNumber(), status: "sending" });
+            journal.save();
+
+            journal = await submitBatch(airdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: 30000000 });
+
+            journal.chunks[0].status.should.equal("failed");
+            journal.chunks[1].start.should.equal(0);
+            journal.chunks[1].status.should.equal("confirmed");
+            (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+        });
+
+        it("shouldn't use a journal of another batch", async () => {
+            new Journal(journalPath, batch).save();
+            anotherBatch = { ...batch, drops: drops.slice(1) };
+
+            (() => new Journal(journalPath, anotherBatch)).should.throw("Submitter: journal " + journalPath + " belongs to another batch");
+        });
+
+        it("shouldn't submit a batch signed for another contract", async () => {
+            anotherAirdropContract = await AirdropContract.new(tevaToken.address);
+
+            await submitBatch(anotherAirdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: 30000000 })
+                .should.be.rejectedWith("Submitter: batch was signed for " + airdropContract.address);
+        });
+
+        it("shouldn't submit a batch signed by a key that isn't an airdrop signer", async () => {
+            await submitBatch(airdropContract, { ...batch, signer: user3 }, new Journal(journalPath, batch), { from: deployer, gasLimit: 30000000 })
+                .should.be.rejectedWith(`Submitter: batch was signed by ${user3}, which is not an airdrop signer`);
+        });
+
+        it("shouldn't submit a batch while the contract is paused", async () => {
+            await airdropContract.pause();
+
+            await submitBatch(airdropContract, batch, new Journal(journalPath, batch), { from: deployer, gasLimit: 30000000 })
+                .should.be.rejectedWith("Submitter: contract is paused");
+        });
+    });
+
+    async function signDrop(recipient, amount, rewardType, nonce) {
+        const drop = { recipient, amount, deadline, rewardType, nonce };
+        const sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createTypedData(chainId, airdropContract.address, drop));
+        return { recipient: recipient, amount: amount.toString(), deadline: deadline.toString(), rewardType: rewardType, nonce: nonce.toString(), signature: sign.sig };
+    }
+});
@@ -11,6 +11,8 @@ require("chai")
     .use(require("chai-bn")(BN))
     .should();
 
+const { Signer } = require("../scripts/utils/signer.js");
+
     
 const TevaToken = artifacts.require("TevaToken.sol");
 
@@ -23,6 +25,9 @@ contract("TevaToken", function(accounts) {
     const DECIMALS = new BN(18);
     const ZERO_AMOUNT = new BN(0);
     const AMOUNT = new BN("98362810984236519907");
+    const CAP = new BN("1000000000000000000000000000");
+    const DEFAULT_ADMIN_ROLE = constants.ZERO_BYTES32;
+    const MINTER_ROLE = web3.utils.keccak256("MINTER_ROLE");
 
     before(async function () {
         snapshotA = await snapshot();
@@ -37,8 +42,14 @@ contract("TevaToken", function(accounts) {
 
         describe("Teva Token Deploy Test Cases 🏗️", function () {
 
-            it("should deploy with correct owner", async () => {
-                (await tevaToken.owner()).should.equal(deployer);
+            it("should deploy with the admin and minter roles of the deployer", async () => {
+                (await tevaToken.hasRole(DEFAULT_ADMIN_ROLE, deployer)).should.equal(true);
+                (await tevaToken.hasRole(MINTER_ROLE, deployer)).should.equal(true);
+                (await tevaToken.MINTER_ROLE()).should.equal(MINTER_ROLE);
+            });
+
+            it("should deploy with correct cap", async () => {
+                (await tevaToken.cap()).should.be.bignumber.equal(CAP);
             });
 
             it("should deploy with correct name", async () => {
@@ -75,10 +86,10 @@ contract("TevaToken", function(accounts) {
                 );
             });
 
-            it("shouldn't mint tokens by not the current owner", async () => {
+            it("shouldn't mint tokens by not a minter", async () => {
                 await expectRevert(
                     tevaToken.mint(deployer, AMOUNT, { from: user1 }),
-                    "Ownable: caller is not the owner"
+                    `AccessControl: account ${user1.toLowerCase()} is missing role ${MINTER_ROLE}`
                 );
             });
 
@@ -239,5 +250,148 @@ contract("TevaToken", function(accounts) {
                 );
             });
         });
+
+        describe("Teva Token Cap And Roles Test Cases 🧢", function () {
+
+            before(async function () {
+                snapshotC = await snapshot();
+            });
+
+            afterEach(async function () {
+                await snapshotC.restore();
+            });
+
+            //mint
+            it("should mint up to the cap", async () => {
+                await tevaToken.mint(user1, CAP.sub(await tevaToken.totalSupply()));
+
+                (await tevaToken.totalSupply()).should.be.bignumber.equal(CAP);
+            });
+
+            it("shouldn't mint above the cap", async () => {
+                await tevaToken.mint(user1, CAP.sub(await tevaToken.totalSupply()).sub(new BN(1)));
+
+                await expectRevert(
+                    tevaToken.mint(user1, new BN(2)),
+                    "ERC20Capped: cap exceeded"
+                );
+            });
+
+            it("should mint again below the cap after a burn", async () => {
+                await tevaToken.mint(user1, CAP.sub(await tevaToken.totalSupply()));
+                await tevaToken.burn(AMOUNT, { from: user1 });
+
+                await tevaToken.mint(user2, AMOUNT);
+                (await tevaToken.totalSupply()).should.be.bignumber.equal(CAP);
+            });
+
+            //grantRole
+            it("should let a granted minter mint", async () => {
+                receipt = await tevaToken.grantRole(MINTER_ROLE, user1);
+                expectEvent(
+                    receipt,
+                    "RoleGranted",
+                    {
+                        role: MINTER_ROLE,
+                        account: user1,
+                        sender: deployer
+                    }
+                );
+
+                balance = await tevaToken.balanceOf(user2);
+                await tevaToken.mint(user2, AMOUNT, { from: user1 });
+                (await tevaToken.balanceOf(user2)).should.be.bignumber.equal(balance.add(AMOUNT));
+            });
+
+            it("shouldn't grant the minter role by not an admin", async () => {
+                await expectRevert(
+                    tevaToken.grantRole(MINTER_ROLE, user1, { from: user1 }),
+                    `AccessControl: account ${user1.toLowerCase()} is missing role ${DEFAULT_ADMIN_ROLE}`
+                );
+            });
+
+            //revokeRole
+            it("shouldn't mint after the minter role was revoked", async () => {
+                await tevaToken.grantRole(MINTER_ROLE, user1);
+                await tevaToken.revokeRole(MINTER_ROLE, user1);
+
+                await expectRevert(
+                    tevaToken.mint(user2, AMOUNT, { from: user1 }),
+                    `AccessControl: account ${user1.toLowerCase()} is missing role ${MINTER_ROLE}`
+                );
+            });
+        });
+
+        describe("Teva Token Permit Test Cases 📝", function () {
+
+            before(async function () {
+                chainId = await web3.eth.getChainId();
+                holder = new Signer(web3.eth.accounts.create().privateKey);
+                deadline = Math.floor(Date.now() / 1000) + 10000;
+                snapshotP = await snapshot();
+            });
+
+            afterEach(async function () {
+                await snapshotP.restore();
+            });
+
+            //permit
+            it("should use the token name as the domain of permits", async () => {
+                domainSeparator = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+                    ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+                    [
+                        web3.utils.keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                        web3.utils.keccak256(NAME),
+                        web3.utils.keccak256("1"),
+                        chainId,
+                        tevaToken.address
+                    ]
+                ));
+
+                (await tevaToken.DOMAIN_SEPARATOR()).should.equal(domainSeparator);
+            });
+
+            it("should approve with a signed permit", async () => {
+                permit = holder.signPermit(chainId, tevaToken.address, NAME, { spender: user1, value: AMOUNT, nonce: 0, deadline: deadline });
+
+                receipt = await tevaToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s, { from: user2 });
+                expectEvent(
+                    receipt,
+                    "Approval",
+                    {
+                        owner: holder.address,
+                        spender: user1,
+                        value: AMOUNT
+                    }
+                );
+
+                (await tevaToken.allowance(holder.address, user1)).should.be.bignumber.equal(AMOUNT);
+                (await tevaToken.nonces(holder.address)).should.be.bignumber.equal(new BN(1));
+            });
+
+            it("shouldn't approve with a used permit", async () => {
+                permit = holder.signPermit(chainId, tevaToken.address, NAME, { spender: user1, value: AMOUNT, nonce: 0, deadline: deadline });
+                await tevaToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+                await expectRevert(
+                    tevaToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s),
+                    "ERC20Permit: invalid signature"
+                );
+            });
+
+            it("shouldn't approve with an expired permit", async () => {
+                permit = holder.signPermit(chainId, tevaToken.address, NAME, { spender: user1, value: AMOUNT, nonce: 0, deadline: 1 });
+
+                await expectRevert(
+                    tevaToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s),
+                    "ERC20Permit: expired deadline"
+                );
+            });
+
+            it("shouldn't sign a permit without a nonce", async () => {
+                (() => holder.signPermit(chainId, tevaToken.address, NAME, { spender: user1, value: AMOUNT, deadline: deadline }))
+                    .should.throw("Signer: permit has no nonce");
+            });
+        });
     });
 });
\ No newline at end of file
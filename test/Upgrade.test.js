@@ -0,0 +1,154 @@
+const {
+    BN,
+    constants,
+    expectEvent,
+    expectRevert,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const EIP712 = require("./utils/eip712.js");
+const EIP712Signer = require("../scripts/utils/signer.js");
+const { implementationOf, proxyAdminOf } = require("../scripts/utils/deploy.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const AirdropContractUpgradeable = artifacts.require("AirdropContractUpgradeable.sol");
+const AirdropContractUpgradeableV2Mock = artifacts.require("AirdropContractUpgradeableV2Mock.sol");
+const AirdropProxy = artifacts.require("AirdropProxy.sol");
+const ProxyAdmin = artifacts.require("ProxyAdmin");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("AirdropContractUpgradeable", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const AMOUNT = new BN("10000000000000");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        implementation = await AirdropContractUpgradeable.new();
+        proxyAdmin = await ProxyAdmin.new();
+        data = implementation.contract.methods.initialize(tevaToken.address, deployer).encodeABI();
+        proxy = await AirdropProxy.new(implementation.address, proxyAdmin.address, data);
+        airdropContract = await AirdropContract.at(proxy.address);
+        chainId = await web3.eth.getChainId();
+        deadline = Math.floor(Date.now() / 1000) + 10000;
+
+        await tevaToken.mint(deployer, AMOUNT.mul(new BN(4)));
+        await tevaToken.approve(airdropContract.address, AMOUNT.mul(new BN(4)));
+        await airdropContract.depositTokens(AMOUNT.mul(new BN(4)));
+        await airdropContract.dropTokens(await signDrop(user1, AMOUNT, 0));
+        voucher = await signDrop(user2, AMOUNT, 1);
+
+        snapshotA = await snapshot();
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Upgradeable Airdrop Test Cases 🧬", function () {
+
+        //initialize
+        it("should initialize the proxy like the constructor", async () => {
+            (await airdropContract.owner()).should.equal(deployer);
+            (await airdropContract.guardian()).should.equal(deployer);
+            (await airdropContract.signer()).should.equal(deployer);
+            (await airdropContract.token()).should.equal(tevaToken.address);
+            (await airdropContract.getRewardTokens()).should.deep.equal([tevaToken.address]);
+            (await implementationOf(web3, proxy.address)).should.equal(implementation.address);
+            (await proxyAdminOf(web3, proxy.address)).should.equal(proxyAdmin.address);
+        });
+
+        it("shouldn't initialize the proxy twice", async () => {
+            await expectRevert(
+                (await AirdropContractUpgradeable.at(proxy.address)).initialize(tevaToken.address, user1, { from: user1 }),
+                "Initializable: contract is already initialized"
+            );
+        });
+
+        it("shouldn't initialize the implementation", async () => {
+            await expectRevert(
+                implementation.initialize(tevaToken.address, user1, { from: user1 }),
+                "Initializable: contract is already initialized"
+            );
+            (await implementation.token()).should.equal(constants.ZERO_ADDRESS);
+        });
+
+        it("should verify vouchers signed for the proxy address", async () => {
+            (await airdropContract.checkSign(voucher)).should.equal(true);
+            (await airdropContract.tokenBalances(user1)).should.be.bignumber.equal(AMOUNT);
+        });
+
+        //upgrade
+        it("should keep balances and settings after an upgrade", async () => {
+            await airdropContract.setClaimWindow(1000);
+            v2 = await AirdropContractUpgradeableV2Mock.new();
+
+            await proxyAdmin.upgradeAndCall(proxy.address, v2.address, v2.contract.methods.initializeV2().encodeABI());
+            upgraded = await AirdropContractUpgradeableV2Mock.at(proxy.address);
+            (await upgraded.version()).should.equal("2");
+            (await upgraded.upgradedAt()).should.be.bignumber.above(new BN(0));
+            (await implementationOf(web3, proxy.address)).should.equal(v2.address);
+
+            (await upgraded.owner()).should.equal(deployer);
+            (await upgraded.claimWindow()).should.be.bignumber.equal(new BN(1000));
+            (await upgraded.totalTokenSupply()).should.be.bignumber.equal(AMOUNT.mul(new BN(4)));
+            (await upgraded.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(AMOUNT);
+
+            await upgraded.claimTokens({ from: user1 });
+            (await tevaToken.balanceOf(user1)).should.be.bignumber.equal(AMOUNT);
+        });
+
+        it("should accept outstanding vouchers after an upgrade", async () => {
+            used = await signDrop(user3, AMOUNT, 2);
+            await airdropContract.claimWithVoucher(used, { from: user3 });
+            v2 = await AirdropContractUpgradeableV2Mock.new();
+
+            await proxyAdmin.upgrade(proxy.address, v2.address);
+            receipt = await airdropContract.claimWithVoucher(voucher, { from: user2 });
+            expectEvent(
+                receipt,
+                "ClaimTokens",
+                {
+                    to: user2,
+                    amount: AMOUNT
+                }
+            );
+            await expectRevert(
+                airdropContract.claimWithVoucher(used, { from: user3 }),
+                "Airdrop: voucher already used"
+            );
+        });
+
+        it("shouldn't upgrade by not the owner of the proxy admin", async () => {
+            v2 = await AirdropContractUpgradeableV2Mock.new();
+
+            await expectRevert(
+                proxyAdmin.upgrade(proxy.address, v2.address, { from: user1 }),
+                "Ownable: caller is not the owner"
+            );
+        });
+
+        it("shouldn't reinitialize the upgraded version twice", async () => {
+            v2 = await AirdropContractUpgradeableV2Mock.new();
+            await proxyAdmin.upgradeAndCall(proxy.address, v2.address, v2.contract.methods.initializeV2().encodeABI());
+
+            await expectRevert(
+                (await AirdropContractUpgradeableV2Mock.at(proxy.address)).initializeV2(),
+                "Initializable: contract is already initialized"
+            );
+        });
+    });
+
+    async function signDrop(recipient, amount, nonce) {
+        const drop = { recipient, amount, deadline, rewardType: tevaToken.address, nonce };
+        const sign = await EIP712.signTypedData(web3, deployer, EIP712Signer.createTypedData(chainId, airdropContract.address, drop));
+        return { recipient: recipient, amount: amount.toString(), deadline: deadline.toString(), rewardType: tevaToken.address, nonce: nonce.toString(), signature: sign.sig };
+    }
+});
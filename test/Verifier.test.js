@@ -0,0 +1,189 @@
+const {
+    BN,
+    constants,
+    snapshot
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const crypto = require("crypto");
+const { Signer, hashDrop } = require("../scripts/utils/signer.js");
+const {
+    CONTAINER_TYPEHASH,
+    domainSeparator,
+    dropDigest,
+    recover,
+    recoverDropSigner,
+    checkSign
+} = require("../scripts/utils/verifier.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Verifier", function(accounts) {
+    [deployer, user1, user2, user3] = accounts;
+
+    const RANDOM_DROPS = 40;
+    const SECP256K1_N = web3.utils.toBN("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141");
+
+    before(async function () {
+        tevaToken = await TevaToken.new();
+        airdropContract = await AirdropContract.new(tevaToken.address);
+        chainId = await web3.eth.getChainId();
+        signer = new Signer("0x" + "22".repeat(32));
+        stranger = new Signer("0x" + "33".repeat(32));
+
+        await airdropContract.setSigner(signer.address, 0);
+
+        snapshotA = await snapshot();
+    });
+
+    afterEach(async function () {
+        await snapshotA.restore();
+    });
+
+    describe("Off-chain Verifier Test Cases 🔏", function () {
+
+        //dropDigest
+        it("should rebuild the digest the contract recovers the signer from", async () => {
+            CONTAINER_TYPEHASH.should.equal(web3.utils.keccak256("Container(address recipient,uint256 amount,uint256 deadline,address rewardType,uint256 nonce)"));
+            for (let i = 0; i < 10; i++) {
+                drop = randomDrop();
+                dropDigest(chainId, airdropContract.address, drop).should.equal(hashDrop(chainId, airdropContract.address, drop));
+            }
+            domainSeparator(chainId, airdropContract.address).should.not.equal(domainSeparator(chainId + 1, airdropContract.address));
+        });
+
+        //recoverDropSigner
+        it("should recover the signer of a drop from a full and a compact signature", async () => {
+            drop = signDrop(randomDrop());
+
+            recoverDropSigner(chainId, airdropContract.address, drop).should.equal(signer.address);
+            recoverDropSigner(chainId, airdropContract.address, { ...drop, signature: compact(drop.signature) }).should.equal(signer.address);
+            (await airdropContract.checkSign({ ...drop, signature: compact(drop.signature) })).should.equal(true);
+        });
+
+        //recover
+        it("should reject malleable high-s signatures", async () => {
+            drop = signDrop(randomDrop());
+            malleable = { ...drop, signature: highS(drop.signature) };
+
+            (() => recover(hashDrop(chainId, airdropContract.address, drop), malleable.signature)).should.throw("Verifier: invalid signature 's' value");
+            checkSign(chainId, airdropContract.address, malleable, signer.address).should.equal(false);
+            (await airdropContract.checkSign(malleable)).should.equal(false);
+        });
+
+        it("should reject bad v values", async () => {
+            drop = signDrop(randomDrop());
+            digest = hashDrop(chainId, airdropContract.address, drop);
+
+            for (const v of [0, 1, 29, 255]) {
+                badV = { ...drop, signature: withV(drop.signature, v) };
+                (() => recover(digest, badV.signature)).should.throw("Verifier: invalid signature 'v' value");
+                (await airdropContract.checkSign(badV)).should.equal(false);
+            }
+        });
+
+        it("should reject signatures of another length or recovering no address", async () => {
+            drop = signDrop(randomDrop());
+            digest = hashDrop(chainId, airdropContract.address, drop);
+
+            (() => recover(digest, drop.signature + "00")).should.throw("Verifier: invalid signature length");
+            (() => recover(digest, "0x" + "00".repeat(64) + "1b")).should.throw("Verifier: invalid signature");
+            (() => recover(digest, "0x" + "ff".repeat(32) + drop.signature.substring(66))).should.throw("Verifier: invalid signature");
+        });
+
+        //checkSign
+        it("should accept the previous signer only when it is given", async () => {
+            drop = signDrop(randomDrop());
+            await airdropContract.setSigner(user1, 1000);
+
+            (await airdropContract.checkSign(drop)).should.equal(true);
+            checkSign(chainId, airdropContract.address, drop, [user1, await airdropContract.previousSigner()]).should.equal(true);
+            checkSign(chainId, airdropContract.address, drop, user1).should.equal(false);
+        });
+
+        it("should match checkSign of the contract across random inputs", async () => {
+            const results = { true: 0, false: 0 };
+            for (let i = 0; i < RANDOM_DROPS; i++) {
+                for (const drop of variantsOf(signDrop(randomDrop()))) {
+                    expected = await airdropContract.checkSign(drop);
+                    checkSign(chainId, airdropContract.address, drop, signer.address).should.equal(expected, JSON.stringify(drop));
+                    results[expected]++;
+                }
+            }
+            results.true.should.be.above(RANDOM_DROPS);
+            results.false.should.be.above(RANDOM_DROPS);
+        });
+
+        it("shouldn't hash a drop that doesn't fit the struct", async () => {
+            (() => dropDigest(chainId, airdropContract.address, { ...randomDrop(), recipient: "0x1234" }))
+                .should.throw("Verifier: recipient is not an address: 0x1234");
+            (() => dropDigest(chainId, airdropContract.address, { ...randomDrop(), amount: new BN(1).shln(256).toString() }))
+                .should.throw("Verifier: amount is not a uint256");
+            (() => dropDigest(chainId, constants.ZERO_ADDRESS + "00", randomDrop()))
+                .should.throw("Verifier: verifyingContract is not an address");
+        });
+    });
+
+    function randomDrop() {
+        return {
+            recipient: web3.utils.toChecksumAddress(randomHex(20)),
+            amount: web3.utils.hexToNumberString(randomHex(1 + crypto.randomInt(32))),
+            deadline: web3.utils.hexToNumberString(randomHex(1 + crypto.randomInt(32))),
+            rewardType: crypto.randomInt(4) === 0 ? constants.ZERO_ADDRESS : web3.utils.toChecksumAddress(randomHex(20)),
+            nonce: web3.utils.hexToNumberString(randomHex(1 + crypto.randomInt(32)))
+        };
+    }
+
+    function signDrop(drop, key = signer) {
+        return key.signDrop(chainId, airdropContract.address, drop);
+    }
+
+    // valid, forged and tampered versions of a signed drop
+    function variantsOf(drop) {
+        const r = drop.signature.substring(2, 66);
+        return [
+            drop,
+            { ...drop, signature: compact(drop.signature) },
+            signDrop(drop, stranger),
+            { ...drop, signature: highS(drop.signature) },
+            { ...drop, signature: withV(drop.signature, crypto.randomInt(256)) },
+            { ...drop, signature: withV(drop.signature, 55 - Number("0x" + drop.signature.substring(130))) },
+            { ...drop, amount: new BN(drop.amount).addn(1).toString() },
+            { ...drop, recipient: web3.utils.toChecksumAddress(randomHex(20)) },
+            { ...drop, signature: randomHex(65) },
+            { ...drop, signature: "0x" + r + randomHex(32).substring(2) },
+            { ...drop, signature: drop.signature.substring(0, 130) }
+        ];
+    }
+
+    function randomHex(bytes) {
+        return "0x" + crypto.randomBytes(bytes).toString("hex");
+    }
+
+    function withV(signature, v) {
+        return signature.substring(0, 130) + v.toString(16).padStart(2, "0");
+    }
+
+    // the same signature with s' = n - s and the other v, which ecrecover alone accepts too
+    function highS(signature) {
+        const s = web3.utils.toBN("0x" + signature.substring(66, 130));
+        const v = Number("0x" + signature.substring(130));
+        return signature.substring(0, 66) + SECP256K1_N.sub(s).toString(16).padStart(64, "0") + (55 - v).toString(16);
+    }
+
+    // EIP-2098 signature: r and vs, the parity of v in the top bit of s
+    function compact(signature) {
+        const vs = web3.utils.toBN("0x" + signature.substring(66, 130));
+        if (Number("0x" + signature.substring(130)) === 28) {
+            vs.setn(255, 1);
+        }
+        return signature.substring(0, 66) + vs.toString(16).padStart(64, "0");
+    }
+});
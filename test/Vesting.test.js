@@ -0,0 +1,139 @@
+const {
+    BN,
+    time
+} = require("@openzeppelin/test-helpers");
+
+require("chai")
+    .use(require("chai-as-promised"))
+    .use(require("chai-bn")(BN))
+    .should();
+
+const { Signer } = require("../scripts/utils/signer.js");
+const Allocation = require("../scripts/utils/allocation.js");
+const { vestedAmount, unlockTable, unlockTables } = require("../scripts/utils/vesting.js");
+
+
+const AirdropContract = artifacts.require("AirdropContract.sol");
+const TevaToken = artifacts.require("TevaToken.sol");
+
+
+contract("Vesting", function(accounts) {
+    [deployer, user1, user2] = accounts;
+
+    const DAY = 24 * 60 * 60;
+    const START = 1700000000;
+    const SCHEDULE = { amount: "1200", start: START, cliff: 90 * DAY, duration: 360 * DAY };
+
+    describe("Vesting Test Cases 📅", function () {
+
+        //vestedAmount
+        it("should vest nothing before the cliff", async () => {
+            vestedAmount(SCHEDULE, START).should.be.bignumber.equal(new BN(0));
+            vestedAmount(SCHEDULE, START + 90 * DAY - 1).should.be.bignumber.equal(new BN(0));
+        });
+
+        it("should vest linearly from the start after the cliff", async () => {
+            vestedAmount(SCHEDULE, START + 90 * DAY).should.be.bignumber.equal(new BN(300));
+            vestedAmount(SCHEDULE, START + 180 * DAY + 1).should.be.bignumber.equal(new BN(600));
+        });
+
+        it("should vest everything at the end", async () => {
+            vestedAmount(SCHEDULE, START + 360 * DAY).should.be.bignumber.equal(new BN(1200));
+            vestedAmount(SCHEDULE, START + 1000 * DAY).should.be.bignumber.equal(new BN(1200));
+        });
+
+        //unlockTable
+        it("should build the unlock table from the cliff to the end", async () => {
+            rows = unlockTable([SCHEDULE], 120 * DAY);
+
+            rows.map(row => [row.timestamp - START, row.vested, row.unlocked]).should.deep.equal([
+                [90 * DAY, "300", "300"],
+                [120 * DAY, "400", "100"],
+                [240 * DAY, "800", "400"],
+                [360 * DAY, "1200", "400"]
+            ]);
+            rows[0].date.should.equal(new Date((START + 90 * DAY) * 1000).toISOString());
+        });
+
+        it("should merge the schedules of a recipient", async () => {
+            rows = unlockTable([SCHEDULE, { amount: "100", start: START, cliff: 0, duration: 30 * DAY }], 360 * DAY);
+
+            rows.map(row => [row.timestamp - START, row.vested]).should.deep.equal([
+                [30 * DAY, "100"],
+                [90 * DAY, "400"],
+                [360 * DAY, "1300"]
+            ]);
+        });
+
+        it("shouldn't build an unlock table without a positive interval", async () => {
+            for (const interval of [0, -DAY, "abc", NaN, 1.5, true]) {
+                (() => unlockTable([SCHEDULE], interval)).should.throw(`Vesting: interval must be a positive number of seconds: "${interval}"`);
+            }
+            unlockTable([SCHEDULE], String(120 * DAY)).should.deep.equal(unlockTable([SCHEDULE], 120 * DAY));
+        });
+
+        //unlockTables
+        it("should group vesting drops by recipient and reward type", async () => {
+            tables = unlockTables([
+                { ...SCHEDULE, recipient: user1, rewardType: user2 },
+                { ...SCHEDULE, recipient: user2, rewardType: user2 },
+                { ...SCHEDULE, recipient: user1, rewardType: user2 }
+            ]);
+
+            Object.keys(tables).should.deep.equal([user1, user2]);
+            tables[user1][user2][tables[user1][user2].length - 1].vested.should.equal("2400");
+            tables[user2][user2][tables[user2][user2].length - 1].vested.should.equal("1200");
+        });
+
+        //toDrops
+        it("should turn rows with vesting terms into vesting drops", async () => {
+            tevaToken = await TevaToken.new();
+            options = { tokenAddress: tevaToken.address, units: "wei", deadline: String(START + 1000), now: START };
+            result = Allocation.toDrops([
+                { line: 1, recipient: user1, amount: "1200", reward: "TEVA", start: String(START), duration: String(360 * DAY) },
+                { line: 2, recipient: user1, amount: "1200", reward: "ether", start: String(START), duration: String(360 * DAY) },
+                { line: 3, recipient: user1, amount: "1200", reward: "TEVA", start: "soon", duration: String(360 * DAY) },
+                { line: 4, recipient: user1, amount: "1200", reward: "TEVA", start: String(START), cliff: "2", duration: "1" }
+            ], options);
+
+            result.drops.should.deep.equal([
+                { recipient: user1, amount: "1200", deadline: String(START + 1000), rewardType: tevaToken.address, nonce: result.drops[0].nonce, start: String(START), cliff: "0", duration: String(360 * DAY) }
+            ]);
+            result.drops[0].nonce.should.equal(Allocation.allocationNonce({ ...result.drops[0], cliff: "0" }));
+            result.drops[0].nonce.should.not.equal(Allocation.allocationNonce({ ...result.drops[0], cliff: "1" }));
+            result.rejected.map(rejection => rejection.reason).should.deep.equal([
+                "vesting is only supported for tokens",
+                "invalid vesting start: \"soon\"",
+                "vesting cliff must not be longer than a non-zero duration"
+            ]);
+        });
+
+        //signVestingDrop
+        it("should sign vesting drops accepted by the contract", async () => {
+            signerAccount = web3.eth.accounts.create();
+            tevaToken = await TevaToken.new();
+            airdropContract = await AirdropContract.new(tevaToken.address);
+            await airdropContract.setSigner(signerAccount.address, 0);
+            chainId = await web3.eth.getChainId();
+
+            start = Number(await time.latest());
+            drop = {
+                recipient: user1,
+                amount: "1000",
+                deadline: String(start + 10000),
+                rewardType: tevaToken.address,
+                nonce: "0",
+                start: String(start),
+                cliff: "0",
+                duration: "1000"
+            };
+            vestingDrop = new Signer(signerAccount.privateKey).signVestingDrop(chainId, airdropContract.address, drop);
+            await airdropContract.dropVestedTokens(vestingDrop);
+
+            schedules = await airdropContract.getVestingSchedules(tevaToken.address, user1);
+            schedules.length.should.equal(1);
+            schedules[0].amount.should.equal("1000");
+            (await airdropContract.rewardTokenLiabilities(tevaToken.address)).should.be.bignumber.equal(new BN(1000));
+        });
+    });
+});
@@ -88,13 +88,13 @@ module.exports = {
     solc: {
       version: "0.8.14",      // Fetch exact version from solc-bin (default: truffle's version)
       // docker: true,        // Use "0.5.1" you've installed locally with docker (default: false)
-      // settings: {          // See the solidity docs for advice about optimization and evmVersion
-      //  optimizer: {
-      //    enabled: false,
-      //    runs: 200
-      //  },
+      settings: {             // See the solidity docs for advice about optimization and evmVersion
+        optimizer: {
+          enabled: true,      // AirdropContract exceeds the 24576 bytes code size limit without it
+          runs: 200
+        },
       //  evmVersion: "byzantium"
-      // }
+      }
     }
   },
   plugins: ["solidity-coverage", "truffle-plugin-verify"],